@@ -3,6 +3,12 @@ const _ = require('lodash')
 const path = require('path')
 const createServer = require('./lib/server')
 
+const watchOption = {
+  type: 'boolean',
+  usage:
+    'Reload the schema, mapping templates and serverless config when they change.'
+}
+
 class ServerlessAppSyncPlugin {
   constructor (serverless, options) {
     this.serverless = serverless
@@ -66,10 +72,20 @@ class ServerlessAppSyncPlugin {
                 shortcut: 'x',
                 usage:
                   'Path to bootstrap script - useful for launching mocks for example.'
-              }
+              },
+              watch: watchOption
             }
           }
         }
+      },
+      // the emulator also starts along `sls offline start`, whose options
+      // serverless merges with these.
+      offline: {
+        commands: {
+          start: {
+            options: { watch: watchOption }
+          }
+        }
       }
     }
 
@@ -119,8 +135,13 @@ class ServerlessAppSyncPlugin {
         selectApi: this.options.schema,
         bootstrapScript: this.options.bootstrap,
         port,
+        apiKey: this.options.apiKey,
+        jwt: this.options.jwt,
+        iamIdentity: this.options.iamIdentity,
+        watch: Boolean(this.options.watch),
         dynamodb,
-        elastic: this.options.elastic || {}
+        elastic: this.options.elastic || {},
+        rds: this.options.rds
       })
 
       this.serverlessLog('AppSync started: ' + server.url)
@@ -159,9 +180,6 @@ class ServerlessAppSyncPlugin {
     // this.serverlessLog(JSON.stringify(this.options));
     const defaultOpts = {
       port: null,
-      elastic: {
-        endpoint: 'http://localhost:9200'
-      },
       dynamodb: {
         client: {
           region: 'localhost',
@@ -191,6 +209,7 @@ class ServerlessAppSyncPlugin {
       },
       {
         port: this.options.port,
+        watch: this.options.watch,
         elastic: {
           endpoint: this.options.elasticEndpoint
         },
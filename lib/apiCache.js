@@ -0,0 +1,138 @@
+const consola = require('./log')
+const { getIdentity } = require('./identity')
+
+const FULL_REQUEST_CACHING = 'FULL_REQUEST_CACHING'
+const PER_RESOLVER_CACHING = 'PER_RESOLVER_CACHING'
+const DefaultTtl = 3600
+// resolvers are cached per parent as well since each field is cached on its
+// own rather than the whole response.
+const DefaultKeys = ['$context.arguments', '$context.source', '$context.identity']
+const UncachedTypes = ['Mutation', 'Subscription']
+
+// `$context.arguments.id`, `$ctx.arguments.id` and `context.arguments.id`
+// all name the same key.
+const normalizeKey = key =>
+  `${key}`.replace(/^\$/, '').replace(/^ctx\./, 'context.')
+
+const getPath = (value, path) =>
+  path.reduce((sum, key) => (sum == null ? undefined : sum[key]), value)
+
+const toEntryKey = (typeName, fieldName, values) => {
+  const sorted = Object.keys(values)
+    .sort()
+    .map(key => [key, values[key] === undefined ? null : values[key]])
+  return `${typeName}.${fieldName}:${JSON.stringify(sorted)}`
+}
+
+// the path of a field as recorded on its errors.
+const pathOf = ({ path } = {}) => {
+  const keys = []
+  for (let curr = path; curr; curr = curr.prev) keys.unshift(curr.key)
+  return JSON.stringify(keys)
+}
+
+/**
+ * Emulates the AppSync API cache. `behavior` and `ttl` are the `caching`
+ * settings of the API: FULL_REQUEST_CACHING caches every query resolver,
+ * PER_RESOLVER_CACHING only those with a `caching` (`ttl`, `keys`) setting.
+ *
+ * FULL_REQUEST_CACHING is emulated per resolver too, each field being cached
+ * by its arguments, source and identity rather than the whole response.
+ * Fields reporting errors are never cached.
+ */
+const createApiCache = ({ behavior, ttl: apiTtl = DefaultTtl } = {}) => {
+  const entries = new Map()
+
+  // the caching settings of a resolver or null when it is not cached.
+  const getResolverCaching = (
+    typeName,
+    { caching, cachingConfig = caching }
+  ) => {
+    if (!behavior || UncachedTypes.includes(typeName)) return null
+    if (behavior === FULL_REQUEST_CACHING) {
+      return { ttl: apiTtl, keys: DefaultKeys }
+    }
+    if (behavior !== PER_RESOLVER_CACHING || !cachingConfig) return null
+
+    const { ttl, keys } = cachingConfig === true ? {} : cachingConfig
+    return {
+      ttl: ttl === undefined ? apiTtl : ttl,
+      keys: keys && keys.length ? keys : DefaultKeys
+    }
+  }
+
+  const get = entryKey => {
+    const entry = entries.get(entryKey)
+    if (entry && entry.expires <= Date.now()) {
+      entries.delete(entryKey)
+      return undefined
+    }
+    return entry
+  }
+
+  // `keys` maps each caching key of the resolver to the value to evict.
+  const evict = (typeName, fieldName, keys = {}) => {
+    const values = Object.entries(keys).reduce(
+      (sum, [key, value]) => ({ ...sum, [normalizeKey(key)]: value }),
+      {}
+    )
+    const entryKey = toEntryKey(typeName, fieldName, values)
+    const evicted = entries.delete(entryKey)
+    consola.info(`Cache ${evicted ? 'evicted' : 'evict missed'}: ${entryKey}`)
+  }
+
+  const withCaching = (resolver, typeName, fieldName, { ttl, keys }) => async (
+    root,
+    vars,
+    context,
+    info,
+    ...rest
+  ) => {
+    const scope = {
+      context: {
+        arguments: vars,
+        source: root || {},
+        identity: getIdentity(context)
+      }
+    }
+    const values = keys.map(normalizeKey).reduce(
+      (sum, key) => ({ ...sum, [key]: getPath(scope, key.split('.')) }),
+      {}
+    )
+    const entryKey = toEntryKey(typeName, fieldName, values)
+
+    const cached = get(entryKey)
+    if (cached) {
+      consola.info(`Cache hit: ${entryKey}`)
+      return cached.value
+    }
+    consola.info(`Cache miss: ${entryKey}`)
+
+    const errorsOf = () => (context && context.appsyncErrors) || []
+    const before = errorsOf().length
+    const value = await resolver(root, vars, context, info, ...rest)
+    // fields reporting errors ($util.error, $util.appendError) are not cached
+    // as only their value would be served.
+    const fieldPath = pathOf(info)
+    const failed = errorsOf()
+      .slice(before)
+      .some(error => JSON.stringify(error.path || []) === fieldPath)
+    if (ttl > 0 && !failed) {
+      entries.set(entryKey, { value, expires: Date.now() + ttl * 1000 })
+    }
+    return value
+  }
+
+  return {
+    getResolverCaching,
+    withCaching,
+    evict,
+    flush: () => entries.clear()
+  }
+}
+
+module.exports = {
+  FULL_REQUEST_CACHING,
+  PER_RESOLVER_CACHING,
+  createApiCache
+}
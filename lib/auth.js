@@ -0,0 +1,389 @@
+const jwtDecode = require('jwt-decode')
+const uuid = require('uuid')
+const consola = require('./log')
+const { verifyJWT } = require('./jwt')
+
+const API_KEY = 'API_KEY'
+const AMAZON_COGNITO_USER_POOLS = 'AMAZON_COGNITO_USER_POOLS'
+const OPENID_CONNECT = 'OPENID_CONNECT'
+const AWS_IAM = 'AWS_IAM'
+const AWS_LAMBDA = 'AWS_LAMBDA'
+
+const DefaultAuthorizerResultTtl = 300
+const LocalApiId = 'local'
+const LocalAccountId = '000000000000'
+
+class UnauthorizedError extends Error {
+  constructor (message = 'You are not authorized to make this call.') {
+    super(message)
+    this.errorType = 'UnauthorizedException'
+  }
+}
+
+const decodeToken = token => {
+  try {
+    return jwtDecode(token)
+  } catch (err) {
+    throw new UnauthorizedError('Unable to parse JWT token.')
+  }
+}
+
+const requireAuthorizationHeader = ({ authorization }) => {
+  if (!authorization) {
+    throw new UnauthorizedError('Valid authorization header not provided.')
+  }
+  return authorization
+}
+
+// user pools may deny users by default, leaving them to the @aws_auth
+// directives.
+const defaultAuthStrategy = ({ userPoolConfig = {} }) =>
+  userPoolConfig.defaultAction
+    ? { defaultAuthStrategy: userPoolConfig.defaultAction }
+    : {}
+
+// Tokens are only decoded unless `jwtKeys` are configured (strict mode).
+const authenticateJWT = (headers, provider) => {
+  const token = requireAuthorizationHeader(headers)
+  if (!provider.jwtKeys) {
+    return { jwt: decodeToken(token), ...defaultAuthStrategy(provider) }
+  }
+
+  try {
+    return {
+      jwt: verifyJWT(token, provider, provider.jwtKeys),
+      ...defaultAuthStrategy(provider)
+    }
+  } catch (err) {
+    consola.error('JWT verification failed:', err.message)
+    throw new UnauthorizedError(
+      err.expired ? 'Token has expired.' : 'Valid authorization header not provided.'
+    )
+  }
+}
+
+const authenticators = {
+  [API_KEY]: (headers, { apiKey }) => {
+    const key = headers['x-api-key']
+    // any key is accepted unless one is configured for the emulator.
+    if (!key || (apiKey && [].concat(apiKey).indexOf(key) === -1)) {
+      throw new UnauthorizedError()
+    }
+    return { jwt: {}, apiKey: key }
+  },
+  [AMAZON_COGNITO_USER_POOLS]: authenticateJWT,
+  [OPENID_CONNECT]: authenticateJWT,
+  [AWS_IAM]: (headers, { iamIdentity }) => {
+    // the signature itself is not verified, we only make sure the request
+    // was signed with SigV4 and capture the caller's access key.
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\//.exec(
+      requireAuthorizationHeader(headers)
+    )
+    if (!match) {
+      throw new UnauthorizedError()
+    }
+    return { jwt: {}, iam: { ...iamIdentity, accessKeyId: match[1] } }
+  },
+  [AWS_LAMBDA]: headers => ({
+    jwt: {},
+    token: requireAuthorizationHeader(headers)
+  })
+}
+
+const providerConfig = ({
+  authenticationType,
+  userPoolConfig,
+  openIdConnectConfig,
+  lambdaAuthorizerConfig
+}) => ({
+  authenticationType,
+  userPoolConfig,
+  openIdConnectConfig,
+  lambdaAuthorizerConfig
+})
+
+/**
+ * Picks the settings relevant for authentication from the appSync config.
+ * The default provider comes first followed by any
+ * `additionalAuthenticationProviders`. `apiKey` is an optional emulator
+ * setting restricting accepted API keys, `lambdaAuthorizer` the authorizer
+ * created by `createLambdaAuthorizer`, `jwtKeys` the keys loaded by
+ * `loadJWTKeys` when tokens are verified and `iamIdentity` the details of the
+ * IAM caller (accountId, userArn, cognitoIdentityPoolId...).
+ */
+const getAuthConfig = (
+  { authenticationType, additionalAuthenticationProviders = [], ...config },
+  { apiKey, lambdaAuthorizer, jwtKeys = null, iamIdentity = {} } = {}
+) => ({
+  authenticationType,
+  providers: [
+    providerConfig({ authenticationType, ...config }),
+    ...additionalAuthenticationProviders.map(providerConfig)
+  ],
+  apiKey,
+  lambdaAuthorizer,
+  jwtKeys,
+  iamIdentity
+})
+
+const isSigV4 = authorization => /^AWS4-HMAC-SHA256 /.test(authorization)
+
+const tryDecodeToken = token => {
+  try {
+    return decodeToken(token)
+  } catch (err) {
+    return null
+  }
+}
+
+// Unresolved CloudFormation references (e.g. { Ref: UserPool }) can not be
+// matched against the token so such providers accept any issuer.
+const issuerMatches = (
+  { iss = '' },
+  { authenticationType, userPoolConfig = {}, openIdConnectConfig = {} }
+) => {
+  if (authenticationType === AMAZON_COGNITO_USER_POOLS) {
+    const { userPoolId } = userPoolConfig
+    return typeof userPoolId !== 'string' || iss.endsWith(`/${userPoolId}`)
+  }
+  const { issuer } = openIdConnectConfig
+  return (
+    typeof issuer !== 'string' ||
+    iss.replace(/\/$/, '') === issuer.replace(/\/$/, '')
+  )
+}
+
+// Works out which of the configured providers a request is using the same
+// way AppSync does: by the headers present and the shape of the token.
+const selectProvider = ({ authorization, ...headers }, providers) => {
+  const byType = type =>
+    providers.find(({ authenticationType }) => authenticationType === type)
+
+  if (headers['x-api-key'] && byType(API_KEY)) {
+    return byType(API_KEY)
+  }
+
+  if (authorization) {
+    if (isSigV4(authorization)) {
+      return byType(AWS_IAM)
+    }
+
+    const jwt = tryDecodeToken(authorization)
+    if (jwt) {
+      const jwtProviders = providers.filter(({ authenticationType }) =>
+        [AMAZON_COGNITO_USER_POOLS, OPENID_CONNECT].includes(
+          authenticationType
+        )
+      )
+      const matching = jwtProviders.find(provider =>
+        issuerMatches(jwt, provider)
+      )
+      if (matching || jwtProviders.length) {
+        return matching || jwtProviders[0]
+      }
+    }
+
+    if (byType(AWS_LAMBDA)) {
+      return byType(AWS_LAMBDA)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Authenticates a request against the API's authentication providers.
+ *
+ * Resolves the auth information to merge into the graphql context or throws
+ * an UnauthorizedError mirroring what AppSync would respond with. When no
+ * provider matches the headers the default provider produces the error.
+ */
+const authenticateRequest = (
+  headers,
+  { providers, apiKey, jwtKeys, iamIdentity }
+) => {
+  const provider = selectProvider(headers, providers) || providers[0]
+  const { authenticationType } = provider
+  const authenticator = authenticators[authenticationType]
+  if (!authenticator) {
+    throw new Error(`Unknown authenticationType: ${authenticationType}`)
+  }
+
+  return {
+    authType: authenticationType,
+    ...authenticator(headers, { ...provider, apiKey, jwtKeys, iamIdentity })
+  }
+}
+
+/**
+ * Creates the authorizer of `AWS_LAMBDA` requests. `invoke(functionName,
+ * payload)` runs the `lambdaAuthorizerConfig.functionName` of the provider.
+ * Like AppSync, responses are cached per token for `ttlOverride` or
+ * `authorizerResultTtlInSeconds` seconds.
+ */
+const createLambdaAuthorizer = invoke => {
+  const cache = new Map()
+
+  return async (
+    token,
+    {
+      functionName,
+      identityValidationExpression,
+      authorizerResultTtlInSeconds = DefaultAuthorizerResultTtl
+    } = {},
+    requestContext
+  ) => {
+    if (!functionName) {
+      throw new Error('lambdaAuthorizerConfig must have a functionName')
+    }
+    if (
+      identityValidationExpression &&
+      !new RegExp(`^${identityValidationExpression}$`).test(token)
+    ) {
+      throw new UnauthorizedError()
+    }
+
+    const cacheKey = `${functionName}:${token}`
+    const cached = cache.get(cacheKey)
+    if (cached && cached.expires > Date.now()) {
+      return cached.response
+    }
+
+    let response
+    try {
+      response = await invoke(functionName, {
+        authorizationToken: token,
+        requestContext: {
+          apiId: LocalApiId,
+          accountId: LocalAccountId,
+          requestId: uuid.v4(),
+          ...requestContext
+        }
+      })
+    } catch (err) {
+      consola.error('Lambda authorizer failed', err)
+      throw new UnauthorizedError()
+    }
+
+    const { ttlOverride } = response || {}
+    const ttl =
+      typeof ttlOverride === 'number' ? ttlOverride : authorizerResultTtlInSeconds
+    if (ttl > 0) {
+      cache.set(cacheKey, { response, expires: Date.now() + ttl * 1000 })
+    }
+    return response
+  }
+}
+
+/**
+ * Completes the authentication of `authenticateRequest` by running the Lambda
+ * authorizer of `AWS_LAMBDA` requests with the `requestContext` of the
+ * operation (`queryString`, `operationName` and `variables`). The
+ * `resolverContext` and `deniedFields` of the response are added to the auth.
+ */
+const authorizeRequest = async (
+  auth,
+  { providers, lambdaAuthorizer },
+  requestContext = {}
+) => {
+  if (auth.authType !== AWS_LAMBDA || !lambdaAuthorizer) return auth
+
+  const { lambdaAuthorizerConfig } = providers.find(
+    ({ authenticationType }) => authenticationType === AWS_LAMBDA
+  )
+  const {
+    isAuthorized,
+    resolverContext = {},
+    deniedFields = []
+  } = (await lambdaAuthorizer(
+    auth.token,
+    lambdaAuthorizerConfig,
+    requestContext
+  )) || {}
+  if (isAuthorized !== true) {
+    throw new UnauthorizedError()
+  }
+
+  return { ...auth, resolverContext, deniedFields }
+}
+
+// denied fields are either `Type.field` or the ARN of the field.
+const deniedFieldName = field => {
+  const match = /\/types\/([^/]+)\/fields\/([^/]+)$/.exec(field)
+  return match ? `${match[1]}.${match[2]}` : field
+}
+
+/**
+ * Whether the Lambda authorizer listed the field in `deniedFields`.
+ */
+const isFieldDenied = ({ deniedFields = [] }, typeName, fieldName) =>
+  deniedFields
+    .map(deniedFieldName)
+    .includes(`${typeName}.${fieldName}`)
+
+const directiveAuthTypes = {
+  aws_api_key: API_KEY,
+  aws_iam: AWS_IAM,
+  aws_oidc: OPENID_CONNECT,
+  aws_lambda: AWS_LAMBDA,
+  aws_cognito_user_pools: AMAZON_COGNITO_USER_POOLS,
+  // legacy directive for the default user pool.
+  aws_auth: AMAZON_COGNITO_USER_POOLS
+}
+
+const stringValues = ({ kind, value, values }) =>
+  kind === 'ListValue' ? values.map(({ value }) => value) : [value]
+
+/**
+ * Extracts the auth directives of a type or field AST node as a list of
+ * `{ authType, groups }`. `groups` is null when any group is accepted.
+ */
+const getAuthDirectives = ({ directives = [] } = {}) =>
+  directives
+    .filter(({ name: { value } }) => directiveAuthTypes[value])
+    .map(({ name: { value }, arguments: args = [] }) => {
+      const groups = args.find(({ name }) => name.value === 'cognito_groups')
+      return {
+        authType: directiveAuthTypes[value],
+        groups: groups ? stringValues(groups.value) : null
+      }
+    })
+
+/**
+ * Checks the request's auth against the directives of a field, falling back
+ * to those of its parent type. Without any directives only the default
+ * authentication type has access.
+ */
+const isAuthorized = (
+  { authType, jwt = {} },
+  { fieldDirectives, typeDirectives, defaultAuthType }
+) => {
+  const directives = fieldDirectives.length ? fieldDirectives : typeDirectives
+  if (!directives.length) {
+    return authType === defaultAuthType
+  }
+
+  const userGroups = jwt['cognito:groups'] || []
+  return directives.some(
+    ({ authType: allowed, groups }) =>
+      allowed === authType &&
+      (!groups || groups.some(group => userGroups.includes(group)))
+  )
+}
+
+module.exports = {
+  API_KEY,
+  AMAZON_COGNITO_USER_POOLS,
+  OPENID_CONNECT,
+  AWS_IAM,
+  AWS_LAMBDA,
+  LocalAccountId,
+  UnauthorizedError,
+  getAuthConfig,
+  authenticateRequest,
+  createLambdaAuthorizer,
+  authorizeRequest,
+  getAuthDirectives,
+  isAuthorized,
+  isFieldDenied
+}
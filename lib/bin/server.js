@@ -90,7 +90,12 @@ const main = async () => {
     serverless,
     port,
     dynamodb,
-    elastic: config.elastic || {}
+    elastic: config.elastic || {},
+    rds: config.rds,
+    apiKey: config.apiKey,
+    jwt: config.jwt,
+    iamIdentity: config.iamIdentity,
+    watch: Boolean(config.watch)
   })
 }
 
@@ -5,6 +5,26 @@ const isEqual = require('lodash.isequal') // TODO: hoist
 
 const nullIfEmpty = obj => (Object.keys(obj).length === 0 ? null : obj)
 
+// Raised when DynamoDB cancels a transaction. `result` is the partial result
+// AppSync exposes as $ctx.result along with $ctx.error.
+class TransactionCanceledError extends Error {
+  constructor (message, result) {
+    super(message)
+    this.errorType = 'DynamoDB:TransactionCanceledException'
+    this.result = result
+  }
+}
+
+// Raised when the conflict handler of a versioned data source rejects a
+// mutation. `result` is the item currently stored.
+class ConflictUnhandledError extends Error {
+  constructor (result) {
+    super('Conflict resolver rejects mutation.')
+    this.errorType = 'ConflictUnhandled'
+    this.result = result
+  }
+}
+
 const unmarshall = (raw, isRaw = true) => {
   const content = isRaw ? Converter.unmarshall(raw) : raw
 
@@ -427,7 +447,514 @@ const batchDeleteItem = async (db, dynamodbTables, { tables }) => {
   }
 }
 
-const resolve = async (dynamodb, table, dynamodbTables, payload) => {
+const getCancellationReasons = err => {
+  if (err.CancellationReasons) {
+    return err.CancellationReasons.map(({ Code, Message, Item }) => ({
+      type: Code,
+      message: Message || Code,
+      ...(Item ? { item: unmarshall(Item) } : {})
+    }))
+  }
+
+  // older sdks only expose the reason codes within the message.
+  const match = /\[([^\]]*)\]/.exec(err.message)
+  return match
+    ? match[1].split(', ').map(type => ({ type, message: type }))
+    : []
+}
+
+const transactionError = (err, result) => {
+  if (err.code !== 'TransactionCanceledException') return err
+
+  return new TransactionCanceledError(
+    `${err.message} (Service: AmazonDynamoDBv2; Status Code: ${err.statusCode ||
+      400}; Error Code: ${err.code}; Request ID: ${err.requestId || null})`,
+    { ...result, cancellationReasons: getCancellationReasons(err) }
+  )
+}
+
+const transactGetItems = async (db, dynamodbTables, { transactItems = [] }) => {
+  const TransactItems = transactItems.map(({ table, key, projection }) => ({
+    Get: {
+      TableName: dynamodbTables[table],
+      Key: key,
+      ...(projection
+        ? {
+          ProjectionExpression: projection.expression,
+          ExpressionAttributeNames: projection.expressionNames
+        }
+        : {})
+    }
+  }))
+
+  try {
+    const { Responses: responses = [] } = await db
+      .transactGetItems({ TransactItems })
+      .promise()
+
+    return {
+      items: responses.map(({ Item }) => (Item ? unmarshall(Item) : null)),
+      cancellationReasons: null
+    }
+  } catch (err) {
+    throw transactionError(err, { items: null })
+  }
+}
+
+const transactWriteOperations = {
+  PutItem: ({ key, attributeValues }) => ({
+    Put: { Item: { ...attributeValues, ...key } }
+  }),
+  UpdateItem: ({ key, update = {} }) => ({
+    Update: { Key: key, UpdateExpression: update.expression }
+  }),
+  DeleteItem: ({ key }) => ({ Delete: { Key: key } }),
+  ConditionCheck: ({ key }) => ({ ConditionCheck: { Key: key } })
+}
+
+const transactWriteItems = async (
+  db,
+  dynamodbTables,
+  { transactItems = [] }
+) => {
+  const TransactItems = transactItems.map(item => {
+    const { table, operation, update = {}, condition = {} } = item
+    const toRequest = transactWriteOperations[operation]
+    if (!toRequest) {
+      throw new Error(`Unknown transaction operation: ${operation}`)
+    }
+
+    const request = toRequest(item)
+    const [type] = Object.keys(request)
+    return {
+      [type]: {
+        ...request[type],
+        TableName: dynamodbTables[table],
+        ExpressionAttributeNames: nullIfEmpty({
+          ...(condition.expressionNames || {}),
+          ...(update.expressionNames || {})
+        }),
+        ExpressionAttributeValues: nullIfEmpty({
+          ...(condition.expressionValues || {}),
+          ...(update.expressionValues || {})
+        }),
+        ...(condition.expression
+          ? {
+            ConditionExpression: condition.expression,
+            // AppSync returns the item of failed condition checks by default.
+            ReturnValuesOnConditionCheckFailure:
+                condition.returnValuesOnConditionCheckFailure === false
+                  ? 'NONE'
+                  : 'ALL_OLD'
+          }
+          : {})
+      }
+    }
+  })
+
+  try {
+    await db.transactWriteItems({ TransactItems }).promise()
+  } catch (err) {
+    throw transactionError(err, { keys: null })
+  }
+
+  return {
+    keys: transactItems.map(({ key }) => unmarshall(key)),
+    cancellationReasons: null
+  }
+}
+
+// Versioned data sources (used by Amplify DataStore) keep `_version` and
+// `_lastChangedAt` on every item and only flag deleted items as `_deleted`.
+// Every change is also written to the delta sync table read by `Sync`.
+const DefaultBaseTableTTL = 43200
+const DefaultDeltaSyncTableTTL = 30
+const DeltaSyncKeys = ['ds_pk', 'ds_sk']
+
+const andExpression = (condition = {}, { expression, names, values }) => ({
+  expression: condition.expression
+    ? `(${condition.expression}) AND ${expression}`
+    : expression,
+  expressionNames: { ...(condition.expressionNames || {}), ...names },
+  expressionValues: { ...(condition.expressionValues || {}), ...values }
+})
+
+const getRawItem = async (db, table, key) => {
+  const { Item: item } = await db
+    .getItem({ TableName: table, Key: key, ConsistentRead: true })
+    .promise()
+  return item && Object.keys(item).length ? item : null
+}
+
+const versionOf = item =>
+  item && item._version ? Number(item._version.N) : 0
+
+// guards against the item being changed since it was read.
+const versionCheck = existing =>
+  existing && existing._version
+    ? {
+      expression: '#_version = :_expectedVersion',
+      names: { '#_version': '_version' },
+      values: { ':_expectedVersion': existing._version }
+    }
+    : {
+      expression: 'attribute_not_exists(#_version)',
+      names: { '#_version': '_version' },
+      values: {}
+    }
+
+// Splits on the commas that are not within function arguments.
+const splitActions = clause =>
+  clause
+    .split('')
+    .reduce(
+      ({ depth, parts }, char) => {
+        if (char === ',' && depth === 0) return { depth, parts: [...parts, ''] }
+        const next =
+          depth + (char === '(' ? 1 : 0) - (char === ')' ? 1 : 0)
+        parts[parts.length - 1] += char
+        return { depth: next, parts }
+      },
+      { depth: 0, parts: [''] }
+    )
+    .parts.map(part => part.trim())
+    .filter(Boolean)
+
+// Applies the `SET path = :value`, `SET path = if_not_exists(path, :value)`
+// and `REMOVE path` actions of an update expression to a raw item. This is
+// the item conflict handlers merge, other actions are not evaluated.
+const applyUpdate = (
+  item,
+  { expression = '', expressionNames = {}, expressionValues = {} } = {}
+) => {
+  const resolveName = name => expressionNames[name] || name
+  const updated = JSON.parse(JSON.stringify(item))
+  const clauses = expression.split(/\b(SET|REMOVE|ADD|DELETE)\b/i).slice(1)
+
+  for (let i = 0; i < clauses.length; i += 2) {
+    const action = clauses[i].toUpperCase()
+    splitActions(clauses[i + 1]).forEach(part => {
+      if (action === 'REMOVE') {
+        delete updated[resolveName(part)]
+        return
+      }
+      if (action !== 'SET') return
+
+      const [name, value] = part.split('=').map(side => side.trim())
+      const ifNotExists = /^if_not_exists\(\s*([^,]+),\s*(:\w+)\s*\)$/.exec(
+        value
+      )
+      const field = resolveName(name)
+      if (ifNotExists) {
+        if (!(field in updated)) {
+          updated[field] = expressionValues[ifNotExists[2]]
+        }
+      } else if (value in expressionValues) {
+        updated[field] = expressionValues[value]
+      }
+    })
+  }
+  return updated
+}
+
+const isSet = value => value && (value.SS || value.NS || value.BS)
+
+// AppSync's Automerge rules, applied to raw items: conflicting scalars keep
+// the stored value, lists are appended, sets are unioned and maps merged the
+// same way. New or null fields are taken from the mutation.
+const automerge = (existing, incoming) =>
+  Object.entries(incoming).reduce((sum, [field, value]) => {
+    const current = sum[field]
+    if (!current || current.NULL) return { ...sum, [field]: value }
+    if (current.L && value.L) {
+      return { ...sum, [field]: { L: [...current.L, ...value.L] } }
+    }
+    if (current.M && value.M) {
+      return { ...sum, [field]: { M: automerge(current.M, value.M) } }
+    }
+    const [setType] = Object.keys(current)
+    if (isSet(current) && value[setType]) {
+      return {
+        ...sum,
+        [field]: {
+          [setType]: Array.from(new Set([...current[setType], ...value[setType]]))
+        }
+      }
+    }
+    return sum
+  }, existing)
+
+// Returns the action of the conflict handler: `RESOLVE` with the `item` to
+// write, `REMOVE` or `REJECT`.
+const resolveConflict = async (conflictHandler, newItem, existing) => {
+  switch (conflictHandler.type) {
+    case 'AUTOMERGE':
+      return newItem
+        ? { action: 'RESOLVE', item: automerge(existing, newItem) }
+        : { action: 'REJECT' }
+    case 'LAMBDA': {
+      const { action, item } =
+        (await conflictHandler.invoke({
+          newItem: newItem && unmarshall(newItem),
+          existingItem: unmarshall(existing)
+        })) || {}
+      return { action, item: item && Converter.marshall(item) }
+    }
+    default:
+      return { action: 'REJECT' }
+  }
+}
+
+const recordDelta = async (
+  db,
+  dynamodbTables,
+  { deltaSyncTableName, deltaSyncTableTTL = DefaultDeltaSyncTableTTL },
+  table,
+  key,
+  item
+) => {
+  if (!deltaSyncTableName) return
+
+  const changedAt = Number(item._lastChangedAt.N)
+  const timestamp = new Date(changedAt).toISOString()
+  await db
+    .putItem({
+      TableName: dynamodbTables[deltaSyncTableName] || deltaSyncTableName,
+      Item: {
+        ...item,
+        ds_pk: { S: `${table}:${timestamp.slice(0, 10)}` },
+        ds_sk: {
+          S: [
+            timestamp.slice(11),
+            ...Object.values(unmarshall(key)),
+            versionOf(item)
+          ].join(':')
+        },
+        _ttl: {
+          N: String(Math.floor(changedAt / 1000) + deltaSyncTableTTL * 60)
+        }
+      }
+    })
+    .promise()
+}
+
+const writeVersionedItem = async (
+  db,
+  table,
+  { operation, key, condition, attributeValues, update = {} },
+  metadata
+) => {
+  if (operation === 'PutItem') {
+    const Item = { ...attributeValues, ...key, ...metadata }
+    await db
+      .putItem({
+        TableName: table,
+        Item,
+        ConditionExpression: condition.expression,
+        ExpressionAttributeNames: nullIfEmpty(condition.expressionNames),
+        ExpressionAttributeValues: nullIfEmpty(condition.expressionValues)
+      })
+      .promise()
+    return Item
+  }
+
+  // UpdateItem and DeleteItem, which flags the item as deleted.
+  const assignments = Object.keys(metadata).map(
+    field => `#${field} = :${field}`
+  )
+  const expression = /\bSET\b/i.test(update.expression || '')
+    ? update.expression.replace(/\bSET\b/i, `SET ${assignments.join(', ')},`)
+    : `SET ${assignments.join(', ')} ${update.expression || ''}`
+  const { Attributes: updated } = await db
+    .updateItem({
+      TableName: table,
+      Key: key,
+      UpdateExpression: expression.trim(),
+      ConditionExpression: condition.expression,
+      ExpressionAttributeNames: {
+        ...condition.expressionNames,
+        ...update.expressionNames,
+        ...Object.keys(metadata).reduce(
+          (sum, field) => ({ ...sum, [`#${field}`]: field }),
+          {}
+        )
+      },
+      ExpressionAttributeValues: {
+        ...condition.expressionValues,
+        ...update.expressionValues,
+        ...Object.entries(metadata).reduce(
+          (sum, [field, value]) => ({ ...sum, [`:${field}`]: value }),
+          {}
+        )
+      },
+      ReturnValues: 'ALL_NEW'
+    })
+    .promise()
+  return updated
+}
+
+// PutItem, UpdateItem and DeleteItem of versioned data sources. With conflict
+// detection the `_version` of the request has to match the stored item,
+// otherwise the conflict handler decides what is written.
+const versionedWrite = async (
+  db,
+  table,
+  dynamodbTables,
+  { deltaSyncConfig = {}, conflictHandler },
+  payload
+) => {
+  const { key, _version: expectedVersion, condition } = payload
+  const existing = await getRawItem(db, table, key)
+
+  let { operation } = payload
+  let newItem = null
+  if (operation === 'PutItem') newItem = { ...payload.attributeValues, ...key }
+  if (operation === 'UpdateItem') {
+    newItem = applyUpdate(existing || key, payload.update)
+  }
+
+  let write = {
+    key,
+    condition,
+    attributeValues: payload.attributeValues,
+    update: operation === 'UpdateItem' ? payload.update : {}
+  }
+
+  if (
+    conflictHandler &&
+    existing &&
+    Number(expectedVersion || 0) !== versionOf(existing)
+  ) {
+    const { action, item } = await resolveConflict(
+      conflictHandler,
+      newItem,
+      existing
+    )
+    if (action === 'RESOLVE') {
+      operation = 'PutItem'
+      write = { key, attributeValues: item }
+    } else if (action === 'REMOVE') {
+      operation = 'DeleteItem'
+      write = { key }
+    } else {
+      throw new ConflictUnhandledError(unmarshall(existing))
+    }
+  }
+
+  const changedAt = Date.now()
+  const { baseTableTTL = DefaultBaseTableTTL } = deltaSyncConfig
+  const metadata = {
+    _version: { N: String(versionOf(existing) + 1) },
+    _lastChangedAt: { N: String(changedAt) },
+    ...(operation === 'DeleteItem' ? { _deleted: { BOOL: true } } : {}),
+    ...(operation === 'DeleteItem' && baseTableTTL
+      ? { _ttl: { N: String(Math.floor(changedAt / 1000) + baseTableTTL * 60) } }
+      : {})
+  }
+  const written = await writeVersionedItem(
+    db,
+    table,
+    {
+      ...write,
+      operation,
+      condition: andExpression(write.condition, versionCheck(existing))
+    },
+    metadata
+  )
+  await recordDelta(db, dynamodbTables, deltaSyncConfig, table, key, written)
+  return unmarshall(written)
+}
+
+const omitDeltaSyncKeys = item =>
+  Object.entries(item)
+    .filter(([field]) => !DeltaSyncKeys.includes(field))
+    .reduce((sum, [field, value]) => ({ ...sum, [field]: value }), {})
+
+// Like AppSync, syncs without a recent `lastSync` read the base table and the
+// others read the changes recorded in the delta sync table since `lastSync`.
+const sync = async (
+  db,
+  table,
+  dynamodbTables,
+  { deltaSyncConfig = {} },
+  { limit, nextToken, lastSync, filter }
+) => {
+  const {
+    deltaSyncTableName,
+    deltaSyncTableTTL = DefaultDeltaSyncTableTTL
+  } = deltaSyncConfig
+  const token = nextToken
+    ? JSON.parse(Buffer.from(nextToken, 'base64').toString())
+    : {}
+  const startedAt = token.startedAt || Date.now()
+  const delta =
+    'delta' in token
+      ? token.delta
+      : Boolean(
+        deltaSyncTableName &&
+            lastSync &&
+            lastSync > startedAt - deltaSyncTableTTL * 60 * 1000
+      )
+
+  const result = delta
+    ? await scan(db, dynamodbTables[deltaSyncTableName] || deltaSyncTableName, {
+      limit,
+      nextToken: token.nextToken,
+      consistentRead: true,
+      filter: andExpression(filter, {
+        expression: '#_lastChangedAt > :_lastSync',
+        names: { '#_lastChangedAt': '_lastChangedAt' },
+        values: { ':_lastSync': { N: String(lastSync) } }
+      })
+    })
+    : await scan(db, table, {
+      limit,
+      nextToken: token.nextToken,
+      consistentRead: true,
+      filter
+    })
+
+  return {
+    items: result.items.map(omitDeltaSyncKeys),
+    nextToken: result.nextToken
+      ? Buffer.from(
+        JSON.stringify({ startedAt, delta, nextToken: result.nextToken })
+      ).toString('base64')
+      : null,
+    startedAt
+  }
+}
+
+const resolve = async (
+  dynamodb,
+  table,
+  dynamodbTables,
+  payload,
+  versioning = null
+) => {
+  if (versioning) {
+    switch (payload.operation) {
+      case 'PutItem':
+      case 'UpdateItem':
+      case 'DeleteItem':
+        return versionedWrite(
+          dynamodb,
+          dynamodbTables[table],
+          dynamodbTables,
+          versioning,
+          payload
+        )
+      case 'Sync':
+        return sync(
+          dynamodb,
+          dynamodbTables[table],
+          dynamodbTables,
+          versioning,
+          payload
+        )
+    }
+  }
+
   switch (payload.operation) {
     case 'GetItem':
       return getItem(dynamodb, dynamodbTables[table], payload)
@@ -447,6 +974,12 @@ const resolve = async (dynamodb, table, dynamodbTables, payload) => {
       return batchPutItem(dynamodb, dynamodbTables, payload)
     case 'BatchDeleteItem':
       return batchDeleteItem(dynamodb, dynamodbTables, payload)
+    case 'TransactGetItems':
+      return transactGetItems(dynamodb, dynamodbTables, payload)
+    case 'TransactWriteItems':
+      return transactWriteItems(dynamodb, dynamodbTables, payload)
+    case 'Sync':
+      throw new Error('Sync requires a versioned data source')
     default:
       throw new Error(`Unknown operation name: ${payload.operation}`)
   }
@@ -1,36 +1,124 @@
+const { URL, URLSearchParams } = require('url')
 const httpSource = require('./httpSource')
 
+// region and service of the signature, from hosts such as
+// search-posts-abc.eu-west-1.es.amazonaws.com.
+const signingScope = (host, { region, service }) => {
+  const [, hostRegion, hostService] =
+    /\.([a-z0-9-]+)\.(es|aoss)\.amazonaws\.com$/.exec(host) || []
+  return {
+    region: region || hostRegion || process.env.AWS_REGION || 'us-east-1',
+    service: service || hostService || 'es'
+  }
+}
+
+const getCredentials = AWS =>
+  new Promise((resolve, reject) =>
+    AWS.config.getCredentials((err, credentials) =>
+      err ? reject(err) : resolve(credentials)
+    )
+  )
+
+// SigV4 headers of a request, signed with the credentials of the AWS SDK.
+const signRequest = async (endpoint, { method, path, query, headers, body }, auth) => {
+  const AWS = require('aws-sdk')
+  const url = new URL(endpoint)
+  const { region, service } = signingScope(url.hostname, auth)
+  const search =
+    query && Object.keys(query).length ? `?${new URLSearchParams(query)}` : ''
+  const request = new AWS.HttpRequest(new AWS.Endpoint(endpoint), region)
+  Object.assign(request, {
+    method,
+    path: `${url.pathname.replace(/\/$/, '')}${path}${search}`,
+    body: body || ''
+  })
+  Object.assign(request.headers, headers, { host: url.host })
+  new AWS.Signers.V4(request, service).addAuthorization(
+    await getCredentials(AWS),
+    new Date()
+  )
+  return request.headers
+}
+
+const authHeaders = async (endpoint, request, auth) => {
+  if (auth.sigv4) return signRequest(endpoint, request, auth)
+  if (auth.username) {
+    const credentials = Buffer.from(`${auth.username}:${auth.password || ''}`)
+    return {
+      ...request.headers,
+      Authorization: `Basic ${credentials.toString('base64')}`
+    }
+  }
+  return request.headers
+}
+
+const parseBody = body => {
+  if (!body) return null
+  try {
+    return JSON.parse(body)
+  } catch (err) {
+    return body
+  }
+}
+
+// Errors of the domain, with the partial result for 2018-05-29 templates.
+const searchError = (statusCode, result, engine) => {
+  const error = result && typeof result === 'object' ? result.error : null
+  // older versions report the error as a string.
+  const { type = `HTTP${statusCode}`, reason = error } =
+    error && typeof error === 'object' ? error : {}
+  const message =
+    reason ||
+    (typeof result === 'string' && result) ||
+    `Request failed with status ${statusCode}`
+  return Object.assign(new Error(message), {
+    errorType: `${engine}:${type}`,
+    result
+  })
+}
+
+/**
+ * Sends a request of an Elasticsearch or OpenSearch resolver to `endpoint`.
+ * Requests are signed with SigV4 when `auth.sigv4` is set, or carry the basic
+ * auth `username` and `password`. Given a `searchEngine`, the in-memory engine
+ * handles the request instead.
+ */
 const elasticsearchSource = async (
   endpoint,
-  { path = '', operation = 'POST', params = {} }
+  { path = '', operation = 'POST', params = {} },
+  { engine = 'Elasticsearch', searchEngine, ...auth } = {}
 ) => {
-  // Temp override for local - TODO - add config options
-  endpoint = 'http://localhost:9200'
-
-  const esResult = await httpSource(endpoint, {
+  const hasBody = params.body && Object.entries(params.body).length > 0
+  const request = {
     // ES accepts GET/HEAD operations with a body,
     // but fetch forbids it.
-    method:
-      ['HEAD', 'GET'].includes(operation) &&
-      params.body &&
-      Object.entries(params.body).length > 0
-        ? 'POST'
-        : operation,
-    resourcePath: path,
-    params: {
-      query: params.queryString,
-      headers: {
-        'Content-Type': 'application/json',
-        ...params.headers
-      },
-      body:
-        params.body && Object.entries(params.body).length > 0
-          ? JSON.stringify(params.body)
-          : undefined
-    }
-  })
+    method: ['HEAD', 'GET'].includes(operation) && hasBody ? 'POST' : operation,
+    path,
+    query: params.queryString,
+    headers: {
+      'Content-Type': 'application/json',
+      ...params.headers
+    },
+    body: hasBody ? JSON.stringify(params.body) : undefined
+  }
+
+  const esResult = searchEngine
+    ? searchEngine.request(request)
+    : await httpSource(endpoint, {
+      method: request.method,
+      resourcePath: path,
+      params: {
+        query: request.query,
+        headers: await authHeaders(endpoint, request, auth),
+        body: request.body
+      }
+    })
 
-  return JSON.parse(esResult.body)
+  const result = parseBody(esResult.body)
+  if (esResult.statusCode >= 300) {
+    throw searchError(esResult.statusCode, result, engine)
+  }
+  return result
 }
 
 module.exports = elasticsearchSource
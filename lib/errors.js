@@ -0,0 +1,52 @@
+/**
+ * Records an error of a request on its context. Errors are kept in the order
+ * fields produce them, whether appended by a template or failing the field.
+ */
+const recordError = (context, error) => {
+  if (!context) return error
+  if (!context.appsyncErrors) {
+    // eslint-disable-next-line
+    context.appsyncErrors = []
+  }
+  if (!context.appsyncErrors.includes(error)) {
+    context.appsyncErrors.push(error)
+  }
+  return error
+}
+
+const field = (error, key) => {
+  const value = error[key] != null ? error[key] : (error.originalError || {})[key]
+  return value === undefined ? null : value
+}
+
+// the error format of AppSync responses.
+const toAppSyncError = error => ({
+  path: error.path || null,
+  data: field(error, 'data'),
+  errorType: field(error, 'errorType'),
+  errorInfo: field(error, 'errorInfo'),
+  locations: (error.locations || []).map(({ line, column }) => ({
+    line,
+    column,
+    sourceName: null
+  })),
+  message: error.message
+})
+
+/**
+ * The errors of a response: the errors recorded on the context followed by
+ * any other error graphql-js reported, e.g. null values of non-null fields.
+ */
+const collectErrors = (context, errors = []) => {
+  const recorded = context.appsyncErrors || []
+  return recorded
+    .concat(
+      errors.filter(
+        error =>
+          !recorded.includes(error) && !recorded.includes(error.originalError)
+      )
+    )
+    .map(toAppSyncError)
+}
+
+module.exports = { recordError, collectErrors }
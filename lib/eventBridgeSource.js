@@ -0,0 +1,145 @@
+const uuid = require('uuid')
+const consola = require('./log')
+const { LocalAccountId } = require('./auth')
+const { getEventBusName, matchesEventPattern } = require('./eventBus')
+
+// PutEvents accepts up to 10 events per request.
+const MaxEvents = 10
+const RequiredFields = { source: 'Source', detailType: 'DetailType', detail: 'Detail' }
+
+// serverless names the resource of function `my-fn` MyDashfnLambdaFunction.
+const functionLogicalId = name =>
+  `${name[0].toUpperCase()}${name
+    .slice(1)
+    .replace(/-/g, 'Dash')
+    .replace(/_/g, 'Underscore')}LambdaFunction`
+
+/**
+ * The serverless function of a rule target, given by the `Fn::GetAtt` of its
+ * resource or its ARN. Other targets are not run locally.
+ */
+const getTargetFunction = ({ Arn }, functions = {}) => {
+  if (Arn && Arn['Fn::GetAtt']) {
+    const [logicalId] = [].concat(Arn['Fn::GetAtt'])[0].split('.')
+    return Object.keys(functions).find(
+      name => functionLogicalId(name) === logicalId
+    )
+  }
+  const [, functionName] = /^arn:aws:lambda:.*:function:([^:]+)/.exec(Arn) || []
+  return (
+    functionName &&
+    Object.keys(functions).find(
+      name =>
+        functions[name].name === functionName ||
+        functionName.endsWith(`-${name}`)
+    )
+  )
+}
+
+// what targets receive: the event, a constant `Input` or part of the event.
+const getTargetInput = ({ Input, InputPath }, event) => {
+  if (Input) return JSON.parse(Input)
+  if (InputPath) {
+    return InputPath.replace(/^\$\.?/, '')
+      .split('.')
+      .filter(Boolean)
+      .reduce((value, key) => (value == null ? value : value[key]), event)
+  }
+  return event
+}
+
+const toEvent = ({ source, detailType, detail, resources = [], time }, region) => ({
+  version: '0',
+  id: uuid.v4(),
+  'detail-type': detailType,
+  source,
+  account: LocalAccountId,
+  time: time || new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+  region,
+  resources,
+  detail: typeof detail === 'string' ? JSON.parse(detail) : detail
+})
+
+const isJSON = value => {
+  try {
+    JSON.parse(value)
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+const invalidEntry = entry => {
+  const field = Object.keys(RequiredFields).find(key => entry[key] == null)
+  if (field) {
+    return {
+      ErrorCode: 'InvalidArgument',
+      ErrorMessage: `Parameter ${RequiredFields[field]} is not valid. Reason: ${RequiredFields[field]} is a required argument.`
+    }
+  }
+  // toEvent parses the detail, a bad one only fails its own entry.
+  if (typeof entry.detail === 'string' && !isJSON(entry.detail)) {
+    return {
+      ErrorCode: 'InvalidArgument',
+      ErrorMessage: 'Parameter Detail is not valid. Reason: Detail is not valid JSON.'
+    }
+  }
+  return null
+}
+
+/**
+ * Handles `PutEvents` requests. Events are recorded on the local `eventBus`
+ * and, like EventBridge, the Lambda targets of the matching `rules` are
+ * invoked asynchronously. Resolves to the PutEvents response.
+ */
+const eventBridgeSource = async (
+  { eventBus, rules, serverlessConfig, invokeFunction },
+  { eventBusArn },
+  { operation, events = [] }
+) => {
+  if (operation !== 'PutEvents') {
+    throw new Error(`Unsupported EventBridge operation: ${operation}`)
+  }
+  if (!events.length || events.length > MaxEvents) {
+    throw new Error(`events must be a list of 1 to ${MaxEvents} events`)
+  }
+
+  const { functions, provider = {}, resources = {} } = serverlessConfig
+  const eventBusName = getEventBusName(eventBusArn, resources.Resources)
+  const Entries = events.map(entry => {
+    const invalid = invalidEntry(entry)
+    if (invalid) return invalid
+
+    const event = toEvent(entry, provider.region || 'us-east-1')
+    const matched = rules.filter(
+      rule =>
+        rule.eventBusName === eventBusName &&
+        matchesEventPattern(rule.pattern, event)
+    )
+    eventBus.record({ eventBusName, event, rules: matched.map(({ name }) => name) })
+    consola.info('EventBridge event', eventBusName, event.id, event['detail-type'])
+
+    matched.forEach(rule =>
+      rule.targets.forEach(target => {
+        const functionName = getTargetFunction(target, functions)
+        if (!functionName) {
+          consola.warn(`Rule ${rule.name}: only Lambda targets are invoked`)
+          return
+        }
+        Promise.resolve()
+          .then(() => invokeFunction(functionName, getTargetInput(target, event)))
+          .catch(err =>
+            consola.error(`Rule ${rule.name}: ${functionName} failed\n`, err)
+          )
+      })
+    )
+    return { EventId: event.id }
+  })
+
+  return {
+    Entries,
+    FailedEntryCount: Entries.filter(({ ErrorCode }) => ErrorCode).length
+  }
+}
+
+module.exports = eventBridgeSource
@@ -0,0 +1,143 @@
+const EventRule = 'AWS::Events::Rule'
+const DefaultEventBus = 'default'
+
+const isObject = value => value !== null && typeof value === 'object'
+
+const wildcardPattern = wildcard =>
+  new RegExp(
+    `^${wildcard
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`
+  )
+
+const matchesNumeric = (conditions, value) => {
+  if (typeof value !== 'number') return false
+  const checks = {
+    '=': bound => value === bound,
+    '<': bound => value < bound,
+    '<=': bound => value <= bound,
+    '>': bound => value > bound,
+    '>=': bound => value >= bound
+  }
+  for (let index = 0; index < conditions.length; index += 2) {
+    if (!checks[conditions[index]](conditions[index + 1])) return false
+  }
+  return true
+}
+
+// a value of an event against one of the matchers listed in a pattern.
+const matchesValue = (matcher, value) => {
+  if (!isObject(matcher)) return matcher === value
+  const [[operator, operand]] = Object.entries(matcher)
+  switch (operator) {
+    case 'prefix':
+      return typeof value === 'string' && value.startsWith(operand)
+    case 'suffix':
+      return typeof value === 'string' && value.endsWith(operand)
+    case 'equals-ignore-case':
+      return (
+        typeof value === 'string' &&
+        value.toLowerCase() === operand.toLowerCase()
+      )
+    case 'wildcard':
+      return typeof value === 'string' && wildcardPattern(operand).test(value)
+    case 'numeric':
+      return matchesNumeric(operand, value)
+    case 'anything-but':
+      if (Array.isArray(operand)) return !operand.includes(value)
+      if (isObject(operand)) return !matchesValue(operand, value)
+      return value !== operand
+    default:
+      throw new Error(`Unsupported event pattern matcher: ${operator}`)
+  }
+}
+
+// matches any of the matchers, any value of lists matches.
+const matchesField = (matchers, value) =>
+  matchers.some(matcher => {
+    if (isObject(matcher) && 'exists' in matcher) {
+      return matcher.exists === (value !== undefined)
+    }
+    if (value === undefined) return false
+    return (Array.isArray(value) ? value : [value]).some(item =>
+      matchesValue(matcher, item)
+    )
+  })
+
+/**
+ * Whether `event` matches an EventBridge event pattern. Patterns list the
+ * values of fields, nested objects match the fields of the event under them.
+ */
+const matchesEventPattern = (pattern, event) =>
+  Object.entries(pattern).every(([key, matcher]) => {
+    if (key === '$or') {
+      return matcher.some(alternative => matchesEventPattern(alternative, event))
+    }
+    const value = isObject(event) ? event[key] : undefined
+    if (Array.isArray(matcher)) return matchesField(matcher, value)
+    return isObject(value) && matchesEventPattern(matcher, value)
+  })
+
+/**
+ * The name of an event bus given as a name, an ARN or a `Ref` or `Fn::GetAtt`
+ * of an `AWS::Events::EventBus` resource.
+ */
+const getEventBusName = (value, resources = {}) => {
+  if (!value) return DefaultEventBus
+  if (typeof value === 'string') return value.replace(/^arn:.*:event-bus\//, '')
+  const [logicalId = ''] = `${
+    value.Ref || [].concat(value['Fn::GetAtt'] || [])[0] || ''
+  }`.split('.')
+  const { Properties = {} } = resources[logicalId] || {}
+  return Properties.Name || logicalId || DefaultEventBus
+}
+
+/**
+ * The enabled `AWS::Events::Rule` resources with an event pattern.
+ */
+const getEventRules = ({ resources: { Resources = {} } = {} } = {}) =>
+  Object.entries(Resources)
+    .filter(
+      ([, { Type, Properties = {} }]) =>
+        Type === EventRule &&
+        Properties.EventPattern &&
+        Properties.State !== 'DISABLED'
+    )
+    .map(([logicalId, { Properties }]) => ({
+      name: Properties.Name || logicalId,
+      eventBusName: getEventBusName(Properties.EventBusName, Resources),
+      pattern:
+        typeof Properties.EventPattern === 'string'
+          ? JSON.parse(Properties.EventPattern)
+          : Properties.EventPattern,
+      targets: Properties.Targets || []
+    }))
+
+/**
+ * Keeps the events put on the local event buses, along with the rules they
+ * matched, for tests to look at.
+ */
+const createEventBus = () => {
+  const events = []
+  return {
+    record: entry => events.push(entry),
+    list: ({ eventBusName, source, detailType } = {}) =>
+      events.filter(
+        ({ eventBusName: busName, event }) =>
+          (!eventBusName || busName === eventBusName) &&
+          (!source || event.source === source) &&
+          (!detailType || event['detail-type'] === detailType)
+      ),
+    clear: () => {
+      events.length = 0
+    }
+  }
+}
+
+module.exports = {
+  createEventBus,
+  getEventRules,
+  getEventBusName,
+  matchesEventPattern
+}
@@ -0,0 +1,220 @@
+const { generateTestJWT } = require('./testJWT')
+const {
+  API_KEY,
+  AMAZON_COGNITO_USER_POOLS,
+  OPENID_CONNECT,
+  AWS_IAM,
+  AWS_LAMBDA
+} = require('./auth')
+
+// served by the emulator so the explorer works offline.
+const explorerAssets = {
+  'graphiql.min.css': require.resolve('graphiql/graphiql.min.css'),
+  'graphiql.min.js': require.resolve('graphiql/graphiql.min.js'),
+  'react.min.js': require.resolve('react/umd/react.production.min.js'),
+  'react-dom.min.js': require.resolve('react-dom/umd/react-dom.production.min.js')
+}
+
+const cognitoIssuer = ({ userPoolId, awsRegion } = {}) => {
+  if (typeof userPoolId !== 'string') return undefined
+  const region = awsRegion || userPoolId.split('_')[0]
+  return `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`
+}
+
+/**
+ * Header presets for each configured authentication provider. JWT based
+ * providers are marked `generate` as their tokens are issued by
+ * `createTestToken`, unless tokens are verified.
+ */
+const getAuthPresets = ({ providers = [], apiKey, jwtKeys } = {}) =>
+  providers.map(({ authenticationType }) => {
+    switch (authenticationType) {
+      case API_KEY:
+        return {
+          authType: authenticationType,
+          header: 'x-api-key',
+          value: [].concat(apiKey || 'da2-local')[0]
+        }
+      case AMAZON_COGNITO_USER_POOLS:
+      case OPENID_CONNECT:
+        return {
+          authType: authenticationType,
+          header: 'Authorization',
+          value: '',
+          generate: !jwtKeys
+        }
+      case AWS_IAM:
+        return {
+          authType: authenticationType,
+          header: 'Authorization',
+          value:
+            'AWS4-HMAC-SHA256 Credential=AKIALOCALEXPLORER/19700101/local/appsync/aws4_request, SignedHeaders=host, Signature=local'
+        }
+      case AWS_LAMBDA:
+        return {
+          authType: authenticationType,
+          header: 'Authorization',
+          value: 'local-token'
+        }
+      default:
+        return { authType: authenticationType, header: 'Authorization', value: '' }
+    }
+  })
+
+/**
+ * Issues an unsigned test JWT accepted by the user pool or OIDC provider of
+ * `authType` while tokens are not verified. `username` and `groups` become
+ * the cognito claims.
+ */
+const createTestToken = (
+  { providers = [] } = {},
+  { authType = AMAZON_COGNITO_USER_POOLS, username, groups = [], claims = {} } = {}
+) => {
+  const provider =
+    providers.find(
+      ({ authenticationType }) => authenticationType === authType
+    ) || {}
+  const iss =
+    authType === OPENID_CONNECT
+      ? (provider.openIdConnectConfig || {}).issuer
+      : cognitoIssuer(provider.userPoolConfig)
+  const now = Math.floor(Date.now() / 1000)
+  const { appIdClientRegex } = provider.userPoolConfig || {}
+  const { clientId } = provider.openIdConnectConfig || {}
+  const aud = authType === OPENID_CONNECT ? clientId : appIdClientRegex
+
+  const payload = {
+    ...(typeof iss === 'string' ? { iss } : {}),
+    // a client id regex is only usable when it is a plain id.
+    ...(typeof aud === 'string' && /^[\w-]+$/.test(aud) ? { aud } : {}),
+    ...(username ? { 'cognito:username': username } : {}),
+    ...(groups.length ? { 'cognito:groups': groups } : {}),
+    iat: now,
+    auth_time: now,
+    exp: now + 60 * 60,
+    ...claims
+  }
+  return generateTestJWT(payload)
+}
+
+// keeps the embedded json from closing the script tag.
+const toScriptJSON = value =>
+  JSON.stringify(value).replace(/</g, '\\u003c')
+
+/**
+ * Renders the GraphiQL explorer with an auth panel prefilled with the header
+ * presets of the API.
+ */
+const renderExplorer = authConfig => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>AppSync Emulator</title>
+  <link rel="stylesheet" href="/graphql/explorer/graphiql.min.css" />
+  <style>
+    html, body { height: 100%; margin: 0; font-family: sans-serif; font-size: 13px; }
+    body { display: flex; flex-direction: column; }
+    #auth { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; padding: 8px; background: #f3f3f3; border-bottom: 1px solid #d0d0d0; }
+    #auth input { padding: 3px; }
+    #auth-value { flex: 1; min-width: 200px; font-family: monospace; }
+    #graphiql { flex: 1; }
+  </style>
+</head>
+<body>
+  <form id="auth" onsubmit="return false">
+    <label>Auth <select id="auth-type"></select></label>
+    <code id="auth-header"></code>
+    <input id="auth-value" placeholder="header value" />
+    <span id="auth-jwt">
+      <input id="auth-username" placeholder="username" />
+      <input id="auth-groups" placeholder="groups (comma separated)" />
+      <button id="auth-generate" type="button">Generate JWT</button>
+    </span>
+  </form>
+  <div id="graphiql"></div>
+  <script src="/graphql/explorer/react.min.js"></script>
+  <script src="/graphql/explorer/react-dom.min.js"></script>
+  <script src="/graphql/explorer/graphiql.min.js"></script>
+  <script>
+    var presets = ${toScriptJSON(getAuthPresets(authConfig))};
+    var stored = JSON.parse(localStorage.getItem('appsync-emulator:auth') || '{}');
+    var $ = function (id) { return document.getElementById(id); };
+    var current = function () { return presets[$('auth-type').selectedIndex] || {}; };
+
+    presets.forEach(function (preset) {
+      var option = document.createElement('option');
+      option.textContent = preset.authType;
+      $('auth-type').appendChild(option);
+      preset.value = stored[preset.authType] || preset.value;
+    });
+
+    var save = function () {
+      current().value = $('auth-value').value;
+      presets.forEach(function (preset) { stored[preset.authType] = preset.value; });
+      localStorage.setItem('appsync-emulator:auth', JSON.stringify(stored));
+    };
+
+    var generate = function () {
+      return fetch(location.pathname.replace(/\\/$/, '') + '/explorer/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          authType: current().authType,
+          username: $('auth-username').value || undefined,
+          groups: $('auth-groups').value.split(',').map(function (group) {
+            return group.trim();
+          }).filter(Boolean)
+        })
+      }).then(function (res) { return res.json(); }).then(function (body) {
+        $('auth-value').value = body.token;
+        save();
+      });
+    };
+
+    var select = function () {
+      var preset = current();
+      $('auth-header').textContent = preset.header + ':';
+      $('auth-value').value = preset.value;
+      $('auth-jwt').style.display = preset.generate ? '' : 'none';
+      if (preset.generate && !preset.value) generate();
+    };
+
+    $('auth-type').onchange = function () {
+      stored.selected = current().authType;
+      save();
+      select();
+    };
+    $('auth-value').oninput = save;
+    $('auth-generate').onclick = generate;
+    $('auth-type').selectedIndex = Math.max(0, presets.findIndex(function (preset) {
+      return preset.authType === stored.selected;
+    }));
+    select();
+
+    var fetcher = function (params) {
+      var headers = { 'Content-Type': 'application/json' };
+      if (current().header && $('auth-value').value) {
+        headers[current().header] = $('auth-value').value;
+      }
+      return fetch(location.pathname, {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify(params)
+      }).then(function (res) { return res.json(); });
+    };
+
+    ReactDOM.render(
+      React.createElement(GraphiQL, { fetcher: fetcher, headerEditorEnabled: false }),
+      $('graphiql')
+    );
+  </script>
+</body>
+</html>
+`
+
+module.exports = {
+  explorerAssets,
+  getAuthPresets,
+  createTestToken,
+  renderExplorer
+}
@@ -0,0 +1,75 @@
+const {
+  API_KEY,
+  AMAZON_COGNITO_USER_POOLS,
+  OPENID_CONNECT,
+  AWS_IAM,
+  AWS_LAMBDA,
+  LocalAccountId
+} = require('./auth')
+
+const UnknownSourceIp = '0.0.0.0'
+
+// AppSync lists the x-forwarded-for chain, the caller's own address otherwise.
+const getSourceIp = (request = {}) => {
+  const { headers = {} } = request
+  const forwarded = headers['x-forwarded-for']
+  if (forwarded) {
+    return forwarded.split(',').map(ip => ip.trim()).filter(Boolean)
+  }
+  const address =
+    request.ip || (request.socket && request.socket.remoteAddress)
+  return [address ? address.replace(/^::ffff:/, '') : UnknownSourceIp]
+}
+
+const cognitoIdentity = ({ jwt, defaultAuthStrategy }, sourceIp) => ({
+  sub: jwt ? jwt.sub : null,
+  issuer: jwt ? jwt.iss : null,
+  // access tokens carry the user name in `username`.
+  username: jwt ? jwt['cognito:username'] || jwt.username : null,
+  claims: jwt,
+  sourceIp,
+  defaultAuthStrategy: defaultAuthStrategy || 'ALLOW',
+  groups: (jwt && jwt['cognito:groups']) || null
+})
+
+// The caller is only known by its access key, the rest comes from the
+// `iamIdentity` emulator setting.
+const iamIdentity = ({ iam = {} }, sourceIp) => {
+  const accountId = iam.accountId || LocalAccountId
+  const username = iam.username || iam.accessKeyId
+  return {
+    accountId,
+    cognitoIdentityPoolId: iam.cognitoIdentityPoolId || null,
+    cognitoIdentityId: iam.cognitoIdentityId || null,
+    sourceIp,
+    username,
+    userArn: iam.userArn || `arn:aws:iam::${accountId}:user/${username}`,
+    cognitoIdentityAuthType: iam.cognitoIdentityAuthType || null,
+    cognitoIdentityAuthProvider: iam.cognitoIdentityAuthProvider || null
+  }
+}
+
+const identities = {
+  [API_KEY]: () => null,
+  [AMAZON_COGNITO_USER_POOLS]: cognitoIdentity,
+  [OPENID_CONNECT]: ({ jwt }) => ({
+    sub: jwt.sub,
+    issuer: jwt.iss,
+    claims: jwt
+  }),
+  [AWS_IAM]: iamIdentity,
+  [AWS_LAMBDA]: ({ resolverContext }) => ({
+    resolverContext: resolverContext || {}
+  })
+}
+
+/**
+ * Builds `$ctx.identity` for the auth mode the request was authorized with.
+ * Contexts without an `authType` get the user pool identity.
+ */
+const getIdentity = context => {
+  const identity = identities[context.authType] || cognitoIdentity
+  return identity(context, getSourceIp(context.request))
+}
+
+module.exports = { getIdentity, getSourceIp }
@@ -0,0 +1,197 @@
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+const acorn = require('acorn')
+const walk = require('acorn-walk')
+
+const UtilsModule = '@aws-appsync/utils'
+const Timeout = 1000
+
+// What the APPSYNC_JS runtime rejects, by AST node type.
+const Unsupported = {
+  TryStatement: 'try statements',
+  ThrowStatement: 'throw statements',
+  ContinueStatement: 'continue statements',
+  LabeledStatement: 'labeled statements',
+  ForStatement: 'for loops (use for-in or for-of)',
+  WhileStatement: 'while loops',
+  DoWhileStatement: 'do-while loops',
+  ClassDeclaration: 'classes',
+  ClassExpression: 'classes',
+  AwaitExpression: 'await',
+  YieldExpression: 'generators'
+}
+
+class CodeError extends Error {}
+
+// thrown by `runtime.earlyReturn` to skip the rest of the resolver.
+class EarlyReturn {
+  constructor (data) {
+    this.data = data === undefined ? null : data
+  }
+}
+
+const runtime = {
+  earlyReturn (data) {
+    throw new EarlyReturn(data)
+  }
+}
+
+const functionName = (node, parent) => {
+  if (node.id) return node.id.name
+  if (parent && parent.type === 'VariableDeclarator') return parent.id.name
+  return null
+}
+
+const validate = (ast, fail) => {
+  walk.fullAncestor(ast, (node, state, ancestors) => {
+    if (Unsupported[node.type]) {
+      fail(node, `${Unsupported[node.type]} are not supported`)
+    }
+    if (/Function/.test(node.type) && (node.async || node.generator)) {
+      fail(node, 'async functions and generators are not supported')
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+      const recursive = ancestors.some(
+        (ancestor, index) =>
+          /Function/.test(ancestor.type) &&
+          functionName(ancestor, ancestors[index - 1]) === node.callee.name
+      )
+      if (recursive) {
+        fail(node, `recursive calls are not supported (${node.callee.name})`)
+      }
+    }
+  })
+}
+
+const importStatement = (node, fail) => {
+  if (node.source.value !== UtilsModule) {
+    fail(node, `only ${UtilsModule} can be imported, bundle other modules`)
+  }
+  const module = `__modules['${UtilsModule}']`
+  const names = []
+  const statements = []
+  node.specifiers.forEach(specifier => {
+    if (specifier.type === 'ImportNamespaceSpecifier') {
+      statements.push(`const ${specifier.local.name} = ${module};`)
+    } else if (specifier.type === 'ImportDefaultSpecifier') {
+      fail(node, `${UtilsModule} has no default export`)
+    } else {
+      names.push(`${specifier.imported.name}: ${specifier.local.name}`)
+    }
+  })
+  if (names.length) statements.push(`const { ${names.join(', ')} } = ${module};`)
+  return statements.join(' ')
+}
+
+const declaredNames = (declaration, fail) => {
+  if (declaration.type !== 'VariableDeclaration') return [declaration.id.name]
+  return declaration.declarations.map(({ id }) => {
+    if (id.type !== 'Identifier') fail(id, 'destructured exports are not supported')
+    return id.name
+  })
+}
+
+/**
+ * Turns an APPSYNC_JS module into a script for the sandbox. Imports of
+ * `@aws-appsync/utils` read `__modules` and exports are set on `__exports`.
+ */
+const compile = (code, filename) => {
+  const fail = (node, message) => {
+    const { line, column } = node.loc.start
+    throw new CodeError(
+      `${filename}:${line}:${column + 1} ${message} by the APPSYNC_JS runtime`
+    )
+  }
+
+  let ast
+  try {
+    ast = acorn.parse(code, {
+      ecmaVersion: 2020,
+      sourceType: 'module',
+      locations: true
+    })
+  } catch (err) {
+    throw new CodeError(`${filename}: ${err.message}`)
+  }
+  validate(ast, fail)
+
+  const edits = []
+  const exported = []
+  ast.body.forEach(node => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+        edits.push([node.start, node.end, importStatement(node, fail)])
+        break
+      case 'ExportNamedDeclaration':
+        if (node.source) fail(node, 're-exports are not supported')
+        if (node.declaration) {
+          edits.push([node.start, node.declaration.start, ''])
+          declaredNames(node.declaration, fail).forEach(name =>
+            exported.push([name, name])
+          )
+        } else {
+          edits.push([node.start, node.end, ''])
+          node.specifiers.forEach(({ local, exported: name }) =>
+            exported.push([name.name, local.name])
+          )
+        }
+        break
+      case 'ExportDefaultDeclaration':
+      case 'ExportAllDeclaration':
+        fail(node, 'only named exports are supported')
+        break
+      default:
+    }
+  })
+
+  const script = edits
+    .reverse()
+    .reduce(
+      (sum, [start, end, text]) => sum.slice(0, start) + text + sum.slice(end),
+      code
+    )
+  return `${script}\n${exported
+    .map(([name, local]) => `__exports.${name} = ${local};`)
+    .join('\n')}`
+}
+
+// values leave the sandbox as JSON, the way AppSync serializes them.
+const toPlain = value =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value))
+
+/**
+ * Runs the `request` or `response` handler exported by the code file at
+ * `fullPath` with `ctx`. `modules` holds the `util` and `extensions` of
+ * `@aws-appsync/utils`. Resolves to `{ result, returned }`, `returned`
+ * being set when the handler called `runtime.earlyReturn`.
+ */
+const runCode = (fullPath, handler, ctx, { util, extensions }) => {
+  const filename = path.relative(process.cwd(), fullPath)
+  const script = compile(fs.readFileSync(fullPath, 'utf8'), filename)
+  const sandbox = vm.createContext({
+    __modules: { [UtilsModule]: { util, runtime, extensions } },
+    __exports: {},
+    __ctx: ctx,
+    console
+  })
+  vm.runInContext(script, sandbox, { filename, timeout: Timeout })
+  if (typeof sandbox.__exports[handler] !== 'function') {
+    throw new CodeError(`${filename} must export a ${handler} function`)
+  }
+
+  try {
+    const result = vm.runInContext(`__exports.${handler}(__ctx)`, sandbox, {
+      filename,
+      timeout: Timeout
+    })
+    return { result: toPlain(result), returned: false }
+  } catch (err) {
+    if (err instanceof EarlyReturn) {
+      return { result: toPlain(err.data), returned: true }
+    }
+    throw err
+  }
+}
+
+module.exports = { runCode, compile, toPlain, CodeError }
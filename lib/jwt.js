@@ -0,0 +1,207 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const jsonwebtoken = require('jsonwebtoken')
+
+const AMAZON_COGNITO_USER_POOLS = 'AMAZON_COGNITO_USER_POOLS'
+const CognitoTokenUses = ['id', 'access']
+
+const readFile = file => fs.readFileSync(path.resolve(file), 'utf8')
+
+// DER encoding of the SubjectPublicKeyInfo of an RSA key, built by hand as
+// node only reads JWKs from 15.12 on.
+const derLength = length => {
+  if (length < 0x80) return Buffer.from([length])
+  const bytes = []
+  for (let rest = length; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff)
+  return Buffer.from([0x80 | bytes.length, ...bytes])
+}
+
+const der = (tag, content) =>
+  Buffer.concat([Buffer.from([tag]), derLength(content.length), content])
+
+const derInteger = base64url => {
+  const bytes = Buffer.from(
+    base64url.replace(/-/g, '+').replace(/_/g, '/'),
+    'base64'
+  )
+  // integers are signed, a leading 1 bit needs a zero byte ahead of it.
+  return der(
+    0x02,
+    bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes
+  )
+}
+
+// rsaEncryption OID with NULL parameters.
+const RSAAlgorithmIdentifier = Buffer.from(
+  '300d06092a864886f70d0101010500',
+  'hex'
+)
+
+const jwkToPem = ({ n, e }) => {
+  const rsaPublicKey = der(0x30, Buffer.concat([derInteger(n), derInteger(e)]))
+  const spki = der(
+    0x30,
+    Buffer.concat([
+      RSAAlgorithmIdentifier,
+      der(0x03, Buffer.concat([Buffer.from([0]), rsaPublicKey]))
+    ])
+  )
+  const lines = spki.toString('base64').match(/.{1,64}/g)
+  return `-----BEGIN PUBLIC KEY-----\n${lines.join(
+    '\n'
+  )}\n-----END PUBLIC KEY-----\n`
+}
+
+// Raised for tokens failing verification. `expired` tells expired tokens
+// apart as AppSync reports them with their own message.
+class InvalidTokenError extends Error {
+  constructor (message, expired = false) {
+    super(message)
+    this.expired = expired
+  }
+}
+
+/**
+ * Loads the keys tokens are verified with from the `jwt` emulator settings:
+ * the keys of a `jwks` file, a `publicKey` PEM file or the public key of
+ * `privateKey`. One of them is required, tokens could not verify otherwise.
+ */
+const loadJWTKeys = ({ jwks, publicKey, privateKey } = {}) => {
+  if (!jwks && !publicKey && !privateKey) {
+    throw new Error(
+      'jwt.verify requires the jwks, publicKey or privateKey to verify tokens with'
+    )
+  }
+
+  const publicKeys = []
+  if (jwks) {
+    const { keys = [] } = JSON.parse(readFile(jwks))
+    // tokens are verified with RS256, other keys are of no use.
+    keys
+      .filter(({ kty }) => kty === 'RSA')
+      .forEach(jwk => publicKeys.push({ kid: jwk.kid, pem: jwkToPem(jwk) }))
+  }
+  if (publicKey) {
+    publicKeys.push({ kid: null, pem: readFile(publicKey) })
+  }
+  if (privateKey && !jwks && !publicKey) {
+    publicKeys.push({
+      kid: null,
+      pem: crypto
+        .createPublicKey(readFile(privateKey))
+        .export({ type: 'spki', format: 'pem' })
+    })
+  }
+
+  return { publicKeys }
+}
+
+const cognitoIssuer = ({ userPoolId, awsRegion }) =>
+  `https://cognito-idp.${awsRegion ||
+    userPoolId.split('_')[0]}.amazonaws.com/${userPoolId}`
+
+const trimSlash = value => value.replace(/\/$/, '')
+
+const verifySignature = (token, header, publicKeys) => {
+  const keys = publicKeys.filter(
+    ({ kid }) => !kid || !header.kid || kid === header.kid
+  )
+  if (!keys.length) {
+    throw new InvalidTokenError(`No key found for kid ${header.kid}`)
+  }
+
+  let lastError
+  for (const { pem } of keys) {
+    try {
+      return jsonwebtoken.verify(token, pem, { algorithms: ['RS256'] })
+    } catch (err) {
+      if (err instanceof jsonwebtoken.TokenExpiredError) {
+        throw new InvalidTokenError('Token has expired.', true)
+      }
+      lastError = err
+    }
+  }
+  throw new InvalidTokenError(lastError.message)
+}
+
+const verifyCognitoClaims = (claims, { userPoolConfig = {} }) => {
+  const { userPoolId, appIdClientRegex } = userPoolConfig
+  if (!CognitoTokenUses.includes(claims.token_use)) {
+    throw new InvalidTokenError(`Invalid token_use: ${claims.token_use}`)
+  }
+  if (
+    typeof userPoolId === 'string' &&
+    claims.iss !== cognitoIssuer(userPoolConfig)
+  ) {
+    throw new InvalidTokenError(
+      `Token issuer ${claims.iss} does not match user pool ${userPoolId}`
+    )
+  }
+
+  // id tokens carry the app client id in aud and access tokens in client_id.
+  const clientId = claims.token_use === 'id' ? claims.aud : claims.client_id
+  if (
+    typeof appIdClientRegex === 'string' &&
+    !new RegExp(appIdClientRegex).test(clientId)
+  ) {
+    throw new InvalidTokenError(
+      `Token client ${clientId} does not match ${appIdClientRegex}`
+    )
+  }
+}
+
+const verifyOIDCClaims = (claims, { openIdConnectConfig = {} }, now) => {
+  const { issuer, clientId, iatTTL, authTTL } = openIdConnectConfig
+  if (
+    typeof issuer === 'string' &&
+    trimSlash(claims.iss || '') !== trimSlash(issuer)
+  ) {
+    throw new InvalidTokenError(
+      `Token issuer ${claims.iss} does not match ${issuer}`
+    )
+  }
+  if (
+    typeof clientId === 'string' &&
+    ![].concat(claims.aud).includes(clientId)
+  ) {
+    throw new InvalidTokenError(
+      `Token audience ${claims.aud} does not match ${clientId}`
+    )
+  }
+  // the TTLs are in milliseconds.
+  if (iatTTL && now - claims.iat * 1000 > iatTTL) {
+    throw new InvalidTokenError('Token has expired.', true)
+  }
+  if (authTTL && now - claims.auth_time * 1000 > authTTL) {
+    throw new InvalidTokenError('Token has expired.', true)
+  }
+}
+
+/**
+ * Verifies the signature, `exp` and `iat` of a user pool or OIDC token as
+ * well as the claims checked against the `provider` config: the issuer, the
+ * client id and for user pools `token_use`. Returns the claims or throws an
+ * InvalidTokenError.
+ */
+const verifyJWT = (token, provider, { publicKeys }) => {
+  const decoded = jsonwebtoken.decode(token, { complete: true })
+  if (!decoded) {
+    throw new InvalidTokenError('Unable to parse JWT token.')
+  }
+
+  const claims = verifySignature(token, decoded.header, publicKeys)
+  const now = Date.now()
+  if (typeof claims.iat !== 'number' || claims.iat * 1000 > now) {
+    throw new InvalidTokenError(`Invalid iat: ${claims.iat}`)
+  }
+
+  if (provider.authenticationType === AMAZON_COGNITO_USER_POOLS) {
+    verifyCognitoClaims(claims, provider)
+  } else {
+    verifyOIDCClaims(claims, provider, now)
+  }
+  return claims
+}
+
+module.exports = { InvalidTokenError, loadJWTKeys, verifyJWT }
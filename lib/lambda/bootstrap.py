@@ -0,0 +1,52 @@
+# Minimal local bootstrap used by lambdaRunnerPython. Reads the event from
+# stdin, invokes the handler and writes the JSON result to file descriptor 3 so
+# anything the handler prints to stdout stays in the logs.
+import importlib
+import json
+import os
+import sys
+import traceback
+import uuid
+
+
+class LambdaContext(object):
+    def __init__(self, function_name):
+        self.function_name = function_name
+        self.function_version = '$LATEST'
+        self.invoked_function_arn = 'arn:aws:lambda:local:000000000000:function:' + function_name
+        self.memory_limit_in_mb = '128'
+        self.aws_request_id = str(uuid.uuid4())
+        self.log_group_name = '/aws/lambda/' + function_name
+        self.log_stream_name = 'local'
+
+    def get_remaining_time_in_millis(self):
+        return 300000
+
+
+def main():
+    task_root, module_name, handler_method = sys.argv[1:4]
+    result_pipe = os.fdopen(3, 'w')
+
+    try:
+        # like Lambda, modules are imported by their dotted path from the
+        # task root, which is where the handler finds its own packages.
+        sys.path.insert(0, task_root)
+        module = importlib.import_module(module_name)
+        handler = getattr(module, handler_method)
+        event = json.loads(sys.stdin.read() or 'null')
+        result = handler(event, LambdaContext(handler_method))
+        result_pipe.write(json.dumps(result))
+    except Exception as err:
+        result_pipe.write(json.dumps({
+            'errorMessage': str(err),
+            'errorType': type(err).__name__,
+            'stackTrace': traceback.format_exc().splitlines()
+        }))
+        result_pipe.close()
+        sys.exit(1)
+
+    result_pipe.close()
+
+
+if __name__ == '__main__':
+    main()
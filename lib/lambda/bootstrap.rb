@@ -0,0 +1,54 @@
+# Minimal local bootstrap used by lambdaRunnerRuby. Reads the event from
+# stdin, invokes the handler and writes the JSON result to file descriptor 3 so
+# anything the handler prints to stdout stays in the logs.
+require 'json'
+require 'securerandom'
+
+LambdaContext = Struct.new(
+  :function_name,
+  :function_version,
+  :invoked_function_arn,
+  :memory_limit_in_mb,
+  :aws_request_id,
+  :log_group_name,
+  :log_stream_name
+) do
+  def get_remaining_time_in_millis
+    300_000
+  end
+end
+
+task_root, module_path, handler_method = ARGV
+result_pipe = IO.new(3, 'w')
+
+begin
+  # like Lambda, handlers require their own files from the task root.
+  $LOAD_PATH.unshift(task_root)
+  require module_path
+  event = JSON.parse(STDIN.read)
+  context = LambdaContext.new(
+    handler_method,
+    '$LATEST',
+    "arn:aws:lambda:local:000000000000:function:#{handler_method}",
+    '128',
+    SecureRandom.uuid,
+    "/aws/lambda/#{handler_method}",
+    'local'
+  )
+
+  # Handlers are either top level methods or Module::Class.method.
+  receiver_name, _, method_name = handler_method.rpartition('.')
+  receiver = receiver_name.empty? ? self : Object.const_get(receiver_name)
+  result = receiver.send(method_name, event: event, context: context)
+  result_pipe.write(JSON.generate(result))
+rescue StandardError, ScriptError => err
+  result_pipe.write(JSON.generate(
+    errorMessage: err.message,
+    errorType: err.class.name,
+    stackTrace: err.backtrace || []
+  ))
+  result_pipe.close
+  exit 1
+end
+
+result_pipe.close
@@ -0,0 +1,125 @@
+const http = require('http')
+const { spawn } = require('child_process')
+const uuid = require('uuid')
+const log = require('../log')
+
+const Prefix = '/2018-06-01/runtime'
+
+const readBody = req =>
+  new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk
+    })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+
+const parseJSON = text => {
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return text
+  }
+}
+
+/**
+ * Serves a single invocation of the Lambda Runtime API
+ * (https://docs.aws.amazon.com/lambda/latest/dg/runtimes-api.html) so
+ * custom runtimes and aws-lambda-go binaries can run locally unmodified.
+ *
+ * Resolves `host` (the value for AWS_LAMBDA_RUNTIME_API) once listening.
+ * `result` settles with the handler response or rejects with the error the
+ * runtime reported.
+ */
+const createRuntimeApi = async ({ payload, functionName = 'local' }) => {
+  const requestId = uuid.v4()
+  let settle
+  const result = new Promise((resolve, reject) => {
+    settle = { resolve, reject }
+  })
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req)
+
+    if (req.method === 'GET' && req.url === `${Prefix}/invocation/next`) {
+      if (server.invoked) {
+        // the runtime polls for the next event after responding. Leave the
+        // request open as the process is stopped once we have a result.
+        return
+      }
+      server.invoked = true
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Lambda-Runtime-Aws-Request-Id': requestId,
+        'Lambda-Runtime-Deadline-Ms': String(Date.now() + 300000),
+        'Lambda-Runtime-Invoked-Function-Arn': `arn:aws:lambda:local:000000000000:function:${functionName}`
+      })
+      return res.end(JSON.stringify(payload))
+    }
+
+    res.writeHead(202, { 'Content-Type': 'application/json' })
+    res.end('{"status":"OK"}')
+
+    switch (req.url) {
+      case `${Prefix}/invocation/${requestId}/response`:
+        return settle.resolve(parseJSON(body))
+      case `${Prefix}/invocation/${requestId}/error`:
+      case `${Prefix}/init/error`:
+        log.error('Lambda runtime reported an error', body)
+        return settle.reject(parseJSON(body))
+      default:
+        log.warn('Unknown runtime api request', req.method, req.url)
+    }
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+
+  return {
+    host: `127.0.0.1:${port}`,
+    result,
+    fail: err => settle.reject(err),
+    close: () => server.close()
+  }
+}
+
+/**
+ * Starts `command` as a Lambda runtime pointed at a local Runtime API and
+ * resolves with the response of its first invocation.
+ */
+const invokeRuntime = async ({
+  command,
+  args = [],
+  cwd,
+  handler,
+  functionName,
+  payload
+}) => {
+  const api = await createRuntimeApi({ payload, functionName })
+  const proc = spawn(command, args, {
+    cwd,
+    env: {
+      ...process.env,
+      AWS_LAMBDA_RUNTIME_API: api.host,
+      AWS_LAMBDA_FUNCTION_NAME: functionName,
+      LAMBDA_TASK_ROOT: cwd,
+      _HANDLER: handler
+    },
+    stdio: ['ignore', 'inherit', 'inherit']
+  })
+
+  proc.on('error', api.fail)
+  proc.on('exit', code =>
+    api.fail(new Error(`Runtime exited with code ${code} before responding`))
+  )
+
+  try {
+    return await api.result
+  } finally {
+    proc.kill()
+    api.close()
+  }
+}
+
+module.exports = { createRuntimeApi, invokeRuntime }
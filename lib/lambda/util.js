@@ -34,67 +34,46 @@ function installExceptionHandlers() {
   })
 }
 
-function installStdIOHandlers(runtime, proc, payload) {
-  let results = ''
-  let allResults = ''
-  let errorResult = ''
+const parseJSON = (text, fallback) => {
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return fallback
+  }
+}
 
-  proc.stdin.write(`${JSON.stringify(payload)}\n`)
-  proc.stdin.end()
+// Feeds the payload to a bootstrap process over stdin and reads the
+// serialized handler result from file descriptor 3 (see bootstrap.py/.rb).
+function installBootstrapHandlers (proc, payload) {
+  let result = ''
 
-  proc.stdout.on('data', data => {
-    results = data.toString()
-    allResults += results
-    results = results.replace('\n', '')
+  proc.stdio[3].on('data', data => {
+    result += data.toString()
   })
 
+  proc.on('error', err => sendErr(err))
   proc.on('close', code => {
-    if (allResults === '') {
-      sendErr(errorResult)
-    } else if (allResults.indexOf('Traceback') >= 0) {
-      sendErr(allResults)
-    } else if (code === 0) {
-      try {
-        if (runtime.includes('go')) {
-          sendOutput(JSON.parse(allResults))
-        } else if (runtime.includes('python') || runtime.includes('ruby')) {
-          // Syntax/language errors also hit here. Exit code should maybe not be 0
-          // from sls when there is an exception, but it is. The error output is not sent via
-          // STDERR, so it doesn't otherwise get picked up. JSON parse will fail here,
-          // then the error ends up in the catch block.
-          sendOutput(JSON.parse(results))
-        }
-      } catch (err) {
-        // Serverless exited cleanly, but the output was not JSON, so parsing
-        // failed.
-        if (errorResult !== '') {
-          log.error('Lambda invocation returned an error', errorResult)
-          sendErr(errorResult)
-        } else {
-          log.error('Lambda invocation returned an error', results)
-          sendErr(results)
-        }
-      }
+    if (code === 0) {
+      sendOutput(parseJSON(result, result))
     } else {
-      sendErr(allResults)
+      log.error('Lambda invocation returned an error', result)
+      sendErr(
+        parseJSON(result, {
+          errorType: 'Error',
+          errorMessage: result || `Process exited with code ${code}`
+        })
+      )
     }
   })
 
-  proc.stderr.on('data', data => {
-    errorResult = data.toString()
-    try {
-      const parsedData = JSON.parse(data.toString())
-      sendErr(parsedData)
-    } catch (err) {
-      log.error('Could not parse JSON from lambda invocation', errorResult)
-    }
-  })
+  proc.stdin.write(`${JSON.stringify(payload)}\n`)
+  proc.stdin.end()
 }
 
 module.exports = {
   log,
   sendOutput,
   sendErr,
-  installStdIOHandlers,
+  installBootstrapHandlers,
   installExceptionHandlers
 }
@@ -0,0 +1,30 @@
+const path = require('path')
+const { invokeRuntime } = require('./lambda/runtimeApi')
+const {
+  log,
+  sendErr,
+  sendOutput,
+  installExceptionHandlers
+} = require('./lambda/util')
+
+// provided / provided.al2 runtimes ship an executable named bootstrap next to
+// the handler code which polls the Runtime API for events.
+process.once('message', async ({ taskRoot, handler, payload }) => {
+  try {
+    const bootstrap = path.join(taskRoot, 'bootstrap')
+    log.info('Load', bootstrap)
+    sendOutput(
+      await invokeRuntime({
+        command: bootstrap,
+        cwd: taskRoot,
+        handler,
+        functionName: handler,
+        payload
+      })
+    )
+  } catch (err) {
+    sendErr(err)
+  }
+})
+
+installExceptionHandlers()
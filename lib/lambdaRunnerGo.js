@@ -1,30 +1,34 @@
+const fs = require('fs')
 const path = require('path')
+const { invokeRuntime } = require('./lambda/runtimeApi')
 const {
   log,
   sendErr,
-  installStdIOHandlers,
+  sendOutput,
   installExceptionHandlers
 } = require('./lambda/util')
 
-process.once(
-  'message',
-  async ({ serverlessDirectory, handlerMethod, payload }) => {
-    try {
-      log.info('Load', handlerMethod)
+// The handler is either a compiled binary or a directory holding the
+// main package, in which case it is compiled on the fly with `go run`.
+const command = module =>
+  fs.statSync(module).isDirectory()
+    ? { command: 'go', args: ['run', '.'], cwd: module }
+    : { command: module, args: [], cwd: path.dirname(module) }
 
-      const { spawn } = require('child_process')
-      const args = ['local', 'invoke']
-
-      const sam = spawn('sam', args, {
-        env: process.env,
-        shell: '/bin/bash',
-        cwd: path.join(serverlessDirectory, handlerMethod)
+process.once('message', async ({ module, handler, payload }) => {
+  try {
+    log.info('Load', module)
+    sendOutput(
+      await invokeRuntime({
+        ...command(module),
+        handler,
+        functionName: path.basename(module),
+        payload
       })
-      installStdIOHandlers('go', sam, payload)
-    } catch (err) {
-      sendErr(err)
-    }
+    )
+  } catch (err) {
+    sendErr(err)
   }
-)
+})
 
 installExceptionHandlers()
@@ -1,26 +1,44 @@
+const path = require('path')
+const { spawn } = require('child_process')
 const {
   log,
   sendErr,
-  installStdIOHandlers,
+  installBootstrapHandlers,
   installExceptionHandlers
 } = require('./lambda/util')
 
+const Bootstrap = path.join(__dirname, 'lambda', 'bootstrap.py')
+
+// python3.8 -> python3, python2.7 -> python2
+const interpreter = runtime => {
+  const [, major = '3'] = /^python(\d)/.exec(runtime) || []
+  return `python${major}`
+}
+
+// `functions/foo/handler` -> `functions.foo.handler`
+const moduleName = (taskRoot, module) =>
+  path
+    .relative(taskRoot, module)
+    .split(path.sep)
+    .join('.')
+
 process.once(
   'message',
-  async ({ serverlessDirectory, handlerMethod, payload }) => {
+  async ({ module, taskRoot, handlerMethod, runtime, payload }) => {
     try {
-      log.info('load', handlerMethod)
-
-      const { spawn } = require('child_process')
-      const args = ['invoke', 'local', '-f', handlerMethod]
+      log.info('Load', module)
 
-      const sls = spawn('sls', args, {
-        env: process.env,
-        shell: '/bin/bash',
-        cwd: serverlessDirectory
-      })
+      const python = spawn(
+        interpreter(runtime),
+        ['-u', Bootstrap, taskRoot, moduleName(taskRoot, module), handlerMethod],
+        {
+          env: process.env,
+          cwd: taskRoot,
+          stdio: ['pipe', 'inherit', 'inherit', 'pipe']
+        }
+      )
 
-      installStdIOHandlers('python', sls, payload)
+      installBootstrapHandlers(python, payload)
     } catch (err) {
       sendErr(err)
     }
@@ -1,31 +1,29 @@
+const path = require('path')
+const { spawn } = require('child_process')
 const {
   log,
   sendErr,
-  installStdIOHandlers,
+  installBootstrapHandlers,
   installExceptionHandlers
 } = require('./lambda/util')
 
-process.once(
-  'message',
-  async ({ serverlessDirectory, handlerMethod, payload }) => {
-    try {
-      log.info('Running Ruby lambda function', handlerMethod)
+const Bootstrap = path.join(__dirname, 'lambda', 'bootstrap.rb')
 
-      const { spawn } = require('child_process')
-      const args = ['invoke', 'local', '-f', handlerMethod]
+process.once('message', async ({ module, taskRoot, handlerMethod, payload }) => {
+  try {
+    log.info('Running Ruby lambda function', handlerMethod)
 
-      const sls = spawn('sls', args, {
-        env: process.env,
-        shell: '/bin/bash',
-        cwd: serverlessDirectory
-      })
+    const ruby = spawn('ruby', [Bootstrap, taskRoot, module, handlerMethod], {
+      env: process.env,
+      cwd: taskRoot,
+      stdio: ['pipe', 'inherit', 'inherit', 'pipe']
+    })
 
-      installStdIOHandlers('ruby', sls, payload)
-    } catch (err) {
-      log('Could not invoke serverless', err)
-      sendErr(err)
-    }
+    installBootstrapHandlers(ruby, payload)
+  } catch (err) {
+    log.error('Could not invoke ruby', err)
+    sendErr(err)
   }
-)
+})
 
 installExceptionHandlers()
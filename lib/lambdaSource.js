@@ -7,6 +7,29 @@ const Runner = path.join(__dirname, 'lambdaRunner')
 const PythonRunner = path.join(__dirname, 'lambdaRunnerPython')
 const RubyRunner = path.join(__dirname, 'lambdaRunnerRuby')
 const GoRunner = path.join(__dirname, 'lambdaRunnerGo')
+const CustomRunner = path.join(__dirname, 'lambdaRunnerCustom')
+
+const runnerForRuntime = runtime => {
+  if (runtime.startsWith('nodejs')) return Runner
+  if (runtime.startsWith('python')) return PythonRunner
+  if (runtime.startsWith('ruby')) return RubyRunner
+  if (runtime.startsWith('go')) return GoRunner
+  if (runtime.startsWith('provided')) return CustomRunner
+  throw new Error(`Unsupported lambda runtime: ${runtime}`)
+}
+
+// Node and Python handlers are `path/to/file.method`, Ruby allows
+// `file.Module::Class.method` and Go/custom handlers are a plain name.
+const parseHandler = (runtime, handler) => {
+  if (runtime.startsWith('go') || runtime.startsWith('provided')) {
+    return [handler, handler]
+  }
+  const separator = runtime.startsWith('ruby')
+    ? handler.indexOf('.')
+    : handler.lastIndexOf('.')
+  return [handler.slice(0, separator), handler.slice(separator + 1)]
+}
+
 const lambdaSource = async (
   {
     dynamodbEndpoint,
@@ -32,8 +55,10 @@ const lambdaSource = async (
       ? custom.appSyncOffline.lambda.prefix
       : ''
 
-  const [handlerPath, handlerMethod] = fnConfig.handler.split('.')
-  const fullPath = path.join(serverlessDirectory, buildPrefix, handlerPath)
+  const runtime = fnConfig.runtime || provider.runtime || 'nodejs'
+  const [handlerPath, handlerMethod] = parseHandler(runtime, fnConfig.handler)
+  const taskRoot = path.join(serverlessDirectory, buildPrefix)
+  const fullPath = path.join(taskRoot, handlerPath)
   const dynamodbTableAliases = Object.entries(dynamodbTables).reduce(
     (sum, [alias, tableName]) => ({
       ...sum,
@@ -54,12 +79,15 @@ const lambdaSource = async (
     stdio: [0, 1, 2, 'ipc']
   }
   if (process.env.SLS_DEBUG) childOptions.execArgv = ['--inspect-brk']
-  child = fork(Runner, [], childOptions)
+  child = fork(runnerForRuntime(runtime), [], childOptions)
 
   child.send({
     module: fullPath,
+    taskRoot,
+    handler: fnConfig.handler,
     handlerPath,
     handlerMethod,
+    runtime,
     payload
   })
 
@@ -13,10 +13,10 @@ const util = require('./util')
 const GlobalCache = new Map()
 
 class ConfigServerless extends Serverless {
-  async getConfig(servicePath) {
+  async getConfig(servicePath, options = {}) {
     this.processedInput = {
       commands: [],
-      options: { stage: 'dev' }
+      options: { stage: 'dev', ...options }
     }
 
     this.config.servicePath = servicePath
@@ -76,18 +76,22 @@ const normalizeResources = config => {
   }
 }
 
-const loadServerlessConfig = async (cwd = process.cwd()) => {
+// `options` are the cli options (stage, region...) variables resolve with.
+const loadServerlessConfig = async (
+  cwd = process.cwd(),
+  { cache = true, options } = {}
+) => {
   const stat = fs.statSync(cwd)
   if (!stat.isDirectory()) {
     // eslint-disable-next-line
     cwd = path.dirname(cwd)
   }
 
-  if (GlobalCache.has(cwd)) {
+  if (cache && GlobalCache.has(cwd)) {
     return { ...GlobalCache.get(cwd) }
   }
   const serverless = new ConfigServerless()
-  await serverless.getConfig(cwd)
+  await serverless.getConfig(cwd, options)
   const { service: config } = serverless
 
   const { custom = {} } = config
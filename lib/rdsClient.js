@@ -0,0 +1,140 @@
+const path = require('path')
+const consola = require('./log')
+
+const DefaultConnectionString = 'sqlite::memory:'
+
+const requireDriver = (name, scheme) => {
+  try {
+    // eslint-disable-next-line import/no-dynamic-require
+    return require(name)
+  } catch (err) {
+    throw new Error(`Install ${name} to use ${scheme} connection strings`)
+  }
+}
+
+// Every client runs a statement with positional values and resolves to
+// `{ columns, rows, changes }`, rows being lists of column values, and closes
+// its connections on `close`.
+const drivers = {
+  sqlite: connectionString => {
+    const Database = requireDriver('better-sqlite3', 'sqlite')
+    const filename = connectionString.replace(/^(sqlite|file):(\/\/)?/, '')
+    const db = new Database(
+      filename === ':memory:' ? filename : path.resolve(filename)
+    )
+    return {
+      placeholder: () => '?',
+      query: (sql, values) => {
+        const statement = db.prepare(sql)
+        // sqlite has no booleans.
+        const params = values.map(value =>
+          typeof value === 'boolean' ? Number(value) : value
+        )
+        if (!statement.reader) {
+          return { columns: [], rows: [], changes: statement.run(params).changes }
+        }
+        return {
+          columns: statement
+            .columns()
+            .map(({ name, table, type }) => ({
+              name,
+              typeName: type,
+              tableName: table
+            })),
+          rows: statement.raw(true).all(params),
+          changes: 0
+        }
+      },
+      close: async () => db.close()
+    }
+  },
+  postgres: connectionString => {
+    const { Pool } = requireDriver('pg', 'postgres')
+    const pool = new Pool({ connectionString })
+    return {
+      placeholder: index => `$${index}`,
+      query: async (sql, values) => {
+        const { command, fields = [], rows, rowCount } = await pool.query({
+          text: sql,
+          values,
+          rowMode: 'array'
+        })
+        return {
+          columns: fields.map(({ name }) => ({ name })),
+          rows,
+          changes: command === 'SELECT' ? 0 : rowCount
+        }
+      },
+      close: () => pool.end()
+    }
+  },
+  mysql: connectionString => {
+    const mysql = requireDriver('mysql2/promise', 'mysql')
+    const pool = mysql.createPool(connectionString)
+    return {
+      placeholder: () => '?',
+      query: async (sql, values) => {
+        const [result, fields] = await pool.query({
+          sql,
+          values,
+          rowsAsArray: true
+        })
+        if (!fields) return { columns: [], rows: [], changes: result.affectedRows }
+        return {
+          columns: fields.map(({ name, orgTable }) => ({
+            name,
+            tableName: orgTable
+          })),
+          rows: result,
+          changes: 0
+        }
+      },
+      close: () => pool.end()
+    }
+  }
+}
+
+const schemes = {
+  sqlite: 'sqlite',
+  file: 'sqlite',
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  mysql: 'mysql'
+}
+
+const clients = new Map()
+
+/**
+ * The client of a `sqlite:<file>`, `postgres://` or `mysql://` connection
+ * string, shared by the data sources using it. The drivers (`better-sqlite3`,
+ * `pg` or `mysql2`) are only loaded when used.
+ */
+const getClient = (connectionString = DefaultConnectionString) => {
+  if (!clients.has(connectionString)) {
+    const [scheme] = connectionString.split(':')
+    const driver = drivers[schemes[scheme]]
+    if (!driver) {
+      throw new Error(`Unsupported RDS connection string: ${connectionString}`)
+    }
+    consola.info('Connecting to RDS database', scheme)
+    clients.set(connectionString, driver(connectionString))
+  }
+  return clients.get(connectionString)
+}
+
+// the connection string of a RELATIONAL_DATABASE data source, set per data
+// source or for all of them with the `rds` emulator option.
+const getConnectionString = ({ connectionString, dataSources = {} } = {}, name) =>
+  dataSources[name] || connectionString || DefaultConnectionString
+
+/**
+ * Closes the clients opened so far so their pools do not keep the process
+ * running. Later queries connect again.
+ */
+const closeClients = async () => {
+  const closing = [...clients.values()].map(client => client.close())
+  clients.clear()
+  await Promise.all(closing)
+}
+
+module.exports = { getClient, getConnectionString, closeClients }
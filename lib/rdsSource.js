@@ -0,0 +1,88 @@
+const consola = require('./log')
+
+// AppSync runs at most two statements per request.
+const MaxStatements = 2
+
+const toSQLValue = value => {
+  if (value === undefined) return null
+  if (value !== null && typeof value === 'object') return JSON.stringify(value)
+  return value
+}
+
+/**
+ * Replaces the `:name` variables of `statement` found in `variableMap` with
+ * the placeholders of the client. Quoted text and `::` casts are left as is.
+ */
+const bindVariables = (statement, variableMap = {}, placeholder) => {
+  const values = []
+  const sql = statement.replace(
+    /('(?:[^']|'')*'|"(?:[^"]|"")*"|::)|:([A-Za-z_]\w*)/g,
+    (match, skipped, name) => {
+      if (skipped || !(`:${name}` in variableMap)) return match
+      values.push(toSQLValue(variableMap[`:${name}`]))
+      return placeholder(values.length)
+    }
+  )
+  return { sql, values }
+}
+
+const formatDate = date =>
+  date
+    .toISOString()
+    .replace('T', ' ')
+    .replace(/(\.000)?Z$/, '')
+
+// a column value as a Data API field.
+const toField = value => {
+  if (value == null) return { isNull: true }
+  if (typeof value === 'boolean') return { booleanValue: value }
+  if (typeof value === 'bigint') return { longValue: Number(value) }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { longValue: value } : { doubleValue: value }
+  }
+  if (Buffer.isBuffer(value)) return { blobValue: value.toString('base64') }
+  if (value instanceof Date) return { stringValue: formatDate(value) }
+  if (typeof value === 'object') return { stringValue: JSON.stringify(value) }
+  return { stringValue: `${value}` }
+}
+
+const toStatementResult = ({ columns, rows, changes }) => ({
+  numberOfRecordsUpdated: changes,
+  records: rows.map(row => row.map(toField)),
+  columnMetadata: columns.map(({ name, ...column }) => ({
+    ...column,
+    name,
+    label: name
+  }))
+})
+
+/**
+ * Runs the `statements` of a request in order with the values of its
+ * `variableMap`. Like AppSync the result is the Data API response as a
+ * string, read by `$util.rds.toJsonObject` and `$util.rds.toJsonString`.
+ */
+const rdsSource = async (client, { statements, variableMap }) => {
+  if (
+    !Array.isArray(statements) ||
+    !statements.length ||
+    statements.length > MaxStatements
+  ) {
+    throw new Error(
+      `statements must be a list of 1 to ${MaxStatements} SQL statements`
+    )
+  }
+
+  const sqlStatementResults = []
+  for (const statement of statements) {
+    const { sql, values } = bindVariables(
+      statement,
+      variableMap,
+      client.placeholder
+    )
+    consola.info('RDS statement', sql, values)
+    sqlStatementResults.push(toStatementResult(await client.query(sql, values)))
+  }
+  return JSON.stringify({ sqlStatementResults })
+}
+
+module.exports = rdsSource
@@ -6,16 +6,44 @@ const assert = require('assert')
 const fs = require('fs')
 const path = require('path')
 const json5 = require('json5')
-const { GraphQLError } = require('graphql')
-const { create: createUtils, getAppSyncConfig } = require('./util')
-const { javaify, vtl } = require('./vtl')
+const {
+  GraphQLError,
+  GraphQLObjectType,
+  defaultFieldResolver
+} = require('graphql')
+const { withFilter } = require('graphql-subscriptions')
+const {
+  create: createUtils,
+  getAppSyncConfig,
+  Unauthorized
+} = require('./util')
+const { recordError } = require('./errors')
+const { javaify, toJSON, vtl } = require('./vtl')
+const { runCode, toPlain } = require('./jsRuntime')
 const dynamodbSource = require('./dynamodbSource')
 const lambdaSource = require('./lambdaSource')
 const httpSource = require('./httpSource')
 const elasticsearchSource = require('./elasticsearchSource')
+const rdsSource = require('./rdsSource')
+const eventBridgeSource = require('./eventBridgeSource')
+const { createEventBus, getEventRules } = require('./eventBus')
+const { createSearchEngine } = require('./searchEngine')
+const { createSearchStream } = require('./searchStream')
+const { getClient, getConnectionString } = require('./rdsClient')
 const consola = require('./log')
 const { inspect } = require('util')
 const { scalars } = require('./schemaWrapper')
+const {
+  getAuthDirectives,
+  isAuthorized,
+  isFieldDenied
+} = require('./auth')
+const { getIdentity } = require('./identity')
+const { createApiCache } = require('./apiCache')
+const {
+  parseSubscriptionFilter,
+  matchesSubscriptionFilter
+} = require('./subscriptionFilter')
 const DataLoader = require('dataloader')
 
 const vtlMacros = {
@@ -37,20 +65,69 @@ const gqlPathAsArray = path => {
   return flattened.reverse()
 }
 
-class AppSyncError extends Error {
-  constructor (errors = []) {
-    super('aggregate errors')
-    this.errors = errors
+// A GraphQLError for the resolved field carrying AppSync's error properties.
+const createFieldError = (
+  info,
+  message,
+  { errorType = null, data = null, errorInfo = null } = {}
+) =>
+  Object.assign(
+    new GraphQLError(
+      message,
+      info.fieldNodes,
+      null,
+      null,
+      gqlPathAsArray(info.path)
+    ),
+    { errorType, data, errorInfo }
+  )
+
+// The error a field fails with, keeping what the template or data source
+// set on it.
+const toFieldError = (info, error) => {
+  if (error instanceof GraphQLError && Array.isArray(error.path)) return error
+  if (error instanceof Unauthorized) {
+    return createFieldError(
+      info,
+      `Not Authorized to access ${info.fieldName} on type ${info.parentType}`,
+      { errorType: 'Unauthorized' }
+    )
   }
+  // XXX: Note we use a field other than "message" as it gets mutated
+  // by the velocity engine breaking this logic.
+  const { gqlMessage, message, errorType, type, data, errorInfo } = error
+  return createFieldError(info, gqlMessage || message, {
+    errorType: errorType || type,
+    data: toJSON(data),
+    errorInfo: toJSON(errorInfo)
+  })
 }
 
+// records the error a field failed with and returns it to be thrown.
+const failField = (context, info, error) =>
+  recordError(context, toFieldError(info, error))
+
+// $extensions of the templates. Whatever they set is stored on `state`.
+const createExtensions = (state = {}, apiCache = null) => ({
+  setSubscriptionFilter (filter) {
+    // eslint-disable-next-line
+    state.subscriptionFilter = parseSubscriptionFilter(filter)
+    return ''
+  },
+  evictFromApiCache (typeName, fieldName, keys) {
+    if (apiCache) apiCache.evict(`${typeName}`, `${fieldName}`, toJSON(keys))
+    return ''
+  }
+})
+
 // eslint-disable-next-line
 const buildVTLContext = (
-  { root, vars, context, info },
+  { root, vars, context, info, extensions, error, apiCache },
   result = null,
-  stash = null
+  stash = null,
+  prevResult = result
 ) => {
-  const { jwt, request } = context
+  const { request } = context
   const util = createUtils()
   const args = javaify(vars)
   const vtlRequest = request ? { headers: request.headers } : {}
@@ -58,27 +135,56 @@ const buildVTLContext = (
     arguments: args,
     args,
     request: vtlRequest,
-    identity: javaify({
-      sub: jwt ? jwt.sub : null,
-      issuer: jwt ? jwt.iss : null,
-      username: jwt ? context.jwt['cognito:username'] : null,
-      sourceIp: ['0.0.0.0'],
-      defaultAuthStrategy: 'ALLOW',
-      claims: context.jwt
-    }),
-    prev: result ? { result: javaify(result) } : undefined,
+    identity: javaify(getIdentity(context)),
+    prev: prevResult != null ? { result: javaify(prevResult) } : undefined,
     source: root || {},
     result: javaify(result),
+    error: error
+      ? javaify({ message: error.message, type: error.errorType })
+      : undefined,
     stash: stash || javaify({})
   }
   return {
     util,
     utils: util,
+    extensions: createExtensions(extensions, apiCache),
     context: vtlContext,
     ctx: vtlContext
   }
 }
 
+// ctx of APPSYNC_JS handlers, holding plain values where VTL has Java ones.
+const buildJSContext = (
+  { root, vars, context, info, extensions, error, apiCache },
+  result = null,
+  stash = null,
+  prevResult = result
+) => {
+  const { request } = context
+  const args = toPlain(vars)
+  const ctx = {
+    arguments: args,
+    args,
+    request: request ? { headers: request.headers } : {},
+    identity: getIdentity(context),
+    info: {
+      fieldName: info.fieldName,
+      parentTypeName: `${info.parentType}`,
+      variables: info.variableValues || {}
+    },
+    prev: prevResult != null ? { result: prevResult } : undefined,
+    source: root || {},
+    result,
+    error: error ? { message: error.message, type: error.errorType } : undefined,
+    stash: toPlain(toJSON(stash)) || {}
+  }
+  return {
+    ctx,
+    util: createUtils(),
+    extensions: createExtensions(extensions, apiCache)
+  }
+}
+
 const returnJSON = input => {
   try {
     // apparently appsync allows things like trailing commas.
@@ -105,6 +211,7 @@ const handleVTLRender = (
   config
 ) => {
   let templateOutput
+  let aborted = false
   consola.debug(
     'Rendering with context\n',
     JSON.stringify(context.ctx, null, 2)
@@ -125,31 +232,30 @@ const handleVTLRender = (
     if (context.util.getErrors().length === 0) {
       throw err
     }
+    aborted = true
   }
 
   // check if we have any errors.
   const errors = context.util.getErrors()
+  recordTemplateErrors(errors, gqlInfo, gqlContext, aborted)
   if (!errors.length) {
     return returnJSON(templateOutput)
   }
-  // eslint-disable-next-line
-  gqlContext.appsyncErrors = errors.map(error => {
-    // XXX: Note we use a field other than "message" as it gets mutated
-    // by the velocity engine breaking this logic.
-    const { gqlMessage: message, errorType, data, errorInfo } = error
-    const gqlErrorObj = new GraphQLError(
-      message,
-      gqlInfo.fieldNodes,
-      null,
-      null,
-      gqlPathAsArray(gqlInfo.path)
-    )
-    Object.assign(gqlErrorObj, { errorType, data, errorInfo })
-    return gqlErrorObj
-  })
+  // fields keep the data rendered along $util.appendError.
+  return templateOutput.trim() ? returnJSON(templateOutput) : null
+}
 
-  consola.error('GraphQL Errors', gqlContext.appsyncErrors)
-  throw gqlContext.appsyncErrors[0]
+// Records the errors a template or handler reported. $util.error aborts it,
+// failing the field with the last error.
+const recordTemplateErrors = (errors, info, context, aborted) => {
+  if (!errors.length) return
+  const fieldErrors = errors.map(error =>
+    recordError(context, toFieldError(info, error))
+  )
+  consola.error('GraphQL Errors', fieldErrors)
+  if (aborted) {
+    throw fieldErrors[fieldErrors.length - 1]
+  }
 }
 
 const runRequestVTL = (
@@ -176,9 +282,16 @@ const runRequestVTL = (
   ]
 }
 
-const runResponseVTL = (fullPath, graphqlInfo, result, stash, config) => {
+const runResponseVTL = (
+  fullPath,
+  graphqlInfo,
+  result,
+  stash,
+  config,
+  prevResult = result
+) => {
   consola.info('Loading response vtl', path.relative(process.cwd(), fullPath))
-  const vtlContext = buildVTLContext(graphqlInfo, result, stash)
+  const vtlContext = buildVTLContext(graphqlInfo, result, stash, prevResult)
   const content = fs.readFileSync(fullPath, 'utf8')
   return handleVTLRender(
     content.toString(),
@@ -189,43 +302,233 @@ const runResponseVTL = (fullPath, graphqlInfo, result, stash, config) => {
   )
 }
 
+const runJSHandler = (fullPath, handler, jsContext, graphqlInfo) => {
+  consola.info(
+    `Running ${handler} handler`,
+    path.relative(process.cwd(), fullPath)
+  )
+  consola.debug('Running with context\n', JSON.stringify(jsContext.ctx, null, 2))
+
+  let output = { result: null, returned: false }
+  let aborted = false
+  try {
+    output = runCode(fullPath, handler, jsContext.ctx, jsContext)
+  } catch (err) {
+    consola.error('Error running APPSYNC_JS code\n', err.message)
+    // like templates, util.error aborts the handler with its own error.
+    if (jsContext.util.getErrors().length === 0) {
+      throw err
+    }
+    aborted = true
+  }
+  recordTemplateErrors(
+    jsContext.util.getErrors(),
+    graphqlInfo.info,
+    graphqlInfo.context,
+    aborted
+  )
+  return output
+}
+
+const runRequestJS = (fullPath, graphqlInfo, result = null, stash = null) => {
+  const jsContext = buildJSContext(graphqlInfo, result, stash)
+  const { result: request, returned } = runJSHandler(
+    fullPath,
+    'request',
+    jsContext,
+    graphqlInfo
+  )
+  return [request, toPlain(jsContext.ctx.stash), returned]
+}
+
+const runResponseJS = (
+  fullPath,
+  graphqlInfo,
+  result,
+  stash,
+  prevResult = result
+) =>
+  runJSHandler(
+    fullPath,
+    'response',
+    buildJSContext(graphqlInfo, result, stash, prevResult),
+    graphqlInfo
+  ).result
+
+// Resolvers and functions run VTL templates or the handlers of an APPSYNC_JS
+// code file. Requests resolve to [request, stash, returned], `returned`
+// being set when the handler returned early.
+const runRequest = (
+  { requestPath, codePath },
+  graphqlInfo,
+  result,
+  stash,
+  config
+) =>
+  codePath
+    ? runRequestJS(codePath, graphqlInfo, result, stash)
+    : runRequestVTL(requestPath, graphqlInfo, result, stash, config)
+
+const runResponse = (
+  { responsePath, codePath },
+  graphqlInfo,
+  result,
+  stash,
+  config,
+  prevResult = result
+) =>
+  codePath
+    ? runResponseJS(codePath, graphqlInfo, result, stash, prevResult)
+    : runResponseVTL(
+      responsePath,
+      graphqlInfo,
+      result,
+      stash,
+      config,
+      prevResult
+    )
+
+const getLambdaConfig = ({
+  dynamodb,
+  dynamodbTables,
+  serverlessDirectory,
+  serverlessConfig
+}) => ({
+  serverlessDirectory,
+  serverlessConfig,
+  dynamodbEndpoint: dynamodb.endpoint.href,
+  dynamodbTables
+})
+
+// Conflict detection of resolvers on versioned data sources is set by the
+// `sync` config of their mapping template or pipeline function. Lambda
+// handlers receive the items along with the resolver context.
+const createConflictHandler = (
+  {
+    conflictDetection = 'NONE',
+    conflictHandler = 'OPTIMISTIC_CONCURRENCY',
+    functionName
+  } = {},
+  configs,
+  { vars, context, info }
+) => {
+  if (conflictDetection !== 'VERSION') return null
+
+  return {
+    type: conflictHandler,
+    invoke: ({ newItem, existingItem }) =>
+      lambdaSource(getLambdaConfig(configs), functionName, {
+        payload: {
+          newItem,
+          existingItem,
+          arguments: vars,
+          identity: getIdentity(context),
+          resolver: {
+            parentType: `${info.parentType}`,
+            field: info.fieldName,
+            outputType: `${info.returnType}`
+          }
+        }
+      })
+  }
+}
+
+const DefaultSearchEndpoint = 'http://localhost:9200'
+
+// The endpoint and credentials of a search data source, set per data source
+// or for all of them with the `elastic` option, else its domain endpoint or a
+// local one.
+const getSearchConfig = (
+  { dataSources = {}, streams, ...defaults } = {},
+  source
+) => {
+  const override = dataSources[source.name] || {}
+  const { endpoint, ...auth } =
+    typeof override === 'string' ? { endpoint: override } : override
+  return {
+    ...defaults,
+    ...auth,
+    endpoint:
+      endpoint ||
+      defaults.endpoint ||
+      source.config.endpoint ||
+      DefaultSearchEndpoint
+  }
+}
+
 const dispatchRequestToSource = async (
   source,
-  { dynamodb, dynamodbTables, elastic, serverlessDirectory, serverlessConfig },
-  request
+  configs,
+  request,
+  conflictHandler = null
 ) => {
+  const {
+    dynamodb,
+    dynamodbTables,
+    elastic,
+    searchEngine,
+    searchStream,
+    rds,
+    eventBus,
+    eventRules
+  } = configs
   consola.info(
     'Dispatch to source',
     inspect({ name: source.name, type: source.type })
   )
   switch (source.type) {
-    case 'AMAZON_DYNAMODB':
-      return dynamodbSource(
+    case 'AMAZON_DYNAMODB': {
+      const result = await dynamodbSource(
         dynamodb,
         // default alias
         source.config.tableName,
         // mapping used for multi table operations.
         dynamodbTables,
-        request
+        request,
+        source.config.versioned
+          ? { deltaSyncConfig: source.config.deltaSyncConfig, conflictHandler }
+          : null
       )
+      await searchStream(source.config.tableName, request)
+      return result
+    }
     case 'AWS_LAMBDA':
       return lambdaSource(
-        {
-          serverlessDirectory,
-          serverlessConfig,
-          dynamodbEndpoint: dynamodb.endpoint.href,
-          dynamodbTables
-        },
+        getLambdaConfig(configs),
         source.config.functionName,
         request
       )
     case 'AMAZON_ELASTICSEARCH':
-      return elasticsearchSource(
-        elastic.endpoint || source.config.endpoint,
-        request
-      )
+    case 'AMAZON_OPENSEARCH_SERVICE': {
+      const { endpoint, inMemory, ...auth } = getSearchConfig(elastic, source)
+      return elasticsearchSource(endpoint, request, {
+        ...auth,
+        searchEngine: inMemory ? searchEngine : null,
+        engine:
+          source.type === 'AMAZON_OPENSEARCH_SERVICE'
+            ? 'OpenSearch'
+            : 'Elasticsearch'
+      })
+    }
     case 'HTTP':
       return httpSource(source.config.endpoint, request)
+    case 'RELATIONAL_DATABASE':
+      return rdsSource(
+        getClient(getConnectionString(rds, source.name)),
+        request
+      )
+    case 'AMAZON_EVENTBRIDGE':
+      return eventBridgeSource(
+        {
+          eventBus,
+          rules: eventRules,
+          serverlessConfig: configs.serverlessConfig,
+          invokeFunction: (functionName, payload) =>
+            lambdaSource(getLambdaConfig(configs), functionName, { payload })
+        },
+        source.config,
+        request
+      )
     case 'NONE':
       return request.payload
     default:
@@ -233,6 +536,37 @@ const dispatchRequestToSource = async (
   }
 }
 
+// Data source errors with an errorType (e.g. cancelled DynamoDB transactions)
+// are handed to 2018-05-29 response templates and APPSYNC_JS handlers as
+// $ctx.error along with the partial $ctx.result. Like AppSync, older templates
+// are skipped and the error is raised for the field.
+const dispatchRequestWithError = async (
+  source,
+  configs,
+  request,
+  info,
+  conflictHandler,
+  handlesErrors
+) => {
+  try {
+    return {
+      result: await dispatchRequestToSource(
+        source,
+        configs,
+        request,
+        conflictHandler
+      ),
+      error: null
+    }
+  } catch (err) {
+    if (!err.errorType) throw err
+    if (!handlesErrors) {
+      throw createFieldError(info, err.message, { errorType: err.errorType })
+    }
+    return { result: err.result === undefined ? null : err.result, error: err }
+  }
+}
+
 const generateDataLoaderResolver = (source, configs) => {
   const batchLoaders = {}
   return fieldPath => {
@@ -257,11 +591,53 @@ const generateDataLoaderResolver = (source, configs) => {
   }
 }
 
+// Sends a rendered request to the data source, batching BatchInvoke
+// requests, and renders the response with its result.
+const resolveRequest = async (
+  source,
+  config,
+  configs,
+  pathing,
+  { request, stash, resolverArgs, fieldPath, prevResult }
+) => {
+  const { dataLoaderResolver, sync, codePath } = pathing
+  let requestResult
+  let error = null
+  if (request.operation === 'BatchInvoke') {
+    const loader = dataLoaderResolver(fieldPath)
+    requestResult = await loader.load(request)
+  } else {
+    consola.info(
+      'Rendered Request:\n',
+      inspect(request, { depth: null, colors: true })
+    )
+    const dispatched = await dispatchRequestWithError(
+      source,
+      configs,
+      request,
+      resolverArgs.info,
+      createConflictHandler(sync, configs, resolverArgs),
+      Boolean(codePath) || request.version === '2018-05-29'
+    )
+    requestResult = dispatched.result
+    error = dispatched.error
+  }
+
+  return runResponse(
+    pathing,
+    { ...resolverArgs, error },
+    requestResult,
+    stash,
+    config,
+    prevResult
+  )
+}
+
 const generateTypeResolver = (
   source,
   config,
   configs,
-  { requestPath, responsePath, dataLoaderResolver },
+  pathing,
   pipe = false
 ) => async (root, vars, context, info) => {
   try {
@@ -271,34 +647,29 @@ const generateTypeResolver = (
 
     assert(context && context.jwt, 'must have context.jwt')
 
-    const resolverArgs = { root, vars, context, info }
-    const [request, stash] = runRequestVTL(
-      requestPath,
+    const resolverArgs = {
+      root,
+      vars,
+      context,
+      info,
+      apiCache: configs.apiCache
+    }
+    const [request, stash, returned] = runRequest(
+      pathing,
       resolverArgs,
       null,
       null,
       config
     )
-
-    let requestResult
-    if (request.operation === 'BatchInvoke') {
-      const loader = dataLoaderResolver(fieldPath)
-      requestResult = await loader.load(request)
-    } else {
-      consola.info(
-        'Rendered Request:\n',
-        inspect(request, { depth: null, colors: true })
-      )
-      requestResult = await dispatchRequestToSource(source, configs, request)
-    }
-
-    const response = runResponseVTL(
-      responsePath,
-      resolverArgs,
-      requestResult,
-      stash,
-      config
-    )
+    // runtime.earlyReturn skips the data source and the response handler.
+    const response = returned
+      ? request
+      : await resolveRequest(source, config, configs, pathing, {
+        request,
+        stash,
+        resolverArgs,
+        fieldPath
+      })
     consola.info(
       'Rendered Response:\n',
       inspect(response, { depth: null, colors: true })
@@ -312,7 +683,7 @@ const generateTypeResolver = (
   } catch (err) {
     consola.error(`${info.parentType}.${info.fieldName} failed`)
 
-    throw err
+    throw failField(context, info, err)
   }
 }
 
@@ -320,7 +691,7 @@ const generatePipelineFunctionResolver = (
   source,
   config,
   configs,
-  { requestPath, responsePath, dataLoaderResolver },
+  pathing,
   pipe = false
 ) => async (root, vars, context, info, pipeResult = null, pipeStash = null) => {
   try {
@@ -328,78 +699,110 @@ const generatePipelineFunctionResolver = (
     const pathInfo = gqlPathAsArray(info.path)
     consola.start(`Resolve: ${fieldPath} [${pathInfo}]`)
 
-    const resolverArgs = { root, vars, context, info }
-    const [request, stash] = runRequestVTL(
-      requestPath,
+    const resolverArgs = {
+      root,
+      vars,
+      context,
+      info,
+      apiCache: configs.apiCache
+    }
+    const [request, stash, returned] = runRequest(
+      pathing,
       resolverArgs,
       pipeResult,
       pipeStash,
       config
     )
 
-    let requestResult
-    if (request.operation === 'BatchInvoke') {
-      const loader = dataLoaderResolver(fieldPath)
-      requestResult = await loader.load(request)
-    } else {
-      consola.info(
-        'Rendered Request:\n',
-        inspect(request, { depth: null, colors: true })
-      )
-      requestResult = await dispatchRequestToSource(source, configs, request)
-    }
-
-    const response = runResponseVTL(
-      responsePath,
-      resolverArgs,
-      requestResult,
-      stash,
-      config
-    )
+    // $ctx.prev.result stays the output of the previous stage while
+    // $ctx.result is what this function's data source returned. Returning
+    // early hands the request to the next stage.
+    const response = returned
+      ? request
+      : await resolveRequest(source, config, configs, pathing, {
+        request,
+        stash,
+        resolverArgs,
+        fieldPath,
+        prevResult: pipeResult
+      })
     consola.info(
       'Rendered Response:\n',
       inspect(response, { depth: null, colors: true })
     )
-    // XXX: parentType probably is constructed with new String so == is required.
-    // eslint-disable-next-line
-    if (info.parentType == 'Mutation') {
-      configs.pubsub.publish(info.fieldName, response)
-    }
     return pipe ? { response, stash } : response
   } catch (err) {
     consola.error(`${info.parentType}.${info.fieldName} failed`)
     consola.error(err.errorMessage || err.message || err.stack || err)
-    throw err
+    throw failField(context, info, err)
   }
 }
 
-const generatePipelineResolver = ({ before, after, functions, config }) => {
+// Runs the AppSync pipeline lifecycle: the "before" template output becomes
+// $ctx.prev.result for the first function, each function result is handed to
+// the next one and the "after" template renders the final field value. The
+// stash is shared by every stage and any error aborts the remaining stages.
+// Returning early from the "before" stage skips the functions and "after".
+const generatePipelineResolver = ({ pathing, functions, config, configs }) => {
   return async (root, vars, context, info) => {
     const fieldPath = `${info.parentType}.${info.fieldName}`
     const pathInfo = gqlPathAsArray(info.path)
     consola.start(`Resolve: ${fieldPath} [${pathInfo}]`)
     assert(context && context.jwt, 'must have context.jwt')
-    const resolverArgs = { root, vars, context, info }
-    const [request, stash] = runRequestVTL(
-      before,
-      resolverArgs,
-      null,
-      null,
-      config
-    )
+    const resolverArgs = {
+      root,
+      vars,
+      context,
+      info,
+      apiCache: configs.apiCache
+    }
+
+    try {
+      const [beforeResult, stash, returned] = runRequest(
+        pathing,
+        resolverArgs,
+        null,
+        null,
+        config
+      )
+      if (returned) return beforeResult
+
+      let pipeResult = beforeResult
+      let pipeStash = stash
+      for (const fn of functions) {
+        const { response, stash: fnStash } = await fn(
+          root,
+          vars,
+          context,
+          info,
+          pipeResult,
+          pipeStash
+        )
+        pipeResult = response
+        pipeStash = fnStash
+      }
 
-    let pipeResult
-    let pipeStash = stash
-    let pipePayload = null
-    let pipeResponse
-    // const pipeContext = vars
-    for (const fn of functions) {
-      pipeResult = await fn(root, vars, context, info, pipePayload, pipeStash)
-      pipePayload = pipeResult.response
-      pipeStash = pipeResult.stash
-      pipeResponse = pipeResult.response
+      const response = runResponse(
+        pathing,
+        resolverArgs,
+        pipeResult,
+        pipeStash,
+        config
+      )
+      consola.info(
+        'Rendered Pipeline Response:\n',
+        inspect(response, { depth: null, colors: true })
+      )
+      // XXX: parentType probably is constructed with new String so == is required.
+      // eslint-disable-next-line
+      if (info.parentType == 'Mutation') {
+        configs.pubsub.publish(info.fieldName, response)
+      }
+      return response
+    } catch (err) {
+      consola.error(`${fieldPath} pipeline failed`)
+      throw failField(context, info, err)
     }
-    return pipeResponse
   }
 }
 
@@ -408,7 +811,7 @@ const generateSubscriptionTypeResolver = (
   source,
   config,
   configs,
-  { requestPath, responsePath }
+  pathing
 ) => {
   const subscriptionList = configs.subscriptions[field]
   if (!subscriptionList) {
@@ -422,6 +825,36 @@ const generateSubscriptionTypeResolver = (
     `${field} must have aws_subscribe with mutations arg`
   )
 
+  const runTemplates = async resolverArgs => {
+    const [request, stash, returned] = runRequest(
+      pathing,
+      resolverArgs,
+      null,
+      null,
+      config
+    )
+    if (returned) return request
+    const requestResult =
+      (await dispatchRequestToSource(source, configs, request)) || {}
+
+    consola.info(
+      'Rendered Request:\n',
+      inspect(requestResult, { depth: null, colors: true })
+    )
+    const response = runResponse(
+      pathing,
+      resolverArgs,
+      requestResult,
+      stash,
+      config
+    )
+    consola.info(
+      'Rendered Response:\n',
+      inspect(response, { depth: null, colors: true })
+    )
+    return response
+  }
+
   return {
     resolve: async (root, _, context, info) => {
       consola.start(
@@ -432,50 +865,49 @@ const generateSubscriptionTypeResolver = (
       assert(context && context.jwt, 'must have context.jwt')
       // XXX: The below is what our templates expect but not 100% sure it's correct.
       // for subscriptions the "arguments" field is same as root here.
-      const resolverArgs = { root, vars: root, context, info }
-      const [request, stash] = runRequestVTL(
-        requestPath,
-        resolverArgs,
-        null,
-        null,
-        config
-      )
-      const requestResult =
-        (await dispatchRequestToSource(source, configs, request)) || {}
-
-      consola.info(
-        'Rendered Request:\n',
-        inspect(requestResult, { depth: null, colors: true })
-      )
-      const response = runResponseVTL(
-        responsePath,
-        resolverArgs,
-        requestResult,
-        stash,
-        config
-      )
-      consola.info(
-        'Rendered Response:\n',
-        inspect(response, { depth: null, colors: true })
-      )
-      return response
+      return runTemplates({ root, vars: root, context, info })
     },
-    subscribe () {
-      return configs.pubsub.asyncIterator(mutations)
+    // like AppSync the templates run when subscribing with the subscription
+    // arguments, which is where enhanced filters get set.
+    subscribe: async (root, args, context, info) => {
+      const extensions = {}
+      await runTemplates({ root, vars: args, context, info, extensions })
+
+      const asyncIterator = configs.pubsub.asyncIterator(mutations)
+      const { subscriptionFilter } = extensions
+      if (!subscriptionFilter) {
+        return asyncIterator
+      }
+
+      consola.info('Subscription filter', inspect(subscriptionFilter))
+      return withFilter(
+        () => asyncIterator,
+        payload => matchesSubscriptionFilter(subscriptionFilter, payload)
+      )()
     }
   }
 }
 
+// APPSYNC_JS resolvers and functions name their code file with `code`
+// instead of request and response templates.
+const getCodePath = (mappingTemplates, { code, runtime }) => {
+  if (runtime && runtime.name && runtime.name !== 'APPSYNC_JS') {
+    throw new Error(`Unsupported runtime: ${runtime.name}`)
+  }
+  return code ? path.join(mappingTemplates, code) : null
+}
+
 const generatePathing = (
   dataSource,
   mappingTemplates,
-  request,
-  response,
+  { request, response, code, runtime, sync },
   configs
 ) => ({
-  requestPath: path.join(mappingTemplates, request),
+  requestPath: request && path.join(mappingTemplates, request),
   dataLoaderResolver: generateDataLoaderResolver(dataSource, configs),
-  responsePath: path.join(mappingTemplates, response)
+  responsePath: response && path.join(mappingTemplates, response),
+  codePath: getCodePath(mappingTemplates, { code, runtime }),
+  sync
 })
 
 // const generateFunctionConfigurations = (
@@ -508,8 +940,16 @@ const generateResolvers = (cwd, config, configs) => {
   // )
 
   return config.mappingTemplates.reduce(
-    (sum, { dataSource, type, field, request, response, kind, functions }) => {
-      // (sum, { dataSource, type, field, request, response, kind }) => {
+    (sum, mappingTemplate) => {
+      const {
+        dataSource,
+        type,
+        field,
+        kind,
+        functions,
+        caching,
+        cachingConfig
+      } = mappingTemplate
 
       if (!sum[type]) {
         // eslint-disable-next-line
@@ -528,8 +968,7 @@ const generateResolvers = (cwd, config, configs) => {
           const pathing = generatePathing(
             source,
             mappingTemplates,
-            functionDef.request,
-            functionDef.response,
+            functionDef,
             configs
           )
 
@@ -543,23 +982,22 @@ const generateResolvers = (cwd, config, configs) => {
         })
 
         resolver = generatePipelineResolver({
-          before: path.join(mappingTemplates, request),
-          after: path.join(mappingTemplates, response),
+          pathing: generatePathing(null, mappingTemplates, mappingTemplate, configs),
           functions: fns,
-          config
+          config,
+          configs
         })
       } else {
         const source = dataSourceByName[dataSource]
         const pathing = generatePathing(
           source,
           mappingTemplates,
-          request,
-          response,
+          mappingTemplate,
           configs
         )
 
         resolver =
-          type === 'subscription'
+          type.toLowerCase() === 'subscription'
             ? generateSubscriptionTypeResolver(
               field,
               source,
@@ -570,6 +1008,19 @@ const generateResolvers = (cwd, config, configs) => {
             : generateTypeResolver(source, config, configs, pathing)
       }
 
+      const resolverCaching = configs.apiCache.getResolverCaching(type, {
+        caching,
+        cachingConfig
+      })
+      if (resolverCaching) {
+        resolver = configs.apiCache.withCaching(
+          resolver,
+          type,
+          field,
+          resolverCaching
+        )
+      }
+
       return {
         ...sum,
         [type]: {
@@ -582,6 +1033,52 @@ const generateResolvers = (cwd, config, configs) => {
   )
 }
 
+// Guards every field with the auth directives declared on it or its type.
+// Requests without an authType (e.g. executing the schema directly in tests)
+// are not subject to the checks.
+const applyAuthDirectives = (schema, defaultAuthType) => {
+  Object.values(schema.getTypeMap())
+    .filter(
+      type => type instanceof GraphQLObjectType && !type.name.startsWith('__')
+    )
+    .forEach(type => {
+      const typeDirectives = [type.astNode, ...(type.extensionASTNodes || [])]
+        .map(getAuthDirectives)
+        .reduce((sum, value) => sum.concat(value), [])
+
+      Object.values(type.getFields()).forEach(field => {
+        const rule = {
+          fieldDirectives: getAuthDirectives(field.astNode),
+          typeDirectives,
+          defaultAuthType
+        }
+        const guard = fn => (root, vars, context, info) => {
+          if (
+            context &&
+            context.authType &&
+            (!isAuthorized(context, rule) ||
+              isFieldDenied(context, type.name, field.name))
+          ) {
+            throw recordError(
+              context,
+              createFieldError(
+                info,
+                `Not Authorized to access ${info.fieldName} on type ${info.parentType}`,
+                { errorType: 'Unauthorized' }
+              )
+            )
+          }
+          return fn(root, vars, context, info)
+        }
+
+        field.resolve = guard(field.resolve || defaultFieldResolver)
+        if (field.subscribe) {
+          field.subscribe = guard(field.subscribe)
+        }
+      })
+    })
+}
+
 const createSubscriptionsVisitor = () => {
   const subscriptions = {}
   class DirectiveVisitor extends SchemaDirectiveVisitor {
@@ -601,6 +1098,9 @@ const createSchema = async ({
   selectApi,
   dynamodbTables,
   elastic,
+  rds,
+  eventBus = createEventBus(),
+  searchEngine = createSearchEngine(),
   graphqlSchema,
   serverlessDirectory,
   serverlessConfig,
@@ -631,18 +1131,30 @@ const createSchema = async ({
     }
   })
 
+  const configs = {
+    dynamodb,
+    dynamodbTables,
+    elastic,
+    searchEngine,
+    searchStream: createSearchStream({
+      dynamodb,
+      dynamodbTables,
+      searchEngine,
+      streams: elastic && elastic.streams
+    }),
+    rds,
+    eventBus,
+    eventRules: getEventRules(serverlessConfig),
+    pubsub,
+    subscriptions,
+    serverlessDirectory,
+    serverlessConfig,
+    apiCache: createApiCache(appSyncConfig.caching)
+  }
   const resolvers = await generateResolvers(
     serverlessDirectory,
     appSyncConfig,
-    {
-      dynamodb,
-      dynamodbTables,
-      elastic,
-      pubsub,
-      subscriptions,
-      serverlessDirectory,
-      serverlessConfig
-    }
+    configs
   )
 
   const schema = makeExecutableSchema({
@@ -656,6 +1168,8 @@ const createSchema = async ({
     }
   })
 
+  applyAuthDirectives(schema, appSyncConfig.authenticationType)
+
   const topics = Array.from(
     new Set(
       Object.values(subscriptions).reduce(
@@ -668,8 +1182,12 @@ const createSchema = async ({
   return {
     schema,
     topics,
-    subscriptions
+    subscriptions,
+    appSyncConfig,
+    // runs a serverless function, e.g. the Lambda authorizer.
+    invokeFunction: (functionName, payload) =>
+      lambdaSource(getLambdaConfig(configs), functionName, { payload })
   }
 }
 
-module.exports = { createSchema, AppSyncError }
+module.exports = { createSchema }
@@ -73,7 +73,7 @@ const createSchema = async ({
   })
 
   const pubsub = new PubSub()
-  const { schema, subscriptions } = await createSchemaCore({
+  const { schema, subscriptions, appSyncConfig } = await createSchemaCore({
     dynamodb,
     dynamodbTables,
     graphqlSchema,
@@ -94,6 +94,7 @@ const createSchema = async ({
     dynamodb,
     pubsub,
     subscriptions,
+    appSyncConfig,
     tables: dynamodbTables,
     close
   }
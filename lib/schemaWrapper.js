@@ -1,3 +1,4 @@
+const { isIP } = require('net')
 const { GraphQLScalarType, GraphQLError, Kind } = require('graphql')
 const GraphQLJSON = require('graphql-type-json')
 const { isValidNumber, getNumberType } = require('libphonenumber-js')
@@ -128,15 +129,102 @@ const AWSDateTime = new GraphQLScalarType({
   }
 })
 
+const timestampValidator = ast => {
+  const { kind, value } = ast
+  if (kind !== Kind.INT) {
+    throw new GraphQLError(
+      `Query error: Can only parse integers got a: ${kind}`,
+      [ast]
+    )
+  }
+  return parseInt(value, 10)
+}
+
+// seconds since the epoch.
+const AWSTimestamp = new GraphQLScalarType({
+  name: 'AWSTimestamp',
+  description: 'AWSTimestamp type',
+  serialize (value) {
+    return Number(value)
+  },
+  parseValue (value) {
+    if (!Number.isInteger(value)) {
+      throw new GraphQLError('Query error: Not a valid timestamp')
+    }
+    return value
+  },
+  parseLiteral (ast) {
+    return timestampValidator(ast)
+  }
+})
+
+// an IPv4 or IPv6 address, optionally with a subnet prefix.
+const ipValidator = ast => {
+  const { kind, value } = ast
+  if (kind !== Kind.STRING) {
+    throw new GraphQLError(
+      `Query error: Can only parse strings got a: ${kind}`,
+      [ast]
+    )
+  }
+
+  const [address, prefix, ...rest] = value.split('/')
+  const version = isIP(address)
+  const maxPrefix = version === 4 ? 32 : 128
+  if (
+    !version ||
+    rest.length ||
+    (prefix !== undefined &&
+      !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))
+  ) {
+    throw new GraphQLError('Query error: Not a valid IP address', [ast])
+  }
+
+  return value
+}
+
+const AWSIPAddress = new GraphQLScalarType({
+  name: 'AWSIPAddress',
+  description: 'AWSIPAddress type',
+  serialize (value) {
+    return value
+  },
+  parseValue (value) {
+    const ast = {
+      kind: Kind.STRING,
+      value
+    }
+    return ipValidator(ast)
+  },
+  parseLiteral (ast) {
+    return ipValidator(ast)
+  }
+})
+
 const scalars = {
   //AWSJSON: GraphQLJSON, // This is not right. AWS doesn't accept unstringified JSON
   AWSJSON,
   AWSDate,
   AWSTime,
   AWSDateTime,
+  AWSTimestamp,
   AWSPhone,
   AWSEmail: EmailAddressResolver,
-  AWSURL: URLResolver
+  AWSURL: URLResolver,
+  AWSIPAddress
+}
+
+// AppSync provides these without them being declared in the schema.
+const directives = {
+  aws_subscribe: 'directive @aws_subscribe(mutations: [String]) on FIELD_DEFINITION',
+  aws_api_key: 'directive @aws_api_key on FIELD_DEFINITION | OBJECT',
+  aws_iam: 'directive @aws_iam on FIELD_DEFINITION | OBJECT',
+  aws_oidc: 'directive @aws_oidc on FIELD_DEFINITION | OBJECT',
+  aws_lambda: 'directive @aws_lambda on FIELD_DEFINITION | OBJECT',
+  aws_cognito_user_pools:
+    'directive @aws_cognito_user_pools(cognito_groups: [String]) on FIELD_DEFINITION | OBJECT',
+  aws_auth:
+    'directive @aws_auth(cognito_groups: [String]) on FIELD_DEFINITION | OBJECT'
 }
 
 const wrapSchema = schemaString => {
@@ -144,7 +232,15 @@ const wrapSchema = schemaString => {
     .map(scalarKey => `scalar ${scalarKey}\n`)
     .join('')
 
-  return scalarStrings + schemaString
+  // some projects declare the directives themselves to please other tooling.
+  const directiveStrings = Object.entries(directives)
+    .filter(
+      ([name]) => !new RegExp(`directive\\s+@${name}\\b`).test(schemaString)
+    )
+    .map(([, definition]) => `${definition}\n`)
+    .join('')
+
+  return scalarStrings + directiveStrings + schemaString
 }
 
 module.exports = {
@@ -0,0 +1,448 @@
+const uuid = require('uuid')
+
+const isObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const list = value => (value === undefined ? [] : [].concat(value))
+
+class SearchError extends Error {
+  constructor (statusCode, type, reason) {
+    super(reason)
+    Object.assign(this, { statusCode, type })
+  }
+}
+
+const tokenize = value =>
+  `${value}`
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+
+// the values of a dotted field, every value of lists included. Like the
+// default mappings `title.keyword` is the `title` field.
+const fieldValues = (source, field) =>
+  field
+    .replace(/\.keyword$/, '')
+    .split('.')
+    .reduce(
+      (values, key) =>
+        values.reduce(
+          (sum, value) =>
+            isObject(value) && value[key] !== undefined
+              ? sum.concat(value[key])
+              : sum,
+          []
+        ),
+      [source]
+    )
+    .filter(value => value !== null)
+
+// the field and the options of queries such as { "title": { "query": "a" } },
+// `key` being the option given as a plain value.
+const fieldQuery = (params, key) => {
+  const [[field, spec]] = Object.entries(params)
+  return { field, ...(isObject(spec) ? spec : { [key]: spec }) }
+}
+
+const equals = (a, b) => a === b || `${a}` === `${b}`
+
+const compare = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return `${a}`.localeCompare(`${b}`)
+}
+
+const inRange = (value, { gt, gte, lt, lte }) =>
+  (gt === undefined || compare(value, gt) > 0) &&
+  (gte === undefined || compare(value, gte) >= 0) &&
+  (lt === undefined || compare(value, lt) < 0) &&
+  (lte === undefined || compare(value, lte) <= 0)
+
+const wildcardPattern = wildcard =>
+  new RegExp(
+    `^${wildcard
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\?/g, '.'))
+      .join('.*')}$`,
+    'i'
+  )
+
+const matchTokens = (query, values, operator = 'or') => {
+  const wanted = tokenize(query)
+  const tokens = values.reduce((sum, value) => sum.concat(tokenize(value)), [])
+  const found = wanted.filter(token => tokens.includes(token))
+  if (!found.length) return null
+  if (`${operator}`.toLowerCase() === 'and' && found.length < wanted.length) {
+    return null
+  }
+  return found.length
+}
+
+// what a value matched by a query scores, null when it does not match.
+const score = matches => (matches ? 1 : null)
+
+// Each query resolves to the score of a document or null when it does not
+// match it.
+const queries = {
+  match_all: () => 1,
+  match: (params, { _source }) => {
+    const { field, query, operator } = fieldQuery(params, 'query')
+    return matchTokens(query, fieldValues(_source, field), operator)
+  },
+  multi_match: ({ query, fields = [], operator }, { _source }) => {
+    const scores = fields
+      .map(field => matchTokens(query, fieldValues(_source, field), operator))
+      .filter(value => value !== null)
+    return scores.length ? Math.max(...scores) : null
+  },
+  match_phrase: (params, { _source }) => {
+    const { field, query } = fieldQuery(params, 'query')
+    const phrase = tokenize(query).join(' ')
+    return score(
+      fieldValues(_source, field).some(value =>
+        ` ${tokenize(value).join(' ')} `.includes(` ${phrase} `)
+      )
+    )
+  },
+  term: (params, { _source }) => {
+    const { field, value } = fieldQuery(params, 'value')
+    return score(fieldValues(_source, field).some(item => equals(item, value)))
+  },
+  terms: (params, { _source }) => {
+    const [[field, values]] = Object.entries(params)
+    return score(
+      fieldValues(_source, field).some(item =>
+        values.some(value => equals(item, value))
+      )
+    )
+  },
+  ids: ({ values = [] }, { _id }) => score(values.includes(_id)),
+  exists: ({ field }, { _source }) =>
+    score(fieldValues(_source, field).length > 0),
+  prefix: (params, { _source }) => {
+    const { field, value } = fieldQuery(params, 'value')
+    return score(
+      fieldValues(_source, field).some(item => `${item}`.startsWith(value))
+    )
+  },
+  wildcard: (params, { _source }) => {
+    const { field, value } = fieldQuery(params, 'value')
+    const pattern = wildcardPattern(value)
+    return score(fieldValues(_source, field).some(item => pattern.test(item)))
+  },
+  range: (params, { _source }) => {
+    const [[field, range]] = Object.entries(params)
+    return score(fieldValues(_source, field).some(item => inRange(item, range)))
+  },
+  bool: (
+    { must, filter, should, must_not: mustNot, minimum_should_match: minimum },
+    doc
+  ) => {
+    const mustScores = list(must).map(query => runQuery(query, doc))
+    if (mustScores.includes(null)) return null
+    if (list(filter).some(query => runQuery(query, doc) === null)) return null
+    if (list(mustNot).some(query => runQuery(query, doc) !== null)) return null
+
+    const shouldScores = list(should)
+      .map(query => runQuery(query, doc))
+      .filter(value => value !== null)
+    const required =
+      minimum !== undefined
+        ? Number(minimum)
+        : list(must).length || list(filter).length
+          ? 0
+          : Math.min(1, list(should).length)
+    if (shouldScores.length < required) return null
+    return [...mustScores, ...shouldScores].reduce((sum, value) => sum + value, 0)
+  }
+}
+
+const runQuery = (query = { match_all: {} }, doc) => {
+  const [[type, params] = []] = Object.entries(query)
+  if (!queries[type]) {
+    throw new SearchError(400, 'parsing_exception', `unknown query [${type}]`)
+  }
+  return queries[type](params, doc)
+}
+
+const numbers = (docs, field) =>
+  docs.reduce(
+    (sum, { _source }) =>
+      sum.concat(fieldValues(_source, field).filter(v => typeof v === 'number')),
+    []
+  )
+
+const aggregations = {
+  terms: ({ field, size = 10 }, docs, sub) => {
+    const buckets = new Map()
+    docs.forEach(doc => {
+      new Set(fieldValues(doc._source, field)).forEach(key => {
+        if (!buckets.has(key)) buckets.set(key, [])
+        buckets.get(key).push(doc)
+      })
+    })
+    const sorted = Array.from(buckets.entries()).sort(
+      ([keyA, docsA], [keyB, docsB]) =>
+        docsB.length - docsA.length || compare(keyA, keyB)
+    )
+    return {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: sorted
+        .slice(size)
+        .reduce((sum, [, bucketDocs]) => sum + bucketDocs.length, 0),
+      buckets: sorted.slice(0, size).map(([key, bucketDocs]) => ({
+        key,
+        doc_count: bucketDocs.length,
+        ...aggregate(sub, bucketDocs)
+      }))
+    }
+  },
+  avg: ({ field }, docs) => {
+    const values = numbers(docs, field)
+    return {
+      value: values.length
+        ? values.reduce((sum, value) => sum + value, 0) / values.length
+        : null
+    }
+  },
+  sum: ({ field }, docs) => ({
+    value: numbers(docs, field).reduce((sum, value) => sum + value, 0)
+  }),
+  min: ({ field }, docs) => {
+    const values = numbers(docs, field)
+    return { value: values.length ? Math.min(...values) : null }
+  },
+  max: ({ field }, docs) => {
+    const values = numbers(docs, field)
+    return { value: values.length ? Math.max(...values) : null }
+  },
+  value_count: ({ field }, docs) => ({
+    value: docs.reduce(
+      (sum, { _source }) => sum + fieldValues(_source, field).length,
+      0
+    )
+  }),
+  cardinality: ({ field }, docs) => ({
+    value: new Set(
+      docs.reduce(
+        (sum, { _source }) => sum.concat(fieldValues(_source, field)),
+        []
+      )
+    ).size
+  })
+}
+
+const aggregate = (aggs = {}, docs) =>
+  Object.entries(aggs).reduce(
+    (sum, [name, { aggs: sub, aggregations: subAggregations, ...spec }]) => {
+      const [[type, params]] = Object.entries(spec)
+      if (!aggregations[type]) {
+        throw new SearchError(
+          400,
+          'parsing_exception',
+          `unknown aggregation type [${type}]`
+        )
+      }
+      return {
+        ...sum,
+        [name]: aggregations[type](params, docs, sub || subAggregations)
+      }
+    },
+    {}
+  )
+
+const sortKeys = sort =>
+  list(sort).map(entry => {
+    const [field, spec] =
+      typeof entry === 'string' ? [entry] : Object.entries(entry)[0]
+    const order = isObject(spec) ? spec.order : spec
+    return { field, order: order || (field === '_score' ? 'desc' : 'asc') }
+  })
+
+const sortValue = (hit, field) =>
+  field === '_score' ? hit._score : fieldValues(hit._source, field)[0]
+
+const compareHits = keys => (a, b) => {
+  for (const { field, order } of keys) {
+    const valueA = sortValue(a, field)
+    const valueB = sortValue(b, field)
+    // documents without the field come last.
+    if (valueA === undefined || valueB === undefined) {
+      if (valueA !== valueB) return valueA === undefined ? 1 : -1
+    } else {
+      const result = compare(valueA, valueB)
+      if (result) return order === 'desc' ? -result : result
+    }
+  }
+  return 0
+}
+
+/**
+ * An in-memory stand-in for an Elasticsearch or OpenSearch domain, handling
+ * the document APIs and `_search` requests with the common queries, sorting,
+ * paging and aggregations.
+ */
+const createSearchEngine = () => {
+  const indices = new Map()
+
+  const getIndex = name => {
+    if (!indices.has(name)) {
+      throw new SearchError(
+        404,
+        'index_not_found_exception',
+        `no such index [${name}]`
+      )
+    }
+    return indices.get(name)
+  }
+
+  const index = (name, id, source) => {
+    if (!indices.has(name)) indices.set(name, new Map())
+    const docs = indices.get(name)
+    const existing = docs.get(id)
+    const version = existing ? existing.version + 1 : 1
+    docs.set(id, { source, version })
+    return { version, created: !existing }
+  }
+
+  const remove = (name, id) =>
+    indices.has(name) ? indices.get(name).delete(id) : false
+
+  const search = (names, { query, sort, from = 0, size = 10, aggs, aggregations: aggsAlias } = {}) => {
+    const hits = names
+      .reduce(
+        (sum, name) =>
+          sum.concat(
+            Array.from(getIndex(name).entries()).map(([_id, { source }]) => ({
+              _index: name,
+              _type: '_doc',
+              _id,
+              _source: source
+            }))
+          ),
+        []
+      )
+      .map(doc => ({ ...doc, _score: runQuery(query, doc) }))
+      .filter(({ _score: value }) => value !== null)
+
+    const keys = sortKeys(sort)
+    hits.sort(compareHits(keys.length ? keys : sortKeys('_score')))
+    return {
+      took: 0,
+      timed_out: false,
+      _shards: { total: 1, successful: 1, skipped: 0, failed: 0 },
+      hits: {
+        total: { value: hits.length, relation: 'eq' },
+        max_score: hits.length
+          ? Math.max(...hits.map(({ _score: value }) => value))
+          : null,
+        hits: hits.slice(from, from + size).map(hit =>
+          keys.length
+            ? { ...hit, sort: keys.map(({ field }) => sortValue(hit, field)) }
+            : hit
+        )
+      },
+      ...(aggs || aggsAlias
+        ? { aggregations: aggregate(aggs || aggsAlias, hits) }
+        : {})
+    }
+  }
+
+  const handleDocument = (method, name, id, body) => {
+    const meta = { _index: name, _type: '_doc', _id: id }
+    switch (method) {
+      case 'PUT':
+      case 'POST': {
+        const { version, created } = index(name, id, body)
+        return [
+          created ? 201 : 200,
+          {
+            ...meta,
+            _version: version,
+            result: created ? 'created' : 'updated',
+            _shards: { total: 1, successful: 1, failed: 0 }
+          }
+        ]
+      }
+      case 'GET':
+      case 'HEAD': {
+        const doc = getIndex(name).get(id)
+        if (!doc) return [404, { ...meta, found: false }]
+        return [
+          200,
+          { ...meta, _version: doc.version, found: true, _source: doc.source }
+        ]
+      }
+      case 'DELETE':
+        return remove(name, id)
+          ? [200, { ...meta, result: 'deleted' }]
+          : [404, { ...meta, result: 'not_found' }]
+      default:
+        throw new SearchError(
+          405,
+          'method_not_allowed',
+          `Incorrect HTTP method [${method}]`
+        )
+    }
+  }
+
+  const route = (method, path, body) => {
+    const segments = path
+      .split('?')[0]
+      .split('/')
+      .filter(Boolean)
+    if (segments[segments.length - 1] === '_search') {
+      const names =
+        segments.length > 1 && segments[0] !== '_all'
+          ? segments[0].split(',')
+          : Array.from(indices.keys())
+      return [200, search(names, body || {})]
+    }
+    // `/index/_doc/id`, `/index/type/id` or `/index/_doc` for a new id.
+    if (segments.length === 2 || segments.length === 3) {
+      const [name, , id] = segments
+      if (!id && method !== 'POST') {
+        throw new SearchError(
+          405,
+          'method_not_allowed',
+          `Incorrect HTTP method for uri [${path}] and method [${method}], allowed: [POST]`
+        )
+      }
+      return handleDocument(method, name, id || uuid.v4(), body)
+    }
+    throw new SearchError(
+      400,
+      'illegal_argument_exception',
+      `unsupported request [${method} ${path}]`
+    )
+  }
+
+  return {
+    index,
+    remove,
+    /**
+     * Handles a request like the domain would, resolving to the
+     * `{ statusCode, body }` of its HTTP response.
+     */
+    request: ({ method, path, body }) => {
+      try {
+        const [statusCode, result] = route(
+          method,
+          path,
+          body ? JSON.parse(body) : null
+        )
+        return { statusCode, body: JSON.stringify(result) }
+      } catch (err) {
+        if (!(err instanceof SearchError)) throw err
+        return {
+          statusCode: err.statusCode,
+          body: JSON.stringify({
+            error: { type: err.type, reason: err.message },
+            status: err.statusCode
+          })
+        }
+      }
+    }
+  }
+}
+
+module.exports = { createSearchEngine }
@@ -0,0 +1,98 @@
+const {
+  DynamoDB: { Converter }
+} = require('aws-sdk')
+const consola = require('./log')
+
+// sets of the aws-sdk are indexed as lists.
+const toDocument = item =>
+  JSON.parse(
+    JSON.stringify(Converter.unmarshall(item), (key, value) =>
+      value && value.wrapperName === 'Set' ? value.values : value
+    )
+  )
+
+// the tables and items (or keys) written by a request to a DynamoDB source.
+const writtenItems = (table, { operation, key, tables = {}, transactItems = [] }) => {
+  switch (operation) {
+    case 'PutItem':
+    case 'UpdateItem':
+    case 'DeleteItem':
+      return [{ table, item: key }]
+    case 'BatchPutItem':
+    case 'BatchDeleteItem':
+      return Object.entries(tables).reduce(
+        (sum, [batchTable, items]) =>
+          sum.concat(items.map(item => ({ table: batchTable, item }))),
+        []
+      )
+    case 'TransactWriteItems':
+      return transactItems
+        .filter(item => item.operation !== 'ConditionCheck')
+        .map(item => ({ table: item.table, item: item.key }))
+    default:
+      return []
+  }
+}
+
+/**
+ * Feeds the in-memory search engine from the writes of DynamoDB resolvers,
+ * like the Lambda streaming tables to a domain. Each of the `streams` indexes
+ * the items of a `table` (an alias of `dynamodbTables`) in an `index`, the
+ * lower cased table name by default, with their key values joined by `|` as
+ * ids. Items deleted from the table, or flagged `_deleted` by versioned data
+ * sources, are deleted from the index.
+ */
+const createSearchStream = ({
+  dynamodb,
+  dynamodbTables,
+  searchEngine,
+  streams = []
+}) => {
+  const keySchemas = {}
+  const getKeyNames = async tableName => {
+    if (!keySchemas[tableName]) {
+      const {
+        Table: { KeySchema }
+      } = await dynamodb.describeTable({ TableName: tableName }).promise()
+      keySchemas[tableName] = ['HASH', 'RANGE']
+        .map(type => KeySchema.find(({ KeyType }) => KeyType === type))
+        .filter(Boolean)
+        .map(({ AttributeName }) => AttributeName)
+    }
+    return keySchemas[tableName]
+  }
+
+  const streamItem = async ({ table, index = table.toLowerCase() }, item) => {
+    const tableName = dynamodbTables[table]
+    const keyNames = await getKeyNames(tableName)
+    const key = keyNames.reduce(
+      (sum, name) => ({ ...sum, [name]: item[name] }),
+      {}
+    )
+    const id = keyNames
+      .map(name => Object.values(item[name])[0])
+      .join('|')
+    const { Item } = await dynamodb
+      .getItem({ TableName: tableName, Key: key, ConsistentRead: true })
+      .promise()
+    const document = Item && toDocument(Item)
+    if (document && !document._deleted) {
+      searchEngine.index(index, id, document)
+    } else {
+      searchEngine.remove(index, id)
+    }
+  }
+
+  return async (table, request) => {
+    for (const { table: written, item } of writtenItems(table, request)) {
+      const stream = streams.find(({ table: name }) => name === written)
+      if (stream) {
+        await streamItem(stream, item).catch(err =>
+          consola.error(`Could not index an item of ${written}\n`, err)
+        )
+      }
+    }
+  }
+}
+
+module.exports = { createSearchStream }
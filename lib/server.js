@@ -3,19 +3,46 @@ const pkgUp = require('pkg-up')
 const { loadServerlessConfig } = require('./loadServerlessConfig')
 const { PubSub } = require('graphql-subscriptions')
 const fs = require('fs')
+const chokidar = require('chokidar')
 const { createSchema: createSchemaCore } = require('./schema')
 const createServerCore = require('./serverCore')
+const consola = require('./log')
 
 const { wrapSchema } = require('./schemaWrapper')
 const { cloudFormationProcessor } = require('./cloudFormationProcessor')
+const { getAuthConfig, createLambdaAuthorizer } = require('./auth')
+const { loadJWTKeys } = require('./jwt')
+const { createEventBus } = require('./eventBus')
+const { createSearchEngine } = require('./searchEngine')
+const { closeClients } = require('./rdsClient')
 const {
   getAppSyncConfig,
   flatteningMappingTemplatesAndDataSources
 } = require('./util')
 
+const ReloadDelay = 200
+const ServerlessConfigFiles = [
+  'serverless.yml',
+  'serverless.yaml',
+  'serverless.json',
+  'serverless.js'
+]
+
 const findServerlessPath = ({ parent: { filename } } = module) =>
   path.dirname(pkgUp.sync(filename))
 
+// files which require the schema to be rebuilt when changed.
+const getWatchPaths = ({ serverlessDirectory, appSyncConfig, schemaPaths }) => [
+  ...schemaPaths.map(file => path.resolve(file)),
+  path.join(
+    serverlessDirectory,
+    appSyncConfig.mappingTemplatesLocation || 'mapping-templates'
+  ),
+  ...ServerlessConfigFiles.map(file =>
+    path.join(serverlessDirectory, file)
+  ).filter(file => fs.existsSync(file))
+]
+
 const ensureDynamodbTables = async (
   dynamodb,
   serverlessConfig,
@@ -43,13 +70,16 @@ const ensureDynamodbTables = async (
 
   return dataSources
     .filter(source => source.type === 'AMAZON_DYNAMODB')
-    .reduce(
-      (sum, source) => ({
+    .reduce((sum, { config: { tableName, deltaSyncConfig = {} } }) => {
+      const { deltaSyncTableName } = deltaSyncConfig
+      return {
         ...sum,
-        [source.config.tableName]: source.config.tableName
-      }),
-      {}
-    )
+        [tableName]: tableName,
+        ...(deltaSyncTableName
+          ? { [deltaSyncTableName]: deltaSyncTableName }
+          : {})
+      }
+    }, {})
 }
 
 const createSchema = async ({
@@ -57,23 +87,39 @@ const createSchema = async ({
   selectApi = null,
   pubsub,
   elastic,
+  rds,
+  eventBus,
+  searchEngine,
   dynamodb,
+  reload = false,
   ...otherOpts
 } = {}) => {
   let serverlessConfig = {}
   let serverlessDirectory
-  if (typeof serverless === 'object') {
+  // the config of the serverless plugin is only loaded once, reloads read
+  // the config from disk instead with the options of the plugin.
+  if (typeof serverless === 'object' && !reload) {
     serverlessConfig = serverless.service
     const appSyncConfig = getAppSyncConfig(serverlessConfig, selectApi)
     flatteningMappingTemplatesAndDataSources(appSyncConfig)
     serverlessConfig.appSyncConfig = appSyncConfig
     serverlessDirectory = serverless.config.servicePath
   } else {
-    serverlessDirectory =
-      typeof serverless === 'string'
-        ? path.dirname(serverless)
-        : findServerlessPath()
-    const config = await loadServerlessConfig(serverlessDirectory)
+    if (typeof serverless === 'object') {
+      serverlessDirectory = serverless.config.servicePath
+    } else {
+      serverlessDirectory =
+        typeof serverless === 'string'
+          ? path.dirname(serverless)
+          : findServerlessPath()
+    }
+    const config = await loadServerlessConfig(serverlessDirectory, {
+      cache: !reload,
+      options:
+        typeof serverless === 'object'
+          ? (serverless.processedInput || {}).options
+          : undefined
+    })
     serverlessConfig = config.config
   }
 
@@ -103,16 +149,58 @@ const createSchema = async ({
     appSyncConfig
   )
 
-  return createSchemaCore({
+  const core = await createSchemaCore({
     dynamodb,
     selectApi,
     dynamodbTables,
     elastic,
+    rds,
+    eventBus,
+    searchEngine,
     graphqlSchema,
     serverlessDirectory,
     serverlessConfig: cfConfig,
     pubsub
   })
+
+  return {
+    ...core,
+    watchPaths: getWatchPaths({
+      serverlessDirectory,
+      appSyncConfig,
+      schemaPaths: filePaths
+    })
+  }
+}
+
+/**
+ * Calls `rebuild` when any of `paths` change. Changes in quick succession
+ * are batched into a single rebuild and rebuilds never overlap. Resolves
+ * once the initial scan is done, changes made before are not seen.
+ */
+const watchFiles = async (paths, rebuild) => {
+  const watcher = chokidar.watch(paths, { ignoreInitial: true })
+  let timer = null
+  let closed = false
+  let rebuilding = Promise.resolve()
+
+  watcher.on('all', (event, file) => {
+    consola.info(`${event}: ${path.relative(process.cwd(), file)}`)
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      rebuilding = rebuilding.then(() => !closed && rebuild())
+    }, ReloadDelay)
+  })
+  await new Promise(resolve => watcher.once('ready', resolve))
+
+  return {
+    add: files => !closed && watcher.add(files),
+    close: () => {
+      closed = true
+      clearTimeout(timer)
+      return watcher.close()
+    }
+  }
 }
 
 const createServer = async ({
@@ -120,23 +208,77 @@ const createServer = async ({
   port,
   dynamodb,
   elastic,
+  apiKey,
+  jwt = {},
+  iamIdentity,
+  watch = false,
   ...createSchemaOpts
 }) => {
   const pubsub = new PubSub()
-  const { schema, subscriptions } = await createSchema({
+  // events put by resolvers and indexed documents are kept across schema
+  // reloads.
+  const eventBus = createEventBus()
+  const searchEngine = createSearchEngine()
+  const jwtKeys = jwt.verify ? loadJWTKeys(jwt) : null
+  const schemaOpts = {
     ...createSchemaOpts,
     dynamodb,
     elastic,
-    pubsub
-  })
+    pubsub,
+    eventBus,
+    searchEngine
+  }
+  const {
+    schema,
+    subscriptions,
+    appSyncConfig,
+    invokeFunction,
+    watchPaths
+  } = await createSchema(schemaOpts)
 
-  return createServerCore({
+  const server = await createServerCore({
     wsPort,
     port,
     pubsub,
+    eventBus,
     schema,
-    subscriptions
+    subscriptions,
+    authConfig: getAuthConfig(appSyncConfig, {
+      apiKey,
+      jwtKeys,
+      iamIdentity,
+      lambdaAuthorizer: createLambdaAuthorizer(invokeFunction)
+    })
   })
+
+  if (watch) {
+    const watcher = await watchFiles(watchPaths, async () => {
+      try {
+        const next = await createSchema({ ...schemaOpts, reload: true })
+        server.updateSchema({
+          schema: next.schema,
+          subscriptions: next.subscriptions,
+          authConfig: getAuthConfig(next.appSyncConfig, {
+            apiKey,
+            jwtKeys,
+            iamIdentity,
+            lambdaAuthorizer: createLambdaAuthorizer(next.invokeFunction)
+          })
+        })
+        // the config may point at new schema files.
+        watcher.add(next.watchPaths)
+        consola.success('Schema reloaded')
+      } catch (err) {
+        consola.error('Failed to reload schema, keeping the previous one\n', err)
+      }
+    })
+    consola.info('Watching for changes', watchPaths)
+    server.server.once('close', () => watcher.close())
+  }
+  // the RDS pools would otherwise keep the process running.
+  server.server.once('close', () => closeClients())
+
+  return server
 }
 
 module.exports = createServer
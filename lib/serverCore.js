@@ -1,25 +1,36 @@
 const http = require('http')
+const { URL } = require('url')
 const express = require('express')
-const jwtDecode = require('jwt-decode')
 const e2p = require('event-to-promise')
 const aedes = require('aedes')
 const ws = require('websocket-stream')
 const mq = require('mqemitter')
 const uuid = require('uuid')
+const WebSocket = require('ws')
 
-const {
-  parse,
-  validate,
-  execute,
-  subscribe,
-  specifiedRules
-} = require('graphql')
+const { execute, subscribe } = require('graphql')
 
 const consola = require('./log')
 const { inspect } = require('util')
+const {
+  authenticateRequest,
+  authorizeRequest,
+  UnauthorizedError
+} = require('./auth')
+const { parseAndValidate } = require('./validation')
+const { collectErrors } = require('./errors')
+const {
+  explorerAssets,
+  renderExplorer,
+  createTestToken
+} = require('./explorer')
 
 const TopicExpires = 1000 * 60 * 100
 const ConnectTimeout = 1000 * 60 * 2
+const RealtimePath = '/graphql/realtime'
+const RealtimeProtocol = 'graphql-ws'
+const RealtimeConnectionTimeout = 1000 * 60 * 5
+const RealtimeKeepAlive = 1000 * 60
 
 function shouldPublishSubscription (payload, variables) {
   if (
@@ -175,7 +186,8 @@ class SubscriptionServer {
   }
 
   async register ({ documentAST, variables, context }) {
-    const clientId = context.jwt.sub
+    // only user pool / oidc requests carry a stable subject.
+    const clientId = context.jwt.sub || uuid()
 
     const topicId = uuid()
     consola.info('Register', { clientId, topicId })
@@ -190,7 +202,7 @@ class SubscriptionServer {
 
     if (asyncIterator.errors) {
       return {
-        errors: context.appsyncErrors || asyncIterator.errors,
+        errors: collectErrors(context, asyncIterator.errors),
         data: asyncIterator.data || null
       }
     }
@@ -255,6 +267,221 @@ class SubscriptionServer {
   }
 }
 
+// header / payload query parameters and start authorization extensions hold
+// request headers, keys are lower cased to match node's incoming headers.
+const normalizeHeaders = (headers = {}) =>
+  Object.entries(headers).reduce(
+    (sum, [key, value]) => ({
+      ...sum,
+      [key.toLowerCase()]: value
+    }),
+    {}
+  )
+
+const decodeHeaderParam = value =>
+  normalizeHeaders(
+    value ? JSON.parse(Buffer.from(value, 'base64').toString()) : {}
+  )
+
+const toErrorPayload = error => ({
+  errors: [
+    {
+      errorType: error.errorType || 'UnknownOperationException',
+      message: error.message
+    }
+  ]
+})
+
+/**
+ * Implements the AppSync real-time protocol
+ * (https://docs.aws.amazon.com/appsync/latest/devguide/real-time-websocket-client.html)
+ * used by current Amplify and AppSync clients, next to the legacy MQTT server.
+ */
+class RealtimeSubscriptionServer {
+  constructor ({ schema, server, authConfig }) {
+    Object.assign(this, { schema, authConfig })
+    this.wss = new WebSocket.Server({
+      noServer: true,
+      handleProtocols: protocols =>
+        protocols.includes(RealtimeProtocol) ? RealtimeProtocol : false
+    })
+
+    server.on('upgrade', (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== RealtimePath) {
+        socket.destroy()
+        return
+      }
+      this.wss.handleUpgrade(req, socket, head, ws =>
+        this.onConnection(ws, req)
+      )
+    })
+  }
+
+  send (socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message))
+    }
+  }
+
+  onConnection (socket, req) {
+    const connection = {
+      socket,
+      ip: req.socket.remoteAddress,
+      subscriptions: new Map(),
+      keepAlive: null
+    }
+
+    // messages are handled once the connection has been authorized.
+    const authorized = this.authorizeConnection(connection, req)
+    socket.on('message', async data => {
+      if (await authorized) this.onMessage(connection, data)
+    })
+    socket.on('close', () => this.onClose(connection))
+  }
+
+  async authorizeConnection (connection, req) {
+    try {
+      const { searchParams } = new URL(req.url, 'http://localhost')
+      connection.headers = decodeHeaderParam(searchParams.get('header'))
+      await authorizeRequest(
+        authenticateRequest(connection.headers, this.authConfig),
+        this.authConfig
+      )
+    } catch (error) {
+      consola.error('Realtime connection rejected', inspect(error))
+      this.send(connection.socket, {
+        type: 'connection_error',
+        payload: toErrorPayload(error)
+      })
+      connection.socket.close()
+      return false
+    }
+
+    consola.info('client connected to realtime subscription server')
+    return true
+  }
+
+  onMessage (connection, data) {
+    let message
+    try {
+      message = JSON.parse(data)
+    } catch (err) {
+      consola.error('Invalid realtime message', data)
+      return
+    }
+
+    switch (message.type) {
+      case 'connection_init':
+        this.send(connection.socket, {
+          type: 'connection_ack',
+          payload: { connectionTimeoutMs: RealtimeConnectionTimeout }
+        })
+        this.send(connection.socket, { type: 'ka' })
+        connection.keepAlive = setInterval(
+          () => this.send(connection.socket, { type: 'ka' }),
+          RealtimeKeepAlive
+        )
+        return
+      case 'start':
+        return this.onStart(connection, message)
+      case 'stop':
+        this.stop(connection, message.id)
+        this.send(connection.socket, { type: 'complete', id: message.id })
+        return
+      default:
+        consola.warn('Unknown realtime message type', message.type)
+        this.send(connection.socket, {
+          type: 'error',
+          id: message.id,
+          payload: toErrorPayload(
+            new Error(`Unknown message type: ${message.type}`)
+          )
+        })
+    }
+  }
+
+  async onStart (connection, { id, payload: { data, extensions = {} } = {} }) {
+    const { socket } = connection
+    try {
+      const headers = extensions.authorization
+        ? normalizeHeaders(extensions.authorization)
+        : connection.headers
+      const { query, variables = {} } = JSON.parse(data)
+      const auth = await authorizeRequest(
+        authenticateRequest(headers, this.authConfig),
+        this.authConfig,
+        { queryString: query, variables }
+      )
+      const context = { ...auth, request: { headers, ip: connection.ip } }
+
+      consola.start('realtime subscription', query)
+      const { documentAST, errors } = parseAndValidate(this.schema, query)
+      if (errors.length) {
+        this.send(socket, { type: 'error', id, payload: { errors } })
+        return
+      }
+
+      const asyncIterator = await subscribe({
+        schema: this.schema,
+        document: documentAST,
+        variableValues: variables,
+        contextValue: context
+      })
+
+      if (asyncIterator.errors) {
+        this.send(socket, {
+          type: 'error',
+          id,
+          payload: { errors: collectErrors(context, asyncIterator.errors) }
+        })
+        return
+      }
+
+      connection.subscriptions.set(id, asyncIterator)
+      this.send(socket, { type: 'start_ack', id })
+
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        const { value: result, done } = await asyncIterator.next()
+        if (done) break
+
+        if (!shouldPublishSubscription(result, variables)) {
+          consola.info('Skipping publish', { id })
+          // eslint-disable-next-line
+          continue
+        }
+
+        consola.info('publish', inspect({ result, id }, { depth: null }))
+        this.send(socket, { type: 'data', id, payload: result })
+      }
+    } catch (error) {
+      consola.error('Realtime subscription failed', inspect(error))
+      this.send(socket, { type: 'error', id, payload: toErrorPayload(error) })
+    }
+  }
+
+  stop (connection, id) {
+    const asyncIterator = connection.subscriptions.get(id)
+    if (asyncIterator) {
+      asyncIterator.return()
+      connection.subscriptions.delete(id)
+    }
+  }
+
+  onClose (connection) {
+    consola.info('client disconnected from realtime subscription server')
+    clearInterval(connection.keepAlive)
+    Array.from(connection.subscriptions.keys()).forEach(id =>
+      this.stop(connection, id)
+    )
+  }
+
+  close () {
+    this.wss.clients.forEach(socket => socket.terminate())
+    this.wss.close()
+  }
+}
+
 const executeGQL = async ({
   schema,
   documentAST,
@@ -271,47 +498,36 @@ const executeGQL = async ({
     operationName
   )
 
-  // nasty hack to emulator appsync errors which are more robust than what
-  // the graphql-js lib can do.
-  if (context.appsyncErrors) {
-    const errorOutput = {
-      data: output.data,
-      errors: context.appsyncErrors
-    }
-    return errorOutput
-  }
-
-  return output
+  // the errors of every field, including those appended by templates which
+  // graphql-js does not know about.
+  const errors = collectErrors(context, output.errors)
+  return errors.length ? { data: output.data, errors } : output
 }
 
-const createGQLHandler = ({ schema, subServer }) => async (req, res) => {
+// options are read on every request so the schema can be swapped at runtime.
+const createGQLHandler = options => async (req, res) => {
+  const { schema, subServer, authConfig } = options
   try {
-    // const { headers: { authorization = null, }, } = req;
     const { headers } = req
-    // consola.info('req', { req })
-
-    // if (!headers.authorization && !headers['x-api-key']) {
-    //   throw new Error('Must pass authorization header')
-    // }
-    const jwt = headers.authorization ? jwtDecode(headers.authorization) : {}
     const { variables, query, operationName } = req.body
+    const auth = await authorizeRequest(
+      authenticateRequest(headers, authConfig),
+      authConfig,
+      { queryString: query, operationName, variables }
+    )
     consola.start('graphql', query)
 
-    const documentAST = parse(query)
+    const { documentAST, errors } = parseAndValidate(schema, query)
+    if (errors.length) {
+      consola.error('Validation errors', inspect(errors, { depth: null }))
+      return res.send({ data: null, errors })
+    }
 
-    // Disabled for now as these rules dont allow AWS types - see: https://graphql.org/graphql-js/validation/#validate
-    // const validationErrors = validate(schema, documentAST, specifiedRules)
-    // if (validationErrors.length) {
-    //   consola.error('errors', validationErrors)
-    //   return res.send({
-    //     errors: validationErrors
-    //   })
-    // }
     const {
       definitions: [{ operation: queryType }]
     } = documentAST
 
-    const context = { jwt, request: req }
+    const context = { ...auth, request: req }
     switch (queryType) {
       case 'query':
       case 'mutation':
@@ -337,6 +553,11 @@ const createGQLHandler = ({ schema, subServer }) => async (req, res) => {
     }
   } catch (error) {
     consola.error(inspect(error))
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).send({
+        errors: [{ errorType: error.errorType, message: error.message }]
+      })
+    }
     return res.send({
       errorMessage: error.message
     })
@@ -347,14 +568,17 @@ const createServer = async ({
   wsPort = 0,
   port = 0,
   pubsub,
+  eventBus,
   schema,
-  subscriptions
+  subscriptions,
+  authConfig
 }) => {
   // mqtt over ws server.
   const emitter = mq({ concurrency: 5 })
   const mqttServer = aedes({ mq: emitter })
   const mqttHTTP = http.createServer()
-  ws.createServer({ server: mqttHTTP, port: wsPort }, mqttServer.handle)
+  // attached to mqttHTTP, a port would make it listen on a server of its own.
+  ws.createServer({ server: mqttHTTP }, mqttServer.handle)
 
   await Promise.all([
     new Promise(resolve => mqttHTTP.listen(wsPort, resolve))
@@ -367,7 +591,7 @@ const createServer = async ({
   // ])
   // Trailing slash is very important. The mqtt client will not connect without it.
   // const mqttURL = `ws://localhost:${mqttWS.address().port}/`
-  const mqttURL = `ws://localhost:${wsPort}/`
+  const mqttURL = `ws://localhost:${mqttHTTP.address().port}/`
 
   // eslint-disable-next-line
   consola.info(`listening for subscriptions at: ${mqttURL}`)
@@ -383,7 +607,8 @@ const createServer = async ({
   const app = express()
   app.use(express.json({ type: ['application/graphql', 'application/json'] }))
   app.use(require('cors')())
-  const handler = createGQLHandler({ schema, subServer })
+  const handlerOptions = { schema, subServer, authConfig }
+  const handler = createGQLHandler(handlerOptions)
 
   app.post('/graphql', async (req, res) => {
     try {
@@ -393,25 +618,94 @@ const createServer = async ({
       res.send(500)
     }
   })
+
+  // in browser graphql explorer.
+  app.get('/graphql', (req, res) => {
+    res.type('html').send(renderExplorer(handlerOptions.authConfig))
+  })
+  app.get('/graphql/explorer/:asset', (req, res) => {
+    const file = explorerAssets[req.params.asset]
+    return file ? res.sendFile(file) : res.sendStatus(404)
+  })
+  // unsigned test tokens, only accepted while tokens are not verified.
+  app.post('/graphql/explorer/token', (req, res) => {
+    if (handlerOptions.authConfig.jwtKeys) {
+      return res.status(403).send({
+        errors: [
+          {
+            errorType: 'UnauthorizedException',
+            message: 'Test tokens are not issued when tokens are verified.'
+          }
+        ]
+      })
+    }
+    return res.send({
+      token: createTestToken(handlerOptions.authConfig, req.body)
+    })
+  })
+  // events of AMAZON_EVENTBRIDGE data sources, for tests to assert on.
+  if (eventBus) {
+    app.get('/eventbridge/events', (req, res) => {
+      res.send({ events: eventBus.list(req.query) })
+    })
+    app.delete('/eventbridge/events', (req, res) => {
+      eventBus.clear()
+      res.sendStatus(204)
+    })
+  }
   const server = app.listen(port)
   server.once('listening', () => {
     consola.info('Server bound', server.address())
   })
 
+  const realtimeServer = new RealtimeSubscriptionServer({
+    schema,
+    server,
+    authConfig
+  })
+
   await e2p(server, 'listening')
   const { port: boundPort } = server.address()
+  const realtimeURL = `ws://localhost:${boundPort}${RealtimePath}`
+  consola.info(`listening for realtime subscriptions at: ${realtimeURL}`)
+  consola.info(`explorer available at: http://localhost:${boundPort}/graphql`)
 
   server.once('close', () => {
     // ensure that the mqtt server is fully closed.
     mqttServer.close(() => mqttHTTP.close())
+    realtimeServer.close()
   })
 
+  // Swaps in a rebuilt schema. Active subscriptions keep their iterators on
+  // the shared pubsub so clients stay connected.
+  const updateSchema = ({
+    schema: nextSchema,
+    subscriptions: nextSubscriptions,
+    authConfig: nextAuthConfig
+  }) => {
+    Object.assign(handlerOptions, {
+      schema: nextSchema,
+      authConfig: nextAuthConfig
+    })
+    Object.assign(subServer, {
+      schema: nextSchema,
+      subscriptions: nextSubscriptions
+    })
+    Object.assign(realtimeServer, {
+      schema: nextSchema,
+      authConfig: nextAuthConfig
+    })
+  }
+
   return {
     url: `http://localhost:${boundPort}/graphql`,
+    realtimeURL,
     mqttURL,
     mqttServer,
     server,
-    schema
+    schema,
+    eventBus,
+    updateSchema
   }
 }
 
@@ -0,0 +1,163 @@
+// template values may hold JavaMap / JavaString instances at any depth.
+const toJSON = value =>
+  value == null ? value : JSON.parse(JSON.stringify(value))
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+const contains = (fieldValue, value) =>
+  Array.isArray(fieldValue) || typeof fieldValue === 'string'
+    ? fieldValue.includes(value)
+    : false
+
+const operators = {
+  eq: (fieldValue, value) => isEqual(fieldValue, value),
+  ne: (fieldValue, value) => !isEqual(fieldValue, value),
+  le: (fieldValue, value) => fieldValue != null && fieldValue <= value,
+  lt: (fieldValue, value) => fieldValue != null && fieldValue < value,
+  ge: (fieldValue, value) => fieldValue != null && fieldValue >= value,
+  gt: (fieldValue, value) => fieldValue != null && fieldValue > value,
+  contains,
+  notContains: (fieldValue, value) => !contains(fieldValue, value),
+  beginsWith: (fieldValue, value) =>
+    typeof fieldValue === 'string' && fieldValue.startsWith(value),
+  in: (fieldValue, values) => values.some(value => isEqual(fieldValue, value)),
+  notIn: (fieldValue, values) =>
+    !values.some(value => isEqual(fieldValue, value)),
+  between: (fieldValue, [low, high]) =>
+    fieldValue != null && fieldValue >= low && fieldValue <= high
+}
+
+const listOperators = ['in', 'notIn', 'between']
+
+const isOperatorMap = value =>
+  value != null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key in operators)
+
+const assertFilter = ({ fieldName, operator, value }) => {
+  if (typeof fieldName !== 'string' || !fieldName) {
+    throw new Error('Subscription filter requires a fieldName')
+  }
+  if (!(operator in operators)) {
+    throw new Error(`Unsupported subscription filter operator: ${operator}`)
+  }
+  if (listOperators.includes(operator) && !Array.isArray(value)) {
+    throw new Error(`Subscription filter operator ${operator} requires a list`)
+  }
+  if (operator === 'between' && value.length !== 2) {
+    throw new Error('Subscription filter operator between requires 2 values')
+  }
+}
+
+// every combination of one entry from each list of filters.
+const combine = (groups, alternatives) =>
+  groups.reduce(
+    (sum, group) =>
+      sum.concat(alternatives.map(alternative => group.concat(alternative))),
+    []
+  )
+
+// Expands a filter object into the list of filter groups (OR) holding lists
+// of filters (AND) it represents. Nested objects address nested fields.
+const expand = (filter, prefix = '') =>
+  Object.entries(filter).reduce((groups, [key, value]) => {
+    if (key === 'and') {
+      return value.reduce(
+        (sum, entry) => combine(sum, expand(entry, prefix)),
+        groups
+      )
+    }
+    if (key === 'or') {
+      return combine(
+        groups,
+        value.reduce((sum, entry) => sum.concat(expand(entry, prefix)), [])
+      )
+    }
+
+    const fieldName = `${prefix}${key}`
+    if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Subscription filter for ${fieldName} must be a map`)
+    }
+    if (!isOperatorMap(value)) {
+      return combine(groups, expand(value, `${fieldName}.`))
+    }
+
+    const filters = Object.entries(value).map(([operator, operand]) => ({
+      fieldName,
+      operator,
+      value: operand
+    }))
+    filters.forEach(assertFilter)
+    return combine(groups, [filters])
+  }, [[]])
+
+/**
+ * Implements `$util.transform.toSubscriptionFilter`, turning a map such as
+ * `{ "severity": { "ge": 2 }, "or": [...] }` into the `filterGroup` format
+ * accepted by `$extensions.setSubscriptionFilter`.
+ *
+ * `ignoredFields` are left out of the filter. Each of the `rules` is combined
+ * with the remaining filter and at least one of them has to match.
+ */
+const toSubscriptionFilter = (filter, ignoredFields = [], rules = null) => {
+  const ignored = toJSON(ignoredFields) || []
+  const fields = Object.entries(toJSON(filter) || {})
+    .filter(([key]) => !ignored.includes(key))
+    .reduce((sum, [key, value]) => ({ ...sum, [key]: value }), {})
+
+  let groups = expand(fields)
+  if (rules) {
+    groups = combine(
+      groups,
+      Object.entries(toJSON(rules)).reduce(
+        (sum, [key, value]) => sum.concat(expand({ [key]: value })),
+        []
+      )
+    )
+  }
+
+  return {
+    filterGroup: groups.map(filters => ({ filters }))
+  }
+}
+
+/**
+ * Validates the argument of `$extensions.setSubscriptionFilter` and returns
+ * it as plain JSON.
+ */
+const parseSubscriptionFilter = input => {
+  const filter = toJSON(input)
+  if (!filter || !Array.isArray(filter.filterGroup)) {
+    throw new Error('Subscription filter must contain a filterGroup list')
+  }
+  filter.filterGroup.forEach(({ filters } = {}) => {
+    if (!Array.isArray(filters) || !filters.length) {
+      throw new Error('Subscription filter groups must contain filters')
+    }
+    filters.forEach(assertFilter)
+  })
+  return filter
+}
+
+const getField = (payload, fieldName) =>
+  fieldName
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), payload)
+
+/**
+ * A payload matches when all filters of at least one filter group match.
+ */
+const matchesSubscriptionFilter = ({ filterGroup }, payload) =>
+  filterGroup.some(({ filters }) =>
+    filters.every(({ fieldName, operator, value }) =>
+      operators[operator](getField(payload, fieldName), value)
+    )
+  )
+
+module.exports = {
+  toSubscriptionFilter,
+  parseSubscriptionFilter,
+  matchesSubscriptionFilter
+}
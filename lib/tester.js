@@ -2,6 +2,7 @@ const assert = require('assert')
 const { createSchema } = require('./schemaTest')
 const createServerCore = require('./serverCore')
 const testJWT = require('./testJWT')
+const { getAuthConfig } = require('./auth')
 const dynamoEmulator = require('@conduitvc/dynamodb-emulator/client')
 
 const create = async ({
@@ -32,7 +33,8 @@ const create = async ({
     subscriptions,
     schema,
     close: schemaClose,
-    tables
+    tables,
+    appSyncConfig
   } = await createSchema({
     serverless,
     schemaPath,
@@ -42,7 +44,8 @@ const create = async ({
     port,
     pubusb,
     schema,
-    subscriptions
+    subscriptions,
+    authConfig: getAuthConfig(appSyncConfig)
   })
 
   const close = async () => {
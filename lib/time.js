@@ -0,0 +1,379 @@
+const MonthNames = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December'
+]
+const DayNames = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday'
+]
+const MinuteMs = 60 * 1000
+const OffsetPattern = /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/
+
+const pad = (value, length) => `${Math.abs(value)}`.padStart(length, '0')
+
+/**
+ * Splits a Java `DateTimeFormatter` pattern into letter runs such as
+ * `{ letter: 'y', count: 4 }` and literals, quoted with `'` or not letters.
+ */
+const tokenize = pattern => {
+  const tokens = []
+  let index = 0
+  while (index < pattern.length) {
+    const char = pattern[index]
+    if (char === "'") {
+      // '' is a quote, inside quoted text as well.
+      let literal = ''
+      index += 1
+      while (pattern[index] !== "'" || pattern[index + 1] === "'") {
+        if (index >= pattern.length) {
+          throw new Error(`Unterminated quote in date pattern: ${pattern}`)
+        }
+        literal += pattern[index]
+        index += pattern[index] === "'" ? 2 : 1
+      }
+      tokens.push({ literal: literal || "'" })
+      index += 1
+    } else if (/[a-zA-Z]/.test(char)) {
+      let count = 1
+      while (pattern[index + count] === char) count += 1
+      tokens.push({ letter: char, count })
+      index += count
+    } else {
+      tokens.push({ literal: char })
+      index += 1
+    }
+  }
+  return tokens
+}
+
+const formatterCache = new Map()
+const getFormatter = timeZone => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    )
+  }
+  return formatterCache.get(timeZone)
+}
+
+/**
+ * Resolves an IANA zone id (`Australia/Perth`) or a fixed offset (`+08:00`,
+ * `UTC-5`) into `{ id, offsetAt(epochMs) }` where the offset is in minutes.
+ */
+const getZone = timeZone => {
+  const id = timeZone == null ? 'UTC' : `${timeZone}`
+  const fixed = OffsetPattern.exec(id)
+  if (fixed) {
+    const [, sign, hours, minutes = '0'] = fixed
+    const offset = (sign === '-' ? -1 : 1) * (hours * 60 + Number(minutes))
+    return { id, offsetAt: () => offset }
+  }
+
+  let formatter
+  try {
+    formatter = getFormatter(id)
+  } catch (err) {
+    throw new Error(`Invalid timezone: ${id}`)
+  }
+  return {
+    id,
+    offsetAt: epochMs => {
+      const parts = formatter
+        .formatToParts(new Date(epochMs))
+        .reduce((sum, { type, value }) => ({ ...sum, [type]: Number(value) }), {})
+      const wallTime = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      )
+      return Math.round((wallTime - (epochMs - (epochMs % 1000))) / MinuteMs)
+    }
+  }
+}
+
+const formatOffset = (offset, separator = '', withMinutes = true) => {
+  const sign = offset < 0 ? '-' : '+'
+  const hours = pad(Math.floor(Math.abs(offset) / 60), 2)
+  const minutes = pad(Math.abs(offset) % 60, 2)
+  return withMinutes || minutes !== '00'
+    ? `${sign}${hours}${separator}${minutes}`
+    : `${sign}${hours}`
+}
+
+const zoneName = (zone, epochMs, style) => {
+  if (OffsetPattern.test(zone.id)) return zone.id
+  const { value } = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone.id,
+    timeZoneName: style
+  })
+    .formatToParts(new Date(epochMs))
+    .find(({ type }) => type === 'timeZoneName')
+  return value
+}
+
+const formatToken = ({ letter, count }, fields, zone, epochMs) => {
+  const { year, month, day, hour, minute, second, ms, weekday, offset } = fields
+  switch (letter) {
+    case 'y':
+    case 'u':
+      return count === 2 ? pad(year % 100, 2) : pad(year, count)
+    case 'M':
+    case 'L':
+      if (count >= 4) return MonthNames[month - 1]
+      if (count === 3) return MonthNames[month - 1].slice(0, 3)
+      return pad(month, count)
+    case 'd':
+      return pad(day, count)
+    case 'D':
+      return pad(
+        (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000 + 1,
+        count
+      )
+    case 'E':
+      return count >= 4 ? DayNames[weekday] : DayNames[weekday].slice(0, 3)
+    case 'a':
+      return hour < 12 ? 'AM' : 'PM'
+    case 'H':
+      return pad(hour, count)
+    case 'k':
+      return pad(hour || 24, count)
+    case 'h':
+      return pad(hour % 12 || 12, count)
+    case 'K':
+      return pad(hour % 12, count)
+    case 'm':
+      return pad(minute, count)
+    case 's':
+      return pad(second, count)
+    case 'S':
+      return pad(ms, 3).padEnd(count, '0').slice(0, count)
+    case 'Z':
+      if (count === 4) return offset ? `GMT${formatOffset(offset, ':')}` : 'GMT'
+      if (count === 5) return offset ? formatOffset(offset, ':') : 'Z'
+      return formatOffset(offset)
+    case 'X':
+    case 'x':
+      if (letter === 'X' && !offset) return 'Z'
+      return formatOffset(offset, count >= 3 ? ':' : '', count !== 1)
+    case 'z':
+      return zoneName(zone, epochMs, count >= 4 ? 'long' : 'short')
+    case 'V':
+      return zone.id
+    default:
+      throw new Error(`Unsupported date pattern letter: ${letter}`)
+  }
+}
+
+/**
+ * Formats `epochMs` with a Java `DateTimeFormatter` pattern in `timeZone`,
+ * UTC by default like AppSync.
+ */
+const formatEpochMs = (epochMs, pattern, timeZone) => {
+  const zone = getZone(timeZone)
+  const offset = zone.offsetAt(epochMs)
+  const local = new Date(epochMs + offset * MinuteMs)
+  const fields = {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    second: local.getUTCSeconds(),
+    ms: local.getUTCMilliseconds(),
+    weekday: local.getUTCDay(),
+    offset
+  }
+  return tokenize(`${pattern}`)
+    .map(token =>
+      token.literal !== undefined
+        ? token.literal
+        : formatToken(token, fields, zone, epochMs)
+    )
+    .join('')
+}
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const digits = count => (count === 1 ? '(\\d{1,2})' : `(\\d{${count}})`)
+
+// the regular expression matching a token and how to read its match.
+const parseToken = ({ letter, count }) => {
+  switch (letter) {
+    case 'y':
+    case 'u':
+      return count === 2
+        ? ['(\\d{2})', (fields, value) => { fields.year = 2000 + Number(value) }]
+        : ['(-?\\d{1,9})', (fields, value) => { fields.year = Number(value) }]
+    case 'M':
+    case 'L':
+      if (count >= 3) {
+        const names = MonthNames.map(name =>
+          count === 3 ? name.slice(0, 3) : name
+        )
+        return [
+          `(${names.join('|')})`,
+          (fields, value) => {
+            fields.month = names.indexOf(value) + 1
+          }
+        ]
+      }
+      return [digits(count), (fields, value) => { fields.month = Number(value) }]
+    case 'd':
+      return [digits(count), (fields, value) => { fields.day = Number(value) }]
+    case 'E':
+      return ['([A-Za-z]+)', () => {}]
+    case 'a':
+      return [
+        '(AM|PM)',
+        (fields, value) => {
+          fields.pm = value === 'PM'
+        }
+      ]
+    case 'H':
+    case 'k':
+      return [digits(count), (fields, value) => { fields.hour = Number(value) % 24 }]
+    case 'h':
+    case 'K':
+      return [
+        digits(count),
+        (fields, value) => {
+          fields.hour = Number(value) % 12
+          fields.twelveHour = true
+        }
+      ]
+    case 'm':
+      return [digits(count), (fields, value) => { fields.minute = Number(value) }]
+    case 's':
+      return [digits(count), (fields, value) => { fields.second = Number(value) }]
+    case 'S':
+      return [
+        `(\\d{${count}})`,
+        (fields, value) => {
+          fields.ms = Number(value.padEnd(3, '0').slice(0, 3))
+        }
+      ]
+    case 'Z':
+    case 'X':
+    case 'x':
+      return [
+        '(Z|GMT|(?:GMT)?[+-]\\d{2}(?::?\\d{2})?)',
+        (fields, value) => {
+          fields.offset =
+            value === 'Z' || value === 'GMT'
+              ? 0
+              : getZone(value.replace(/^GMT/, '')).offsetAt()
+        }
+      ]
+    case 'V':
+      return [
+        '([A-Za-z_]+(?:/[A-Za-z_]+)*|[+-]\\d{2}:?\\d{2})',
+        (fields, value) => {
+          fields.zone = value
+        }
+      ]
+    default:
+      throw new Error(`Unsupported date pattern letter: ${letter}`)
+  }
+}
+
+// the instant of a wall clock time in `zone`, checked at the resulting
+// offset as it may differ around DST changes.
+const wallTimeToEpochMs = (wallTime, zone) => {
+  const first = wallTime - zone.offsetAt(wallTime) * MinuteMs
+  return wallTime - zone.offsetAt(first) * MinuteMs
+}
+
+/**
+ * Parses `time` formatted with a Java `DateTimeFormatter` pattern. Times
+ * without an offset in the pattern are read in `timeZone`, UTC by default.
+ */
+const parseFormattedToEpochMs = (time, pattern, timeZone) => {
+  const readers = []
+  const source = tokenize(`${pattern}`)
+    .map(token => {
+      if (token.literal !== undefined) return escapeRegExp(token.literal)
+      const [expression, read] = parseToken(token)
+      readers.push(read)
+      return expression
+    })
+    .join('')
+
+  const match = new RegExp(`^${source}$`).exec(`${time}`)
+  if (!match) {
+    throw new Error(`Text '${time}' could not be parsed with pattern ${pattern}`)
+  }
+
+  const fields = {
+    year: 1970,
+    month: 1,
+    day: 1,
+    hour: 0,
+    minute: 0,
+    second: 0,
+    ms: 0
+  }
+  readers.forEach((read, index) => read(fields, match[index + 1]))
+  if (fields.twelveHour && fields.pm) fields.hour += 12
+
+  const wallTime = Date.UTC(
+    fields.year,
+    fields.month - 1,
+    fields.day,
+    fields.hour,
+    fields.minute,
+    fields.second,
+    fields.ms
+  )
+  if (fields.offset !== undefined) {
+    return wallTime - fields.offset * MinuteMs
+  }
+  return wallTimeToEpochMs(wallTime, getZone(fields.zone || timeZone))
+}
+
+const ISO8601Pattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/
+
+/**
+ * Parses an ISO 8601 date time, times without an offset are in UTC.
+ */
+const parseISO8601ToEpochMs = time => {
+  const value = `${time}`
+  const match = ISO8601Pattern.exec(value)
+  if (!match) {
+    throw new Error(`Text '${value}' could not be parsed as ISO 8601`)
+  }
+  return Date.parse(match[1] && !match[4] ? `${value}Z` : value)
+}
+
+module.exports = {
+  formatEpochMs,
+  parseFormattedToEpochMs,
+  parseISO8601ToEpochMs
+}
@@ -0,0 +1,245 @@
+const {
+  DynamoDB: { Converter }
+} = require('aws-sdk')
+const { toJSON } = require('./vtl')
+
+const comparisonOperators = {
+  eq: '=',
+  ne: '<>',
+  lt: '<',
+  le: '<=',
+  gt: '>',
+  ge: '>='
+}
+
+const functionOperators = {
+  contains: 'contains',
+  notContains: 'NOT contains',
+  beginsWith: 'begins_with',
+  attributeType: 'attribute_type'
+}
+
+const emptyExpression = () => ({
+  expressions: [],
+  expressionNames: {},
+  expressionValues: {}
+})
+
+const toAttributeValue = value => Converter.input(value)
+
+const merge = (left, right, joiner = 'AND') => ({
+  expressions: left.expressions.length && right.expressions.length
+    ? [...left.expressions, joiner, ...right.expressions]
+    : [...left.expressions, ...right.expressions],
+  expressionNames: { ...left.expressionNames, ...right.expressionNames },
+  expressionValues: { ...left.expressionValues, ...right.expressionValues }
+})
+
+// wraps compound expressions in parentheses so they can be joined.
+const scope = expression =>
+  expression.expressions.length > 1
+    ? { ...expression, expressions: [`(${expression.expressions.join(' ')})`] }
+    : expression
+
+// a single condition on `field`. `name` is the operand of the expression,
+// the field itself or its size, and `placeholder` the name of its value.
+const condition = (field, operator, value, placeholder, name = `#${field}`) => {
+  const expressionNames = { [`#${field}`]: field }
+  const expressionValues = {}
+  const expressions = []
+
+  if (operator in comparisonOperators) {
+    expressions.push(`${name} ${comparisonOperators[operator]} ${placeholder}`)
+    expressionValues[placeholder] = toAttributeValue(value)
+  } else if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error(`between of ${field} requires 2 values`)
+    }
+    const [low, high] = [0, 1].map(index => `${placeholder}_${index}`)
+    expressions.push(`${name} BETWEEN ${low} AND ${high}`)
+    expressionValues[low] = toAttributeValue(value[0])
+    expressionValues[high] = toAttributeValue(value[1])
+  } else if (operator === 'in') {
+    const names = [].concat(value).map((item, index) => {
+      expressionValues[`${placeholder}_${index}`] = toAttributeValue(item)
+      return `${placeholder}_${index}`
+    })
+    expressions.push(`${name} IN (${names.join(', ')})`)
+  } else if (operator in functionOperators) {
+    expressions.push(`${functionOperators[operator]}(${name}, ${placeholder})`)
+    expressionValues[placeholder] = toAttributeValue(value)
+  } else if (operator === 'attributeExists') {
+    expressions.push(
+      `${value ? 'attribute_exists' : 'attribute_not_exists'}(${name})`
+    )
+  } else if (operator === 'size' && name === `#${field}`) {
+    // e.g. { "size": { "gt": 3 } } compares size(#field).
+    return scope(
+      Object.entries(value).reduce(
+        (sum, [sizeOperator, operand]) =>
+          merge(
+            sum,
+            condition(
+              field,
+              sizeOperator,
+              operand,
+              `${placeholder}_${sizeOperator}`,
+              `size(#${field})`
+            )
+          ),
+        emptyExpression()
+      )
+    )
+  } else {
+    throw new Error(`Unsupported filter operator ${operator} on ${field}`)
+  }
+
+  return { expressions, expressionNames, expressionValues }
+}
+
+const prefixed = (...parts) => parts.filter(part => part != null).join('_')
+
+const valueName = (...parts) => `:${prefixed(...parts)}`
+
+const generateExpression = (filter, prefix = null) =>
+  Object.entries(filter).reduce((sum, [key, value]) => {
+    if (key === 'and' || key === 'or') {
+      const joiner = key.toUpperCase()
+      // a map of conditions is joined like a list of its entries.
+      const entries = Array.isArray(value)
+        ? value.map((entry, index) => [entry, prefixed(prefix, key, index)])
+        : Object.entries(value).map(([field, operators]) => [
+          { [field]: operators },
+          prefixed(prefix, key)
+        ])
+      const expression = scope(
+        entries.reduce(
+          (expr, [entry, entryPrefix]) =>
+            merge(expr, generateExpression(entry, entryPrefix), joiner),
+          emptyExpression()
+        )
+      )
+      return merge(sum, expression)
+    }
+    if (key === 'not') {
+      const expression = scope(generateExpression(value, prefixed(prefix, key)))
+      return merge(sum, {
+        ...expression,
+        expressions: expression.expressions.length
+          ? [`NOT ${expression.expressions.join(' ')}`]
+          : []
+      })
+    }
+
+    if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Filter for ${key} must be a map of operators`)
+    }
+    return merge(
+      sum,
+      scope(
+        Object.entries(value).reduce(
+          (expr, [operator, operand]) =>
+            merge(
+              expr,
+              condition(key, operator, operand, valueName(prefix, key, operator))
+            ),
+          emptyExpression()
+        )
+      )
+    )
+  }, emptyExpression())
+
+/**
+ * Implements `$util.transform.toDynamoDBFilterExpression` and
+ * `toDynamoDBConditionExpression`: turns a filter input such as
+ * `{ "title": { "contains": "Hello" }, "or": [...] }` into the JSON of an
+ * `expression` with its `expressionNames` and `expressionValues`.
+ */
+const toDynamoDBExpression = filter => {
+  const { expressions, expressionNames, expressionValues } = generateExpression(
+    toJSON(filter) || {}
+  )
+  return JSON.stringify({
+    expression: expressions.join(' '),
+    expressionNames,
+    expressionValues
+  })
+}
+
+const range = (field, bounds) => ({ range: { [field]: bounds } })
+
+const elasticsearchOperators = {
+  eq: (field, value) => ({ term: { [field]: value } }),
+  ne: (field, value) => ({ bool: { must_not: { term: { [field]: value } } } }),
+  gt: (field, value) => range(field, { gt: value }),
+  lt: (field, value) => range(field, { lt: value }),
+  gte: (field, value) => range(field, { gte: value }),
+  ge: (field, value) => range(field, { gte: value }),
+  lte: (field, value) => range(field, { lte: value }),
+  le: (field, value) => range(field, { lte: value }),
+  range: (field, [gte, lte]) => range(field, { gte, lte }),
+  between: (field, [gte, lte]) => range(field, { gte, lte }),
+  match: (field, value) => ({ match: { [field]: value } }),
+  matchPhrase: (field, value) => ({ match_phrase: { [field]: value } }),
+  matchPhrasePrefix: (field, value) => ({
+    match_phrase_prefix: { [field]: value }
+  }),
+  multiMatch: (field, value) => ({
+    multi_match:
+      typeof value === 'object' ? value : { query: value, fields: [field] }
+  }),
+  exists: (field, value) =>
+    value
+      ? { exists: { field } }
+      : { bool: { must_not: { exists: { field } } } },
+  wildcard: (field, value) => ({ wildcard: { [field]: value } }),
+  regexp: (field, value) => ({ regexp: { [field]: value } }),
+  beginsWith: (field, value) => ({ prefix: { [field]: value } }),
+  contains: (field, value) => ({ wildcard: { [field]: `*${value}*` } }),
+  notContains: (field, value) => ({
+    bool: { must_not: { wildcard: { [field]: `*${value}*` } } }
+  })
+}
+elasticsearchOperators.attributeExists = elasticsearchOperators.exists
+
+// several queries must all match.
+const must = queries =>
+  queries.length === 1 ? queries[0] : { bool: { must: queries } }
+
+const generateQuery = filter =>
+  must(
+    Object.entries(filter).map(([key, value]) => {
+      if (key === 'and') {
+        return { bool: { must: [].concat(value).map(generateQuery) } }
+      }
+      if (key === 'or') {
+        return { bool: { should: [].concat(value).map(generateQuery) } }
+      }
+      if (key === 'not') {
+        return { bool: { must_not: generateQuery(value) } }
+      }
+
+      if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Filter for ${key} must be a map of operators`)
+      }
+      return must(
+        Object.entries(value).map(([operator, operand]) => {
+          if (!(operator in elasticsearchOperators)) {
+            throw new Error(
+              `Unsupported filter operator ${operator} on ${key}`
+            )
+          }
+          return elasticsearchOperators[operator](key, operand)
+        })
+      )
+    })
+  )
+
+/**
+ * Implements `$util.transform.toElasticsearchQueryDSL`, returning the JSON of
+ * the bool query matching the filter input.
+ */
+const toElasticsearchQueryDSL = filter =>
+  JSON.stringify(generateQuery(toJSON(filter) || {}))
+
+module.exports = { toDynamoDBExpression, toElasticsearchQueryDSL }
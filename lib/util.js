@@ -1,11 +1,13 @@
 const { toJSON } = require('./vtl')
 const log = require('./log')
-const getTime = require('date-fns/getTime')
-const fromUnixTime = require('date-fns/fromUnixTime')
-const formatISO = require('date-fns/formatISO')
-const format = require('date-fns/format')
-const parseISO = require('date-fns/parseISO')
-const toDate = require('date-fns/toDate')
+const { toSubscriptionFilter } = require('./subscriptionFilter')
+const { toDynamoDBExpression, toElasticsearchQueryDSL } = require('./transform')
+const { xmlToMap } = require('./xml')
+const {
+  formatEpochMs,
+  parseFormattedToEpochMs,
+  parseISO8601ToEpochMs
+} = require('./time')
 
 class Unauthorized extends Error {}
 class TemplateSentError extends Error {
@@ -21,6 +23,13 @@ class ValidateError extends Error {
   }
 }
 
+// the value of a Data API field, e.g. { "stringValue": "a" }.
+const rdsFieldValue = field => {
+  if (field.isNull) return null
+  const [value = null] = Object.values(field)
+  return value
+}
+
 const create = (errors = [], now = new Date()) => ({
   quiet: () => '',
   qr: () => '',
@@ -126,6 +135,41 @@ const create = (errors = [], now = new Date()) => ({
   matches (pattern, value) {
     return new RegExp(pattern).test(value)
   },
+  str: {
+    toUpper (value) {
+      return `${value}`.toUpperCase()
+    },
+    toLower (value) {
+      return `${value}`.toLowerCase()
+    },
+    // like Java's String.replace every occurrence is replaced.
+    toReplace (value, target, replacement) {
+      return `${value}`.split(`${target}`).join(`${replacement}`)
+    },
+    normalize (value, form) {
+      return `${value}`.normalize(`${form}`.toUpperCase())
+    }
+  },
+  math: {
+    roundNum (value) {
+      return Math.round(value)
+    },
+    minVal (a, b) {
+      return Math.min(a, b)
+    },
+    maxVal (a, b) {
+      return Math.max(a, b)
+    },
+    randomDouble () {
+      return Math.random()
+    },
+    // both bounds are included.
+    randomWithinRange (min, max) {
+      const low = Math.ceil(Math.min(min, max))
+      const high = Math.floor(Math.max(min, max))
+      return low + Math.floor(Math.random() * (high - low + 1))
+    }
+  },
   time: {
     nowISO8601 () {
       return now.toISOString()
@@ -136,32 +180,25 @@ const create = (errors = [], now = new Date()) => ({
     nowEpochMilliSeconds () {
       return now.valueOf()
     },
-    nowFormatted (format, timezone = null) {
-      if (timezone) throw new Error('no support for setting timezone!')
-      return require('dateformat')(now, format)
+    // formats are Java DateTimeFormatter patterns, times are in UTC unless
+    // a timezone (an IANA zone id or an offset) is given.
+    nowFormatted (format, timezone) {
+      return formatEpochMs(now.valueOf(), format, timezone)
     },
-    parseFormattedToEpochMilliSeconds () {
-      throw new Error('not implemented')
+    parseFormattedToEpochMilliSeconds (time, format, timezone) {
+      return parseFormattedToEpochMs(time, format, timezone)
     },
     parseISO8601ToEpochMilliSeconds (date) {
-      return getTime(new Date(date))
+      return parseISO8601ToEpochMs(date)
     },
     epochMilliSecondsToSeconds (stamp) {
-      return String(stamp).slice(0, -3)
+      return Math.floor(stamp / 1000)
     },
     epochMilliSecondsToISO8601 (stamp) {
-      return formatISO(fromUnixTime(String(stamp).slice(0, 10)))
+      return new Date(Number(stamp)).toISOString()
     },
-    // TODO - need to address diffs between date-fns and java date
-    epochMilliSecondsToFormatted (stamp, pattern) {
-      pattern = pattern.replace('Z', "'Z'")
-      pattern = pattern.replace('T', "'T'")
-
-      try {
-        return format(toDate(stamp), pattern)
-      } catch (e) {
-        console.log(e)
-      }
+    epochMilliSecondsToFormatted (stamp, format, timezone) {
+      return formatEpochMs(Number(stamp), format, timezone)
     }
   },
   list: {
@@ -207,6 +244,47 @@ const create = (errors = [], now = new Date()) => ({
       }
     }
   },
+  transform: {
+    toDynamoDBFilterExpression (filter) {
+      return toDynamoDBExpression(filter)
+    },
+    toDynamoDBConditionExpression (condition) {
+      return toDynamoDBExpression(condition)
+    },
+    toElasticsearchQueryDSL (filter) {
+      return toElasticsearchQueryDSL(filter)
+    },
+    toSubscriptionFilter (filter, ignoredFields, rules) {
+      return toSubscriptionFilter(filter, ignoredFields, rules)
+    }
+  },
+  xml: {
+    toMap (xml) {
+      return xmlToMap(xml)
+    },
+    toJsonString (xml, pretty = false) {
+      return JSON.stringify(xmlToMap(xml), null, pretty ? 2 : 0)
+    }
+  },
+  rds: {
+    // the rows of every statement of a Data API result, keyed by column.
+    toJsonObject (serializedSQLResult) {
+      const result = toJSON(serializedSQLResult)
+      const { sqlStatementResults = [] } =
+        typeof result === 'string' ? JSON.parse(result) : result
+      return sqlStatementResults.map(({ records = [], columnMetadata = [] }) =>
+        records.map(record =>
+          record.reduce((sum, field, index) => {
+            const { label, name } = columnMetadata[index]
+            return { ...sum, [label || name]: rdsFieldValue(field) }
+          }, {})
+        )
+      )
+    },
+    toJsonString (serializedSQLResult) {
+      return JSON.stringify(this.toJsonObject(serializedSQLResult))
+    }
+  },
   dynamodb: {
     toDynamoDB (value) {
       const {
@@ -302,14 +380,25 @@ const create = (errors = [], now = new Date()) => ({
     toMapValuesJson (values) {
       return JSON.stringify(this.toMapValues(values))
     },
-    toS3ObjectJson () {
-      throw new Error('not implemented')
-    },
-    toS3Object () {
-      throw new Error('not implemented')
-    },
-    fromS3ObjectJson () {
-      throw new Error('not implemented')
+    // S3 objects are stored as a string holding
+    // {"s3":{"key","bucket","region","version"}}, version is optional.
+    toS3Object (key, bucket, region, version) {
+      const s3 = { key, bucket, region }
+      if (version != null) s3.version = version
+      return { S: JSON.stringify({ s3: toJSON(s3) }) }
+    },
+    toS3ObjectJson (key, bucket, region, version) {
+      return JSON.stringify(this.toS3Object(key, bucket, region, version))
+    },
+    fromS3ObjectJson (value) {
+      let parsed = toJSON(value)
+      if (typeof parsed === 'string') parsed = JSON.parse(parsed)
+      // the attribute value itself is accepted as well.
+      if (parsed && typeof parsed.S === 'string') parsed = JSON.parse(parsed.S)
+      if (!parsed || !parsed.s3) {
+        throw new Error(`Not an S3 object: ${JSON.stringify(parsed)}`)
+      }
+      return parsed.s3
     }
   }
 })
@@ -0,0 +1,96 @@
+const { parse, validate, specifiedRules, GraphQLError } = require('graphql')
+
+// AppSync validates with graphql-java, its errors are named by the
+// graphql-java ValidationErrorType matching each graphql-js rule.
+const validationErrorTypes = {
+  ExecutableDefinitionsRule: 'NonExecutableDefinition',
+  UniqueOperationNamesRule: 'DuplicateOperationName',
+  LoneAnonymousOperationRule: 'LoneAnonymousOperationViolation',
+  SingleFieldSubscriptionsRule: 'SubscriptionMultipleRootFields',
+  KnownTypeNamesRule: 'UnknownType',
+  FragmentsOnCompositeTypesRule: ({ message }) =>
+    message.startsWith('Fragment cannot')
+      ? 'InlineFragmentTypeConditionInvalid'
+      : 'FragmentTypeConditionInvalid',
+  VariablesAreInputTypesRule: 'NonInputTypeOnVariable',
+  ScalarLeafsRule: ({ message }) =>
+    message.includes('must not have a selection')
+      ? 'SubSelectionNotAllowed'
+      : 'SubSelectionRequired',
+  FieldsOnCorrectTypeRule: 'FieldUndefined',
+  UniqueFragmentNamesRule: 'DuplicateFragmentName',
+  KnownFragmentNamesRule: 'UndefinedFragment',
+  NoUnusedFragmentsRule: 'UnusedFragment',
+  PossibleFragmentSpreadsRule: 'InvalidFragmentType',
+  NoFragmentCyclesRule: 'FragmentCycle',
+  UniqueVariableNamesRule: 'DuplicateVariableName',
+  NoUndefinedVariablesRule: 'UndefinedVariable',
+  NoUnusedVariablesRule: 'UnusedVariable',
+  KnownDirectivesRule: ({ message }) =>
+    message.includes('may not be used on')
+      ? 'MisplacedDirective'
+      : 'UnknownDirective',
+  UniqueDirectivesPerLocationRule: 'DuplicateDirectiveName',
+  KnownArgumentNamesRule: 'UnknownArgument',
+  UniqueArgumentNamesRule: 'DuplicateArgumentNames',
+  ValuesOfCorrectTypeRule: 'WrongType',
+  ProvidedRequiredArgumentsRule: 'MissingFieldArgument',
+  VariablesInAllowedPositionRule: 'VariableTypeMismatch',
+  OverlappingFieldsCanBeMergedRule: 'FieldsConflict',
+  UniqueInputFieldNamesRule: 'DuplicateInputField'
+}
+
+const errorTypeFor = (rule, error) => {
+  const type = validationErrorTypes[rule.name] || 'WrongType'
+  return typeof type === 'function' ? type(error) : type
+}
+
+/**
+ * Formats a graphql-js error the way AppSync reports validation errors.
+ */
+const toValidationError = (type, { message, locations = [] }) => ({
+  path: null,
+  locations: locations.map(({ line, column }) => ({
+    line,
+    column,
+    sourceName: null
+  })),
+  message: `Validation error of type ${type}: ${message}`,
+  errorType: 'ValidationError'
+})
+
+/**
+ * Parses and validates a query against the schema. Returns
+ * `{ documentAST, errors }` where `errors` are AppSync validation errors.
+ */
+const parseAndValidate = (schema, query) => {
+  let documentAST
+  try {
+    documentAST = parse(query)
+  } catch (error) {
+    if (!(error instanceof GraphQLError)) throw error
+    return { errors: [toValidationError('InvalidSyntax', error)] }
+  }
+
+  // the rules run in a single pass, each one tagging the errors it reports.
+  const errorTypes = new Map()
+  const rules = specifiedRules.map(rule => context =>
+    rule(
+      Object.create(context, {
+        reportError: {
+          value: error => {
+            errorTypes.set(error, errorTypeFor(rule, error))
+            context.reportError(error)
+          }
+        }
+      })
+    )
+  )
+  const errors = validate(schema, documentAST, rules).map(error =>
+    toValidationError(errorTypes.get(error), error)
+  )
+
+  return { documentAST, errors }
+}
+
+module.exports = { parseAndValidate }
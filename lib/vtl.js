@@ -165,6 +165,16 @@ const createMapProxy = map =>
         return map.get(prop)
       }
       return map[prop]
+    },
+    // #set($map.key = value) must land in the backing map so it is
+    // visible to toJSON and $util.toJson. Functions are velocity internals.
+    set (obj, prop, value) {
+      if (prop in map || typeof value === 'function') {
+        map[prop] = value
+      } else {
+        map.put(prop, value)
+      }
+      return true
     }
   })
 
@@ -0,0 +1,44 @@
+const xml2js = require('xml2js')
+
+const NumberPattern = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/
+
+// AppSync converts XML with org.json, which turns text into booleans,
+// numbers and null where it can.
+const stringToValue = value => {
+  if (/^true$/i.test(value)) return true
+  if (/^false$/i.test(value)) return false
+  if (/^null$/i.test(value)) return null
+  if (NumberPattern.test(value)) return Number(value)
+  return value
+}
+
+const parserOptions = {
+  explicitArray: false,
+  mergeAttrs: true,
+  charkey: 'content',
+  emptyTag: '',
+  trim: true,
+  valueProcessors: [stringToValue],
+  attrValueProcessors: [stringToValue]
+}
+
+/**
+ * Implements `$util.xml.toMap`. Repeated elements become lists, attributes
+ * become entries and the text of elements with attributes is their
+ * `content`.
+ */
+const xmlToMap = xml => {
+  let error = null
+  let result = null
+  // without `async` the callback is invoked synchronously.
+  new xml2js.Parser(parserOptions).parseString(`${xml}`, (err, parsed) => {
+    error = err
+    result = parsed
+  })
+  if (error) {
+    throw new Error(`Unable to parse XML: ${error.message}`)
+  }
+  return result || {}
+}
+
+module.exports = { xmlToMap }
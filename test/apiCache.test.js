@@ -0,0 +1,205 @@
+const { graphql, GraphQLError } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const consola = require('../lib/log');
+const { createApiCache } = require('../lib/apiCache');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+const { recordError, collectErrors } = require('../lib/errors');
+
+describe('apiCache', () => {
+  const context = { jwt: { sub: 'user' } };
+  const counter = () => {
+    let calls = 0;
+    return async () => {
+      calls += 1;
+      return calls;
+    };
+  };
+
+  it('does not cache without a caching behavior', () => {
+    expect(
+      createApiCache().getResolverCaching('Query', { caching: { ttl: 60 } }),
+    ).toBe(null);
+  });
+
+  it('caches every query with FULL_REQUEST_CACHING', () => {
+    const cache = createApiCache({
+      behavior: 'FULL_REQUEST_CACHING',
+      ttl: 120,
+    });
+    expect(cache.getResolverCaching('Query', {})).toEqual({
+      ttl: 120,
+      keys: ['$context.arguments', '$context.source', '$context.identity'],
+    });
+    expect(cache.getResolverCaching('Mutation', {})).toBe(null);
+  });
+
+  it('only caches resolvers with a caching config per resolver', () => {
+    const cache = createApiCache({ behavior: 'PER_RESOLVER_CACHING' });
+    expect(cache.getResolverCaching('Query', {})).toBe(null);
+    expect(
+      cache.getResolverCaching('Query', {
+        caching: { ttl: 60, keys: ['$context.arguments.id'] },
+      }),
+    ).toEqual({ ttl: 60, keys: ['$context.arguments.id'] });
+    expect(cache.getResolverCaching('Query', { cachingConfig: true })).toEqual({
+      ttl: 3600,
+      keys: ['$context.arguments', '$context.source', '$context.identity'],
+    });
+  });
+
+  it('serves results by their caching keys', async () => {
+    const cache = createApiCache({ behavior: 'PER_RESOLVER_CACHING' });
+    const resolve = cache.withCaching(counter(), 'Query', 'item', {
+      ttl: 60,
+      keys: ['$context.arguments.id', '$context.identity.sub'],
+    });
+
+    expect(await resolve(null, { id: '1' }, context)).toBe(1);
+    expect(await resolve(null, { id: '1', other: true }, context)).toBe(1);
+    expect(await resolve(null, { id: '2' }, context)).toBe(2);
+    expect(
+      await resolve(null, { id: '1' }, { jwt: { sub: 'other-user' } }),
+    ).toBe(3);
+  });
+
+  it('expires entries after their ttl', async () => {
+    const cache = createApiCache({ behavior: 'FULL_REQUEST_CACHING' });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    try {
+      const resolve = cache.withCaching(counter(), 'Query', 'item', {
+        ttl: 60,
+        keys: ['$context.arguments'],
+      });
+      expect(await resolve(null, {}, context)).toBe(1);
+      now.mockReturnValue(59 * 1000);
+      expect(await resolve(null, {}, context)).toBe(1);
+      now.mockReturnValue(60 * 1000);
+      expect(await resolve(null, {}, context)).toBe(2);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('evicts entries by their caching keys', async () => {
+    const cache = createApiCache({ behavior: 'PER_RESOLVER_CACHING' });
+    const resolve = cache.withCaching(counter(), 'Query', 'item', {
+      ttl: 60,
+      keys: ['$context.arguments.id'],
+    });
+
+    expect(await resolve(null, { id: '1' }, context)).toBe(1);
+    expect(await resolve(null, { id: '2' }, context)).toBe(2);
+    cache.evict('Query', 'item', { 'context.arguments.id': '1' });
+    expect(await resolve(null, { id: '1' }, context)).toBe(3);
+    expect(await resolve(null, { id: '2' }, context)).toBe(2);
+  });
+
+  it('does not cache fields reporting errors', async () => {
+    const cache = createApiCache({ behavior: 'FULL_REQUEST_CACHING' });
+    const info = { path: { prev: undefined, key: 'item' } };
+    let calls = 0;
+    const resolve = cache.withCaching(
+      async (root, vars, ctx) => {
+        calls += 1;
+        if (calls === 1) throw new Error('failed');
+        if (calls === 2) {
+          recordError(ctx, new GraphQLError('partial', null, null, null, ['item']));
+        }
+        if (calls === 3) {
+          recordError(ctx, new GraphQLError('other', null, null, null, ['other']));
+        }
+        return calls;
+      },
+      'Query',
+      'item',
+      { ttl: 60, keys: ['$context.arguments'] },
+    );
+
+    await expect(resolve(null, {}, {}, info)).rejects.toThrow('failed');
+    expect(await resolve(null, {}, {}, info)).toBe(2);
+    // errors of other fields do not keep the value out of the cache.
+    expect(await resolve(null, {}, {}, info)).toBe(3);
+    expect(await resolve(null, {}, {}, info)).toBe(3);
+  });
+
+  describe('in schemas', () => {
+    const field = (name, response) => ({
+      dataSource: 'Passthrough',
+      type: 'Query',
+      field: name,
+      request: 'subscribePassthrough-request.txt',
+      response,
+    });
+    let schema;
+
+    beforeAll(async () => {
+      ({ schema } = await createSchema({
+        dynamodb: {},
+        dynamodbTables: {},
+        graphqlSchema: wrapSchema(`
+          type Item { id: ID }
+          type Query {
+            partial(id: ID): Item
+            failing(id: ID): Item
+            item(id: ID): Item
+          }
+        `),
+        serverlessDirectory: `${__dirname}/example`,
+        serverlessConfig: {
+          custom: {
+            appSync: {
+              caching: { behavior: 'FULL_REQUEST_CACHING', ttl: 60 },
+              mappingTemplates: [
+                field('partial', 'append-error-response.vtl'),
+                field('failing', 'error-response.vtl'),
+                field('item', 'result-response.txt'),
+              ],
+              dataSources: [{ type: 'NONE', name: 'Passthrough' }],
+            },
+          },
+        },
+        pubsub: new PubSub(),
+      }));
+    });
+
+    const query = async () => {
+      const contextValue = { jwt: {} };
+      const { data } = await graphql({
+        schema,
+        contextValue,
+        source: '{ partial(id: "1") { id } failing(id: "2") { id } item(id: "3") { id } }',
+      });
+      return {
+        data,
+        errors: collectErrors(contextValue).map(({ path, message }) => ({
+          path,
+          message,
+        })),
+      };
+    };
+
+    it('reports the errors of fields on every request', async () => {
+      const info = jest.spyOn(consola, 'info');
+      try {
+        const first = await query();
+        expect(first).toEqual({
+          data: { partial: { id: '1' }, failing: null, item: { id: '3' } },
+          errors: [
+            { path: ['partial'], message: 'Partial result' },
+            { path: ['failing'], message: 'Appended before failing' },
+            { path: ['failing'], message: 'Failed' },
+          ],
+        });
+        expect(await query()).toEqual(first);
+
+        const hits = info.mock.calls
+          .map(([message]) => message)
+          .filter((message) => /^Cache hit/.test(message));
+        expect(hits).toEqual([expect.stringMatching(/^Cache hit: Query\.item:/)]);
+      } finally {
+        info.mockRestore();
+      }
+    });
+  });
+});
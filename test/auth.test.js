@@ -0,0 +1,313 @@
+const { parse } = require('graphql');
+const {
+  authenticateRequest,
+  authorizeRequest,
+  createLambdaAuthorizer,
+  getAuthConfig,
+  getAuthDirectives,
+  isAuthorized,
+  isFieldDenied,
+  UnauthorizedError,
+} = require('../lib/auth');
+const {
+  string: token,
+  decoded,
+  generateTestJWT,
+} = require('../lib/testJWT');
+
+describe('auth', () => {
+  const expectUnauthorized = (fn, message) => {
+    try {
+      fn();
+    } catch (err) {
+      expect(err).toBeInstanceOf(UnauthorizedError);
+      expect(err).toMatchObject({ errorType: 'UnauthorizedException' });
+      if (message) expect(err.message).toBe(message);
+      return;
+    }
+    throw new Error('must throw error');
+  };
+
+  describe('API_KEY', () => {
+    const config = getAuthConfig({ authenticationType: 'API_KEY' });
+
+    it('accepts any key by default', () => {
+      expect(authenticateRequest({ 'x-api-key': 'foo' }, config)).toEqual({
+        authType: 'API_KEY',
+        apiKey: 'foo',
+        jwt: {},
+      });
+    });
+
+    it('rejects a missing key', () => {
+      expectUnauthorized(
+        () => authenticateRequest({}, config),
+        'You are not authorized to make this call.',
+      );
+    });
+
+    it('checks configured keys', () => {
+      const restricted = getAuthConfig(
+        { authenticationType: 'API_KEY' },
+        { apiKey: ['foo', 'bar'] },
+      );
+      expect(
+        authenticateRequest({ 'x-api-key': 'bar' }, restricted),
+      ).toMatchObject({ apiKey: 'bar' });
+      expectUnauthorized(() =>
+        authenticateRequest({ 'x-api-key': 'baz' }, restricted),
+      );
+    });
+  });
+
+  describe('AMAZON_COGNITO_USER_POOLS', () => {
+    const config = getAuthConfig({
+      authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+    });
+
+    it('decodes the token', () => {
+      expect(authenticateRequest({ authorization: token }, config)).toEqual({
+        authType: 'AMAZON_COGNITO_USER_POOLS',
+        jwt: decoded,
+      });
+    });
+
+    it('rejects a missing token', () => {
+      expectUnauthorized(
+        () => authenticateRequest({ 'x-api-key': 'foo' }, config),
+        'Valid authorization header not provided.',
+      );
+    });
+
+    it('rejects a malformed token', () => {
+      expectUnauthorized(
+        () => authenticateRequest({ authorization: 'garbage' }, config),
+        'Unable to parse JWT token.',
+      );
+    });
+  });
+
+  describe('OPENID_CONNECT', () => {
+    it('decodes the token', () => {
+      expect(
+        authenticateRequest(
+          { authorization: token },
+          getAuthConfig({ authenticationType: 'OPENID_CONNECT' }),
+        ),
+      ).toMatchObject({ authType: 'OPENID_CONNECT', jwt: decoded });
+    });
+  });
+
+  describe('AWS_IAM', () => {
+    const config = getAuthConfig({ authenticationType: 'AWS_IAM' });
+
+    it('requires a SigV4 authorization header', () => {
+      expect(
+        authenticateRequest(
+          {
+            authorization:
+              'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/appsync/aws4_request, SignedHeaders=host, Signature=abc',
+          },
+          config,
+        ),
+      ).toEqual({
+        authType: 'AWS_IAM',
+        jwt: {},
+        iam: { accessKeyId: 'AKIDEXAMPLE' },
+      });
+      expectUnauthorized(() =>
+        authenticateRequest({ authorization: token }, config),
+      );
+    });
+  });
+
+  describe('AWS_LAMBDA', () => {
+    it('requires a token', () => {
+      const config = getAuthConfig({ authenticationType: 'AWS_LAMBDA' });
+      expect(
+        authenticateRequest({ authorization: 'custom-token' }, config),
+      ).toEqual({ authType: 'AWS_LAMBDA', jwt: {}, token: 'custom-token' });
+      expectUnauthorized(() => authenticateRequest({}, config));
+    });
+
+    describe('authorizer', () => {
+      const setup = (response, lambdaAuthorizerConfig = {}) => {
+        const invoke = jest.fn(async () => response);
+        const config = getAuthConfig(
+          {
+            authenticationType: 'AWS_LAMBDA',
+            lambdaAuthorizerConfig: {
+              functionName: 'authorizer',
+              ...lambdaAuthorizerConfig,
+            },
+          },
+          { lambdaAuthorizer: createLambdaAuthorizer(invoke) },
+        );
+        const authorize = (authorization = 'custom-token') =>
+          authorizeRequest(
+            authenticateRequest({ authorization }, config),
+            config,
+            { queryString: '{ me { id } }' },
+          );
+        return { invoke, authorize };
+      };
+
+      it('invokes the authorizer function', async () => {
+        const { invoke, authorize } = setup({
+          isAuthorized: true,
+          resolverContext: { tenant: 'acme' },
+          deniedFields: ['User.email'],
+        });
+
+        expect(await authorize()).toEqual({
+          authType: 'AWS_LAMBDA',
+          jwt: {},
+          token: 'custom-token',
+          resolverContext: { tenant: 'acme' },
+          deniedFields: ['User.email'],
+        });
+        expect(invoke).toHaveBeenCalledWith('authorizer', {
+          authorizationToken: 'custom-token',
+          requestContext: expect.objectContaining({
+            queryString: '{ me { id } }',
+            requestId: expect.any(String),
+          }),
+        });
+      });
+
+      it('rejects unauthorized tokens', async () => {
+        const { authorize } = setup({ isAuthorized: false });
+        await expect(authorize()).rejects.toBeInstanceOf(UnauthorizedError);
+      });
+
+      it('checks the identityValidationExpression', async () => {
+        const { invoke, authorize } = setup(
+          { isAuthorized: true },
+          { identityValidationExpression: 'valid-.*' },
+        );
+        await expect(authorize('invalid')).rejects.toBeInstanceOf(
+          UnauthorizedError,
+        );
+        await authorize('valid-token');
+        expect(invoke).toHaveBeenCalledTimes(1);
+      });
+
+      it('caches responses per token', async () => {
+        const { invoke, authorize } = setup({ isAuthorized: true });
+        await authorize();
+        await authorize();
+        await authorize('other-token');
+        expect(invoke).toHaveBeenCalledTimes(2);
+      });
+
+      it('honours ttlOverride', async () => {
+        const { invoke, authorize } = setup({
+          isAuthorized: true,
+          ttlOverride: 0,
+        });
+        await authorize();
+        await authorize();
+        expect(invoke).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it('checks denied fields', () => {
+      const auth = {
+        deniedFields: [
+          'Query.secret',
+          'arn:aws:appsync:us-east-1:000000000000:apis/local/types/User/fields/email',
+        ],
+      };
+      expect(isFieldDenied(auth, 'Query', 'secret')).toBe(true);
+      expect(isFieldDenied(auth, 'User', 'email')).toBe(true);
+      expect(isFieldDenied(auth, 'User', 'name')).toBe(false);
+      expect(isFieldDenied({}, 'User', 'name')).toBe(false);
+    });
+  });
+
+  describe('additionalAuthenticationProviders', () => {
+    const config = getAuthConfig({
+      authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+      userPoolConfig: { userPoolId: 'us-east-1_27WcML9k8' },
+      additionalAuthenticationProviders: [
+        { authenticationType: 'API_KEY' },
+        { authenticationType: 'AWS_IAM' },
+        {
+          authenticationType: 'OPENID_CONNECT',
+          openIdConnectConfig: { issuer: 'https://auth.example.com/' },
+        },
+      ],
+    });
+
+    it('picks the provider from the headers', () => {
+      expect(
+        authenticateRequest({ 'x-api-key': 'foo' }, config),
+      ).toMatchObject({ authType: 'API_KEY' });
+      expect(
+        authenticateRequest(
+          { authorization: 'AWS4-HMAC-SHA256 Credential=AKID/20150830/' },
+          config,
+        ),
+      ).toMatchObject({ authType: 'AWS_IAM' });
+      expect(authenticateRequest({ authorization: token }, config)).toMatchObject(
+        { authType: 'AMAZON_COGNITO_USER_POOLS' },
+      );
+    });
+
+    it('matches jwt providers by issuer', () => {
+      const oidcToken = generateTestJWT({ iss: 'https://auth.example.com' });
+      expect(
+        authenticateRequest({ authorization: oidcToken }, config),
+      ).toMatchObject({ authType: 'OPENID_CONNECT' });
+    });
+
+    it('reports errors for the default provider', () => {
+      expectUnauthorized(
+        () => authenticateRequest({}, config),
+        'Valid authorization header not provided.',
+      );
+    });
+  });
+
+  describe('isAuthorized', () => {
+    const directivesOf = source =>
+      getAuthDirectives(
+        parse(`type Query { field: String ${source} }`).definitions[0]
+          .fields[0],
+      );
+    const rule = (fieldSource, typeSource = '') => ({
+      fieldDirectives: directivesOf(fieldSource),
+      typeDirectives: directivesOf(typeSource),
+      defaultAuthType: 'AMAZON_COGNITO_USER_POOLS',
+    });
+    const cognito = (groups = []) => ({
+      authType: 'AMAZON_COGNITO_USER_POOLS',
+      jwt: { 'cognito:groups': groups },
+    });
+    const apiKey = { authType: 'API_KEY', jwt: {} };
+
+    it('only allows the default provider without directives', () => {
+      expect(isAuthorized(cognito(), rule(''))).toBe(true);
+      expect(isAuthorized(apiKey, rule(''))).toBe(false);
+    });
+
+    it('only allows the listed providers', () => {
+      expect(isAuthorized(apiKey, rule('@aws_api_key'))).toBe(true);
+      expect(isAuthorized(cognito(), rule('@aws_api_key'))).toBe(false);
+    });
+
+    it('prefers field directives over type directives', () => {
+      expect(isAuthorized(apiKey, rule('', '@aws_api_key'))).toBe(true);
+      expect(isAuthorized(apiKey, rule('@aws_iam', '@aws_api_key'))).toBe(
+        false,
+      );
+    });
+
+    it('checks cognito groups', () => {
+      const admins = rule('@aws_cognito_user_pools(cognito_groups: ["Admin"])');
+      expect(isAuthorized(cognito(['Admin']), admins)).toBe(true);
+      expect(isAuthorized(cognito(['User']), admins)).toBe(false);
+      expect(isAuthorized(cognito(['User']), rule('@aws_auth'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const subject = require('../lib/dynamodbSource');
+
+describe('dynamodbSource transactions', () => {
+  const dynamodbTables = { MyTable: 'my-table-dev' };
+
+  // a client whose methods answer with the given handlers.
+  const client = (handlers) =>
+    Object.entries(handlers).reduce(
+      (sum, [method, handler]) => ({
+        ...sum,
+        [method]: jest.fn((params) => ({
+          promise: async () => handler(params),
+        })),
+      }),
+      {},
+    );
+
+  const canceled = (reasons) =>
+    Object.assign(
+      new Error(
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons
+          .map(({ Code }) => Code)
+          .join(', ')}]`,
+      ),
+      {
+        code: 'TransactionCanceledException',
+        statusCode: 400,
+        requestId: 'request-id',
+        CancellationReasons: reasons,
+      },
+    );
+
+  it('TransactGetItems', async () => {
+    const dynamodb = client({
+      transactGetItems: () => ({
+        Responses: [{ Item: { id: { S: 'foo' }, bar: { S: 'bar' } } }, {}],
+      }),
+    });
+
+    const result = await subject(dynamodb, 'MyTable', dynamodbTables, {
+      version: '2018-05-29',
+      operation: 'TransactGetItems',
+      transactItems: [
+        { table: 'MyTable', key: { id: { S: 'foo' } } },
+        {
+          table: 'MyTable',
+          key: { id: { S: 'missing' } },
+          projection: {
+            expression: '#bar',
+            expressionNames: { '#bar': 'bar' },
+          },
+        },
+      ],
+    });
+
+    expect(result).toEqual({
+      items: [{ id: 'foo', bar: 'bar' }, null],
+      cancellationReasons: null,
+    });
+    expect(dynamodb.transactGetItems).toHaveBeenCalledWith({
+      TransactItems: [
+        { Get: { TableName: 'my-table-dev', Key: { id: { S: 'foo' } } } },
+        {
+          Get: {
+            TableName: 'my-table-dev',
+            Key: { id: { S: 'missing' } },
+            ProjectionExpression: '#bar',
+            ExpressionAttributeNames: { '#bar': 'bar' },
+          },
+        },
+      ],
+    });
+  });
+
+  it('TransactGetItems cancelled', async () => {
+    const dynamodb = client({
+      transactGetItems: () => {
+        throw canceled([{ Code: 'None' }, { Code: 'ItemCollectionSizeLimitExceeded' }]);
+      },
+    });
+
+    const error = await subject(dynamodb, 'MyTable', dynamodbTables, {
+      version: '2018-05-29',
+      operation: 'TransactGetItems',
+      transactItems: [
+        { table: 'MyTable', key: { id: { S: 'foo' } } },
+        { table: 'MyTable', key: { id: { S: 'bar' } } },
+      ],
+    }).catch((err) => err);
+
+    expect(error).toMatchObject({
+      errorType: 'DynamoDB:TransactionCanceledException',
+      result: {
+        items: null,
+        cancellationReasons: [
+          { type: 'None', message: 'None' },
+          {
+            type: 'ItemCollectionSizeLimitExceeded',
+            message: 'ItemCollectionSizeLimitExceeded',
+          },
+        ],
+      },
+    });
+  });
+
+  it('TransactWriteItems', async () => {
+    const dynamodb = client({ transactWriteItems: () => ({}) });
+
+    const result = await subject(dynamodb, 'MyTable', dynamodbTables, {
+      version: '2018-05-29',
+      operation: 'TransactWriteItems',
+      transactItems: [
+        {
+          table: 'MyTable',
+          operation: 'PutItem',
+          key: { id: { S: 'bar' } },
+          attributeValues: { value: { S: 'bar' } },
+          condition: { expression: 'attribute_not_exists(id)' },
+        },
+        {
+          table: 'MyTable',
+          operation: 'UpdateItem',
+          key: { id: { S: 'foo' } },
+          update: {
+            expression: 'SET #count = #count + :one',
+            expressionNames: { '#count': 'count' },
+            expressionValues: { ':one': { N: '1' } },
+          },
+        },
+        {
+          table: 'MyTable',
+          operation: 'DeleteItem',
+          key: { id: { S: 'baz' } },
+          condition: {
+            expression: '#count = :zero',
+            expressionNames: { '#count': 'count' },
+            expressionValues: { ':zero': { N: '0' } },
+            returnValuesOnConditionCheckFailure: false,
+          },
+        },
+      ],
+    });
+
+    expect(result).toEqual({
+      keys: [{ id: 'bar' }, { id: 'foo' }, { id: 'baz' }],
+      cancellationReasons: null,
+    });
+    expect(dynamodb.transactWriteItems).toHaveBeenCalledWith({
+      TransactItems: [
+        {
+          Put: {
+            TableName: 'my-table-dev',
+            Item: { id: { S: 'bar' }, value: { S: 'bar' } },
+            ExpressionAttributeNames: null,
+            ExpressionAttributeValues: null,
+            ConditionExpression: 'attribute_not_exists(id)',
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD',
+          },
+        },
+        {
+          Update: {
+            TableName: 'my-table-dev',
+            Key: { id: { S: 'foo' } },
+            UpdateExpression: 'SET #count = #count + :one',
+            ExpressionAttributeNames: { '#count': 'count' },
+            ExpressionAttributeValues: { ':one': { N: '1' } },
+          },
+        },
+        {
+          Delete: {
+            TableName: 'my-table-dev',
+            Key: { id: { S: 'baz' } },
+            ExpressionAttributeNames: { '#count': 'count' },
+            ExpressionAttributeValues: { ':zero': { N: '0' } },
+            ConditionExpression: '#count = :zero',
+            ReturnValuesOnConditionCheckFailure: 'NONE',
+          },
+        },
+      ],
+    });
+  });
+
+  it('TransactWriteItems cancelled by a condition check', async () => {
+    const dynamodb = client({
+      transactWriteItems: () => {
+        throw canceled([
+          { Code: 'None' },
+          {
+            Code: 'ConditionalCheckFailed',
+            Message: 'The conditional request failed',
+            Item: { id: { S: 'foo' } },
+          },
+        ]);
+      },
+    });
+
+    const error = await subject(dynamodb, 'MyTable', dynamodbTables, {
+      version: '2018-05-29',
+      operation: 'TransactWriteItems',
+      transactItems: [
+        {
+          table: 'MyTable',
+          operation: 'PutItem',
+          key: { id: { S: 'bar' } },
+          attributeValues: {},
+        },
+        {
+          table: 'MyTable',
+          operation: 'ConditionCheck',
+          key: { id: { S: 'foo' } },
+          condition: { expression: 'attribute_not_exists(id)' },
+        },
+      ],
+    }).catch((err) => err);
+
+    expect(error).toMatchObject({
+      errorType: 'DynamoDB:TransactionCanceledException',
+      message: expect.stringContaining(
+        'Error Code: TransactionCanceledException',
+      ),
+      result: {
+        keys: null,
+        cancellationReasons: [
+          { type: 'None', message: 'None' },
+          {
+            type: 'ConditionalCheckFailed',
+            message: 'The conditional request failed',
+            item: { id: 'foo' },
+          },
+        ],
+      },
+    });
+  });
+
+  it('reads the reasons from the message of older sdks', async () => {
+    const dynamodb = client({
+      transactWriteItems: () => {
+        const err = canceled([{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }]);
+        delete err.CancellationReasons;
+        throw err;
+      },
+    });
+
+    const error = await subject(dynamodb, 'MyTable', dynamodbTables, {
+      version: '2018-05-29',
+      operation: 'TransactWriteItems',
+      transactItems: [
+        { table: 'MyTable', operation: 'DeleteItem', key: { id: { S: 'foo' } } },
+      ],
+    }).catch((err) => err);
+
+    expect(error.result.cancellationReasons).toEqual([
+      { type: 'ConditionalCheckFailed', message: 'ConditionalCheckFailed' },
+      { type: 'None', message: 'None' },
+    ]);
+  });
+
+  it('passes other errors through', async () => {
+    const failure = Object.assign(new Error('Requested resource not found'), {
+      code: 'ResourceNotFoundException',
+    });
+    const dynamodb = client({
+      transactWriteItems: () => {
+        throw failure;
+      },
+    });
+
+    await expect(
+      subject(dynamodb, 'MyTable', dynamodbTables, {
+        version: '2018-05-29',
+        operation: 'TransactWriteItems',
+        transactItems: [
+          { table: 'MyTable', operation: 'DeleteItem', key: { id: { S: 'foo' } } },
+        ],
+      }),
+    ).rejects.toBe(failure);
+  });
+
+  it('rejects unknown operations', async () => {
+    await expect(
+      subject(client({}), 'MyTable', dynamodbTables, {
+        version: '2018-05-29',
+        operation: 'TransactWriteItems',
+        transactItems: [
+          { table: 'MyTable', operation: 'Scan', key: { id: { S: 'foo' } } },
+        ],
+      }),
+    ).rejects.toThrow('Unknown transaction operation: Scan');
+  });
+});
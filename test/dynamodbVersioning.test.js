@@ -0,0 +1,403 @@
+const subject = require('../lib/dynamodbSource');
+
+describe('dynamodbSource versioning', () => {
+  const now = 1600000000000;
+  const dynamodbTables = {
+    MyTable: 'my-table-dev',
+    MyTableDelta: 'my-table-delta-dev',
+  };
+  const stored = {
+    id: { S: 'foo' },
+    value: { S: 'second' },
+    tags: { L: [{ S: 'a' }] },
+    _version: { N: '2' },
+    _lastChangedAt: { N: String(now - 1000) },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // a client reading `existing`, the other calls answered by `handlers`.
+  const client = (existing, handlers = {}) => {
+    const respond = {
+      getItem: () => ({ Item: existing }),
+      putItem: () => ({}),
+      updateItem: () => ({}),
+      ...handlers,
+    };
+    return Object.entries(respond).reduce(
+      (sum, [method, handler]) => ({
+        ...sum,
+        [method]: jest.fn((params) => ({
+          promise: async () => handler(params),
+        })),
+      }),
+      {},
+    );
+  };
+
+  const runVersionedOp = (dynamodb, op, conflictHandler = null) =>
+    subject(dynamodb, 'MyTable', dynamodbTables, op, {
+      deltaSyncConfig: { deltaSyncTableName: 'MyTableDelta' },
+      conflictHandler,
+    });
+
+  const update = (version, value) => ({
+    version: '2018-05-29',
+    operation: 'UpdateItem',
+    key: { id: { S: 'foo' } },
+    update: {
+      expression: 'SET #value = :value',
+      expressionNames: { '#value': 'value' },
+      expressionValues: { ':value': { S: value } },
+    },
+    _version: version,
+  });
+
+  const deltaOf = (dynamodb) =>
+    dynamodb.putItem.mock.calls
+      .map(([params]) => params)
+      .find(({ TableName }) => TableName === 'my-table-delta-dev');
+
+  it('creates items at the first version', async () => {
+    const dynamodb = client(undefined);
+
+    const result = await runVersionedOp(dynamodb, {
+      version: '2018-05-29',
+      operation: 'PutItem',
+      key: { id: { S: 'foo' } },
+      attributeValues: { value: { S: 'first' } },
+    });
+
+    expect(result).toEqual({
+      id: 'foo',
+      value: 'first',
+      _version: 1,
+      _lastChangedAt: now,
+    });
+    expect(dynamodb.putItem).toHaveBeenCalledWith({
+      TableName: 'my-table-dev',
+      Item: {
+        id: { S: 'foo' },
+        value: { S: 'first' },
+        _version: { N: '1' },
+        _lastChangedAt: { N: String(now) },
+      },
+      ConditionExpression: 'attribute_not_exists(#_version)',
+      ExpressionAttributeNames: { '#_version': '_version' },
+      ExpressionAttributeValues: null,
+    });
+  });
+
+  it('increments versions', async () => {
+    const dynamodb = client(stored, {
+      updateItem: () => ({
+        Attributes: {
+          ...stored,
+          value: { S: 'third' },
+          _version: { N: '3' },
+          _lastChangedAt: { N: String(now) },
+        },
+      }),
+    });
+
+    const result = await runVersionedOp(dynamodb, update(2, 'third'));
+
+    expect(result).toEqual({
+      id: 'foo',
+      value: 'third',
+      tags: ['a'],
+      _version: 3,
+      _lastChangedAt: now,
+    });
+    expect(dynamodb.updateItem).toHaveBeenCalledWith({
+      TableName: 'my-table-dev',
+      Key: { id: { S: 'foo' } },
+      UpdateExpression:
+        'SET #_version = :_version, #_lastChangedAt = :_lastChangedAt, #value = :value',
+      ConditionExpression: '#_version = :_expectedVersion',
+      ExpressionAttributeNames: {
+        '#value': 'value',
+        '#_version': '_version',
+        '#_lastChangedAt': '_lastChangedAt',
+      },
+      ExpressionAttributeValues: {
+        ':value': { S: 'third' },
+        ':_expectedVersion': { N: '2' },
+        ':_version': { N: '3' },
+        ':_lastChangedAt': { N: String(now) },
+      },
+      ReturnValues: 'ALL_NEW',
+    });
+  });
+
+  it('records changes in the delta sync table', async () => {
+    const dynamodb = client(stored, {
+      updateItem: () => ({
+        Attributes: { ...stored, _version: { N: '3' }, _lastChangedAt: { N: String(now) } },
+      }),
+    });
+
+    await runVersionedOp(dynamodb, update(2, 'third'));
+
+    const timestamp = new Date(now).toISOString();
+    expect(deltaOf(dynamodb)).toEqual({
+      TableName: 'my-table-delta-dev',
+      Item: expect.objectContaining({
+        id: { S: 'foo' },
+        _version: { N: '3' },
+        ds_pk: { S: `my-table-dev:${timestamp.slice(0, 10)}` },
+        ds_sk: { S: `${timestamp.slice(11)}:foo:3` },
+        _ttl: { N: String(now / 1000 + 30 * 60) },
+      }),
+    });
+  });
+
+  it('flags deleted items', async () => {
+    const dynamodb = client(stored, {
+      updateItem: ({ ExpressionAttributeValues: values }) => ({
+        Attributes: {
+          ...stored,
+          _version: values[':_version'],
+          _lastChangedAt: values[':_lastChangedAt'],
+          _deleted: values[':_deleted'],
+          _ttl: values[':_ttl'],
+        },
+      }),
+    });
+
+    const result = await runVersionedOp(dynamodb, {
+      version: '2018-05-29',
+      operation: 'DeleteItem',
+      key: { id: { S: 'foo' } },
+      _version: 2,
+    });
+
+    expect(result).toMatchObject({
+      id: 'foo',
+      _version: 3,
+      _deleted: true,
+      _ttl: now / 1000 + 43200 * 60,
+    });
+    expect(dynamodb.updateItem).toHaveBeenCalledWith(
+      expect.objectContaining({
+        UpdateExpression:
+          'SET #_version = :_version, #_lastChangedAt = :_lastChangedAt, #_deleted = :_deleted, #_ttl = :_ttl',
+      }),
+    );
+  });
+
+  it('rejects conflicts with optimistic concurrency', async () => {
+    const dynamodb = client(stored);
+
+    const error = await runVersionedOp(dynamodb, update(1, 'stale'), {
+      type: 'OPTIMISTIC_CONCURRENCY',
+    }).catch((err) => err);
+
+    expect(error).toMatchObject({
+      errorType: 'ConflictUnhandled',
+      message: 'Conflict resolver rejects mutation.',
+      result: { id: 'foo', value: 'second', _version: 2 },
+    });
+    expect(dynamodb.putItem).not.toHaveBeenCalled();
+    expect(dynamodb.updateItem).not.toHaveBeenCalled();
+  });
+
+  it('automerges conflicts', async () => {
+    const dynamodb = client(stored);
+
+    const result = await runVersionedOp(
+      dynamodb,
+      {
+        version: '2018-05-29',
+        operation: 'PutItem',
+        key: { id: { S: 'foo' } },
+        attributeValues: {
+          value: { S: 'stale' },
+          tags: { L: [{ S: 'b' }] },
+          other: { S: 'other' },
+        },
+        _version: 1,
+      },
+      { type: 'AUTOMERGE' },
+    );
+
+    expect(result).toEqual({
+      id: 'foo',
+      value: 'second',
+      tags: ['a', 'b'],
+      other: 'other',
+      _version: 3,
+      _lastChangedAt: now,
+    });
+    expect(dynamodb.putItem).toHaveBeenCalledWith(
+      expect.objectContaining({
+        TableName: 'my-table-dev',
+        ConditionExpression: '#_version = :_expectedVersion',
+        ExpressionAttributeValues: { ':_expectedVersion': { N: '2' } },
+      }),
+    );
+  });
+
+  it('resolves conflicts with a lambda', async () => {
+    const dynamodb = client(stored, {
+      updateItem: () => {
+        throw new Error('a resolved item is put');
+      },
+    });
+    const invoke = jest.fn(async ({ newItem }) => ({
+      action: 'RESOLVE',
+      item: newItem,
+    }));
+
+    const result = await runVersionedOp(dynamodb, update(1, 'lambda'), {
+      type: 'LAMBDA',
+      invoke,
+    });
+
+    expect(invoke).toHaveBeenCalledWith({
+      newItem: expect.objectContaining({ value: 'lambda' }),
+      existingItem: expect.objectContaining({ value: 'second' }),
+    });
+    expect(result).toMatchObject({ value: 'lambda', tags: ['a'], _version: 3 });
+  });
+
+  it('deletes items a lambda removes', async () => {
+    const dynamodb = client(stored, {
+      updateItem: ({ ExpressionAttributeValues: values }) => ({
+        Attributes: {
+          ...stored,
+          _version: values[':_version'],
+          _lastChangedAt: values[':_lastChangedAt'],
+          _deleted: values[':_deleted'],
+        },
+      }),
+    });
+
+    const result = await runVersionedOp(dynamodb, update(1, 'lambda'), {
+      type: 'LAMBDA',
+      invoke: async () => ({ action: 'REMOVE' }),
+    });
+
+    expect(result).toMatchObject({ _version: 3, _deleted: true });
+  });
+
+  describe('Sync', () => {
+    const deltaItem = {
+      ...stored,
+      ds_pk: { S: 'my-table-dev:2020-09-13' },
+      ds_sk: { S: '12:26:39.000Z:foo:2' },
+    };
+
+    it('syncs from the base table', async () => {
+      const dynamodb = client(stored, {
+        scan: () => ({
+          Items: [stored],
+          LastEvaluatedKey: { id: { S: 'foo' } },
+        }),
+      });
+
+      const result = await runVersionedOp(dynamodb, {
+        version: '2018-05-29',
+        operation: 'Sync',
+        limit: 10,
+      });
+
+      expect(result).toEqual({
+        items: [expect.objectContaining({ id: 'foo', _version: 2 })],
+        nextToken: expect.any(String),
+        startedAt: now,
+      });
+      expect(dynamodb.scan).toHaveBeenCalledWith(
+        expect.objectContaining({
+          TableName: 'my-table-dev',
+          Limit: 10,
+          ConsistentRead: true,
+        }),
+      );
+
+      // the next page keeps reading the base table from where it stopped.
+      Date.now.mockReturnValue(now + 1000);
+      const next = await runVersionedOp(dynamodb, {
+        version: '2018-05-29',
+        operation: 'Sync',
+        limit: 10,
+        lastSync: now - 1000,
+        nextToken: result.nextToken,
+      });
+      expect(next.startedAt).toBe(now);
+      expect(dynamodb.scan).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          TableName: 'my-table-dev',
+          ExclusiveStartKey: { id: { S: 'foo' } },
+        }),
+      );
+    });
+
+    it('syncs recent changes from the delta table', async () => {
+      const dynamodb = client(stored, {
+        scan: () => ({ Items: [deltaItem] }),
+      });
+
+      const result = await runVersionedOp(dynamodb, {
+        version: '2018-05-29',
+        operation: 'Sync',
+        limit: 10,
+        lastSync: now - 60 * 1000,
+      });
+
+      expect(result).toEqual({
+        items: [
+          {
+            id: 'foo',
+            value: 'second',
+            tags: ['a'],
+            _version: 2,
+            _lastChangedAt: now - 1000,
+          },
+        ],
+        nextToken: null,
+        startedAt: now,
+      });
+      expect(dynamodb.scan).toHaveBeenCalledWith(
+        expect.objectContaining({
+          TableName: 'my-table-delta-dev',
+          FilterExpression: '#_lastChangedAt > :_lastSync',
+          ExpressionAttributeNames: { '#_lastChangedAt': '_lastChangedAt' },
+          ExpressionAttributeValues: {
+            ':_lastSync': { N: String(now - 60 * 1000) },
+          },
+        }),
+      );
+    });
+
+    it('reads the base table when the last sync is older than the delta table', async () => {
+      const dynamodb = client(stored, { scan: () => ({ Items: [] }) });
+
+      await runVersionedOp(dynamodb, {
+        version: '2018-05-29',
+        operation: 'Sync',
+        limit: 10,
+        lastSync: now - 31 * 60 * 1000,
+      });
+
+      expect(dynamodb.scan).toHaveBeenCalledWith(
+        expect.objectContaining({ TableName: 'my-table-dev' }),
+      );
+    });
+
+    it('requires a versioned data source', async () => {
+      await expect(
+        subject(client(stored), 'MyTable', dynamodbTables, {
+          version: '2018-05-29',
+          operation: 'Sync',
+        }),
+      ).rejects.toThrow('Sync requires a versioned data source');
+    });
+  });
+});
@@ -120,4 +120,74 @@ describe('elasticsearchSource', () => {
       resourcePath: '/test/_doc/1',
     });
   });
+
+  it('uses basic auth', async () => {
+    await elasticsearchSource(
+      'http://localhost:9200',
+      { operation: 'GET', path: '/test/_doc/1' },
+      { username: 'admin', password: 'secret' },
+    );
+
+    expect(httpSource.mock.calls[0][1].params.headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: 'Basic YWRtaW46c2VjcmV0',
+    });
+  });
+
+  it('signs requests with SigV4', async () => {
+    process.env.AWS_ACCESS_KEY_ID = 'AKIDEXAMPLE';
+    process.env.AWS_SECRET_ACCESS_KEY = 'secret';
+    await elasticsearchSource(
+      'https://search-posts-abc.eu-west-1.es.amazonaws.com',
+      {
+        operation: 'POST',
+        path: '/posts/_search',
+        params: { body: { query: { match_all: {} } } },
+      },
+      { sigv4: true },
+    );
+    delete process.env.AWS_ACCESS_KEY_ID;
+    delete process.env.AWS_SECRET_ACCESS_KEY;
+
+    const { headers } = httpSource.mock.calls[0][1].params;
+    expect(headers.host).toBe('search-posts-abc.eu-west-1.es.amazonaws.com');
+    expect(headers['X-Amz-Date']).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(headers.Authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/es\/aws4_request, SignedHeaders=host;x-amz-date, Signature=[0-9a-f]{64}$/,
+    );
+  });
+
+  it('turns error responses into AppSync errors', async () => {
+    const body = {
+      error: { type: 'index_not_found_exception', reason: 'no such index [test]' },
+      status: 404,
+    };
+    httpSource.mockResolvedValueOnce({
+      body: JSON.stringify(body),
+      statusCode: 404,
+    });
+
+    const request = elasticsearchSource(
+      'http://localhost:9200',
+      { operation: 'GET', path: '/test/_doc/1' },
+      { engine: 'OpenSearch' },
+    );
+
+    await expect(request).rejects.toThrow('no such index [test]');
+    await expect(request).rejects.toMatchObject({
+      errorType: 'OpenSearch:index_not_found_exception',
+      result: body,
+    });
+  });
+
+  it('turns other failures into AppSync errors', async () => {
+    httpSource.mockResolvedValueOnce({ body: 'Unauthorized', statusCode: 401 });
+
+    await expect(
+      elasticsearchSource('http://localhost:9200', { path: '/test/_search' }),
+    ).rejects.toMatchObject({
+      message: 'Unauthorized',
+      errorType: 'Elasticsearch:HTTP401',
+    });
+  });
 });
@@ -0,0 +1,116 @@
+const { graphql, GraphQLError } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+const { recordError, collectErrors } = require('../lib/errors');
+
+describe('errors', () => {
+  it('collects recorded errors before the other errors', () => {
+    const context = {};
+    const appended = new GraphQLError('appended', null, null, null, ['a']);
+    appended.errorType = 'Appended';
+    const failed = new GraphQLError('failed', null, null, null, ['b']);
+    recordError(context, appended);
+    recordError(context, appended);
+
+    expect(collectErrors(context, [failed])).toEqual([
+      {
+        path: ['a'],
+        data: null,
+        errorType: 'Appended',
+        errorInfo: null,
+        locations: [],
+        message: 'appended',
+      },
+      {
+        path: ['b'],
+        data: null,
+        errorType: null,
+        errorInfo: null,
+        locations: [],
+        message: 'failed',
+      },
+    ]);
+  });
+
+  describe('in templates', () => {
+    const field = (name, response) => ({
+      dataSource: 'Passthrough',
+      type: 'Query',
+      field: name,
+      request: 'subscribePassthrough-request.txt',
+      response,
+    });
+    let schema;
+
+    beforeAll(async () => {
+      ({ schema } = await createSchema({
+        dynamodb: {},
+        dynamodbTables: {},
+        graphqlSchema: wrapSchema(`
+          type Item { id: ID }
+          type Query {
+            partial(id: ID): Item
+            failing(id: ID): Item
+            item(id: ID): Item
+          }
+        `),
+        serverlessDirectory: `${__dirname}/example`,
+        serverlessConfig: {
+          custom: {
+            appSync: {
+              mappingTemplates: [
+                field('partial', 'append-error-response.vtl'),
+                field('failing', 'error-response.vtl'),
+                field('item', 'result-response.txt'),
+              ],
+              dataSources: [{ type: 'NONE', name: 'Passthrough' }],
+            },
+          },
+        },
+        pubsub: new PubSub(),
+      }));
+    });
+
+    it('keep the data of appendError and merge errors in order', async () => {
+      const contextValue = { jwt: {} };
+      const { data } = await graphql({
+        schema,
+        contextValue,
+        source: `{
+          partial(id: "1") { id }
+          failing(id: "2") { id }
+          item(id: "3") { id }
+        }`,
+      });
+
+      expect(data).toEqual({
+        partial: { id: '1' },
+        failing: null,
+        item: { id: '3' },
+      });
+      expect(collectErrors(contextValue)).toEqual([
+        {
+          path: ['partial'],
+          data: { id: '1' },
+          errorType: 'PartialResult',
+          errorInfo: { field: 'partial' },
+          locations: [{ line: 2, column: 11, sourceName: null }],
+          message: 'Partial result',
+        },
+        expect.objectContaining({
+          path: ['failing'],
+          message: 'Appended before failing',
+        }),
+        {
+          path: ['failing'],
+          data: null,
+          errorType: 'Failure',
+          errorInfo: { field: 'failing' },
+          locations: [{ line: 3, column: 11, sourceName: null }],
+          message: 'Failed',
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const {
+  createEventBus,
+  getEventRules,
+  matchesEventPattern,
+} = require('../lib/eventBus');
+const eventBridgeSource = require('../lib/eventBridgeSource');
+
+describe('eventBus', () => {
+  const event = {
+    source: 'blog.posts',
+    'detail-type': 'PostCreated',
+    resources: ['arn:aws:s3:::a', 'arn:aws:s3:::b'],
+    detail: { title: 'Hello World', votes: 5, tags: ['news'] },
+  };
+
+  describe('matchesEventPattern', () => {
+    it.each([
+      [{ source: ['blog.posts'] }, true],
+      [{ source: ['blog.users'] }, false],
+      [{ resources: ['arn:aws:s3:::b'] }, true],
+      [{ detail: { title: [{ prefix: 'Hello' }] } }, true],
+      [{ detail: { title: [{ suffix: 'Hello' }] } }, false],
+      [{ detail: { title: [{ 'equals-ignore-case': 'hello world' }] } }, true],
+      [{ detail: { title: [{ wildcard: 'H*o W*' }] } }, true],
+      [{ detail: { votes: [{ numeric: ['>', 1, '<=', 5] }] } }, true],
+      [{ detail: { votes: [{ numeric: ['>', 5] }] } }, false],
+      [{ detail: { tags: [{ 'anything-but': ['old'] }] } }, true],
+      [{ detail: { tags: [{ 'anything-but': { prefix: 'ne' } }] } }, false],
+      [{ detail: { author: [{ exists: false }] } }, true],
+      [{ detail: { author: [{ exists: true }] } }, false],
+      [{ detail: { author: { name: ['a'] } } }, false],
+      [
+        {
+          source: ['blog.posts'],
+          $or: [{ detail: { votes: [0] } }, { detail: { tags: ['news'] } }],
+        },
+        true,
+      ],
+    ])('matches %j: %s', (pattern, matches) => {
+      expect(matchesEventPattern(pattern, event)).toBe(matches);
+    });
+  });
+
+  it('reads the enabled rules with patterns', () => {
+    expect(
+      getEventRules({
+        resources: {
+          Resources: {
+            Bus: { Type: 'AWS::Events::EventBus', Properties: { Name: 'blog' } },
+            OnPost: {
+              Type: 'AWS::Events::Rule',
+              Properties: {
+                EventBusName: { Ref: 'Bus' },
+                EventPattern: '{"source":["blog.posts"]}',
+                Targets: [{ Id: 'notify' }],
+              },
+            },
+            Disabled: {
+              Type: 'AWS::Events::Rule',
+              Properties: { State: 'DISABLED', EventPattern: {} },
+            },
+            Scheduled: {
+              Type: 'AWS::Events::Rule',
+              Properties: { ScheduleExpression: 'rate(1 hour)' },
+            },
+          },
+        },
+      }),
+    ).toEqual([
+      {
+        name: 'OnPost',
+        eventBusName: 'blog',
+        pattern: { source: ['blog.posts'] },
+        targets: [{ Id: 'notify' }],
+      },
+    ]);
+  });
+
+  describe('eventBridgeSource', () => {
+    const serverlessConfig = {
+      provider: { region: 'eu-west-1' },
+      functions: { 'notify-author': { handler: 'handler.notify' } },
+      resources: { Resources: {} },
+    };
+    const rules = [
+      {
+        name: 'OnPost',
+        eventBusName: 'default',
+        pattern: { 'detail-type': ['PostCreated'] },
+        targets: [
+          { Arn: { 'Fn::GetAtt': ['NotifyDashauthorLambdaFunction', 'Arn'] } },
+          {
+            Arn: 'arn:aws:lambda:eu-west-1:000000000000:function:blog-dev-notify-author',
+            InputPath: '$.detail',
+          },
+          { Arn: 'arn:aws:sqs:eu-west-1:000000000000:queue' },
+        ],
+      },
+    ];
+    let eventBus;
+    let invokeFunction;
+    const putEvents = (events) =>
+      eventBridgeSource(
+        { eventBus, rules, serverlessConfig, invokeFunction },
+        { eventBusArn: 'arn:aws:events:eu-west-1:000000000000:event-bus/default' },
+        { version: '2018-05-29', operation: 'PutEvents', events },
+      );
+
+    beforeEach(() => {
+      eventBus = createEventBus();
+      invokeFunction = jest.fn().mockResolvedValue(null);
+    });
+
+    it('records events and invokes the targets of matching rules', async () => {
+      const result = await putEvents([
+        { source: 'blog.posts', detailType: 'PostCreated', detail: { id: '1' } },
+        { source: 'blog.posts', detailType: 'PostDeleted', detail: { id: '2' } },
+      ]);
+      await new Promise(setImmediate);
+
+      expect(result).toEqual({
+        Entries: [
+          { EventId: expect.any(String) },
+          { EventId: expect.any(String) },
+        ],
+        FailedEntryCount: 0,
+      });
+      expect(eventBus.list({ detailType: 'PostCreated' })).toEqual([
+        {
+          eventBusName: 'default',
+          rules: ['OnPost'],
+          event: {
+            version: '0',
+            id: result.Entries[0].EventId,
+            'detail-type': 'PostCreated',
+            source: 'blog.posts',
+            account: '000000000000',
+            time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/),
+            region: 'eu-west-1',
+            resources: [],
+            detail: { id: '1' },
+          },
+        },
+      ]);
+      expect(eventBus.list()).toHaveLength(2);
+      expect(invokeFunction.mock.calls).toEqual([
+        ['notify-author', eventBus.list()[0].event],
+        ['notify-author', { id: '1' }],
+      ]);
+    });
+
+    it('fails invalid entries', async () => {
+      expect(
+        await putEvents([{ source: 'blog.posts', detail: {} }]),
+      ).toEqual({
+        Entries: [
+          {
+            ErrorCode: 'InvalidArgument',
+            ErrorMessage:
+              'Parameter DetailType is not valid. Reason: DetailType is a required argument.',
+          },
+        ],
+        FailedEntryCount: 1,
+      });
+      expect(eventBus.list()).toEqual([]);
+    });
+
+    it('fails entries with a malformed detail', async () => {
+      const result = await putEvents([
+        { source: 'blog.posts', detailType: 'PostCreated', detail: '{"id":' },
+        { source: 'blog.posts', detailType: 'PostCreated', detail: '{"id":"1"}' },
+      ]);
+
+      expect(result).toEqual({
+        Entries: [
+          {
+            ErrorCode: 'InvalidArgument',
+            ErrorMessage:
+              'Parameter Detail is not valid. Reason: Detail is not valid JSON.',
+          },
+          { EventId: expect.any(String) },
+        ],
+        FailedEntryCount: 1,
+      });
+      expect(eventBus.list()).toEqual([
+        expect.objectContaining({
+          event: expect.objectContaining({ detail: { id: '1' } }),
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,7 @@
+import os
+
+from shared import greeting
+
+
+def nestedGreeting(event, context):
+    return {'greeting': greeting(event['name']), 'cwd': os.getcwd()}
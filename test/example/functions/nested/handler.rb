@@ -0,0 +1,5 @@
+require 'shared/greeting'
+
+def ruby_nested_greeting(event:, context:)
+  { greeting: greeting(event['name']), cwd: Dir.pwd }
+end
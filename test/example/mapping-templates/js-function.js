@@ -0,0 +1,6 @@
+export function request (ctx) {
+  ctx.stash.steps.push('js')
+  return { payload: { id: ctx.args.id } }
+}
+
+export const response = ctx => ctx.result
@@ -0,0 +1,13 @@
+import { runtime } from '@aws-appsync/utils'
+
+export function request (ctx) {
+  ctx.stash.steps = []
+  if (ctx.args.name === 'early') {
+    runtime.earlyReturn({ id: ctx.args.id, name: 'returned early' })
+  }
+  return {}
+}
+
+export function response (ctx) {
+  return { id: ctx.prev.result.id, name: ctx.stash.steps.join(',') }
+}
@@ -0,0 +1,5 @@
+export function request (ctx) {
+  return { payload: { flag: ctx.prev.result } }
+}
+
+export const response = ctx => ctx.result
@@ -0,0 +1,7 @@
+export function request (ctx) {
+  return false
+}
+
+export function response (ctx) {
+  return ctx.prev.result
+}
@@ -0,0 +1,12 @@
+import { util } from '@aws-appsync/utils'
+
+export function request (ctx) {
+  return { payload: { id: ctx.args.id, name: util.str.toUpper(ctx.args.name) } }
+}
+
+export function response (ctx) {
+  if (ctx.result.name === 'FAIL') {
+    util.error('Failed', 'Failure', null, { id: ctx.result.id })
+  }
+  return ctx.result
+}
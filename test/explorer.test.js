@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const jwtDecode = require('jwt-decode');
+const {
+  explorerAssets,
+  getAuthPresets,
+  createTestToken,
+  renderExplorer,
+} = require('../lib/explorer');
+const { getAuthConfig, authenticateRequest } = require('../lib/auth');
+const fetch = require('node-fetch');
+const createServerCore = require('../lib/serverCore');
+
+describe('explorer', () => {
+  const authConfig = getAuthConfig(
+    {
+      authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+      userPoolConfig: { awsRegion: 'us-east-2', userPoolId: 'us-east-2_abc' },
+      additionalAuthenticationProviders: [
+        { authenticationType: 'API_KEY' },
+        { authenticationType: 'AWS_IAM' },
+      ],
+    },
+    { apiKey: ['da2-first', 'da2-second'] },
+  );
+
+  it('has a header preset per provider', () => {
+    expect(getAuthPresets(authConfig)).toEqual([
+      {
+        authType: 'AMAZON_COGNITO_USER_POOLS',
+        header: 'Authorization',
+        value: '',
+        generate: true,
+      },
+      { authType: 'API_KEY', header: 'x-api-key', value: 'da2-first' },
+      {
+        authType: 'AWS_IAM',
+        header: 'Authorization',
+        value: expect.stringMatching(/^AWS4-HMAC-SHA256 Credential=/),
+      },
+    ]);
+  });
+
+  it('presets are accepted by the providers', () => {
+    getAuthPresets(authConfig)
+      .filter(({ generate }) => !generate)
+      .forEach(({ authType, header, value }) => {
+        expect(
+          authenticateRequest({ [header.toLowerCase()]: value }, authConfig),
+        ).toMatchObject({ authType });
+      });
+  });
+
+  it('creates tokens for the user pool', () => {
+    const token = createTestToken(authConfig, {
+      username: 'bob',
+      groups: ['admin'],
+    });
+
+    expect(jwtDecode(token)).toMatchObject({
+      iss: 'https://cognito-idp.us-east-2.amazonaws.com/us-east-2_abc',
+      'cognito:username': 'bob',
+      'cognito:groups': ['admin'],
+    });
+    expect(
+      authenticateRequest({ authorization: token }, authConfig),
+    ).toMatchObject({ authType: 'AMAZON_COGNITO_USER_POOLS' });
+  });
+
+  it('creates tokens for OIDC providers', () => {
+    const token = createTestToken(
+      getAuthConfig({
+        authenticationType: 'OPENID_CONNECT',
+        openIdConnectConfig: { issuer: 'https://auth.example.com' },
+      }),
+      { authType: 'OPENID_CONNECT' },
+    );
+
+    expect(jwtDecode(token)).toMatchObject({ iss: 'https://auth.example.com' });
+  });
+
+  describe('when tokens are verified', () => {
+    const strictConfig = getAuthConfig(
+      {
+        authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+        userPoolConfig: {
+          userPoolId: 'us-east-2_abc',
+          appIdClientRegex: 'local-client',
+        },
+      },
+      {
+        jwtKeys: {
+          publicKeys: [
+            {
+              kid: null,
+              pem: crypto
+                .generateKeyPairSync('rsa', { modulusLength: 1024 })
+                .publicKey.export({ type: 'spki', format: 'pem' }),
+            },
+          ],
+        },
+      },
+    );
+
+    it('does not generate tokens', () => {
+      expect(getAuthPresets(strictConfig)).toEqual([
+        {
+          authType: 'AMAZON_COGNITO_USER_POOLS',
+          header: 'Authorization',
+          value: '',
+          generate: false,
+        },
+      ]);
+    });
+
+    it('issues tokens failing verification', () => {
+      const token = createTestToken(strictConfig, { username: 'bob' });
+
+      expect(() =>
+        authenticateRequest({ authorization: token }, strictConfig),
+      ).toThrow();
+    });
+
+    it('refuses to issue tokens over http', async () => {
+      const { url, server } = await createServerCore({
+        schema: null,
+        subscriptions: {},
+        authConfig: strictConfig,
+      });
+      try {
+        const res = await fetch(`${url}/explorer/token`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ username: 'bob' }),
+        });
+        expect(res.status).toBe(403);
+        expect(await res.json()).toMatchObject({
+          errors: [{ errorType: 'UnauthorizedException' }],
+        });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  it('serves its assets', async () => {
+    const { url, server } = await createServerCore({
+      schema: null,
+      subscriptions: {},
+      authConfig,
+    });
+    try {
+      const asset = await fetch(`${url}/explorer/graphiql.min.js`);
+      expect(asset.status).toBe(200);
+      expect(asset.headers.get('content-type')).toMatch(/javascript/);
+      expect(await asset.text()).toContain('GraphiQL');
+      const missing = await fetch(`${url}/explorer/missing.js`);
+      expect(missing.status).toBe(404);
+      await missing.text();
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('embeds the presets and local assets in the page', () => {
+    const html = renderExplorer(authConfig);
+    expect(html).toContain('GraphiQL');
+    expect(html).toContain('"header":"x-api-key","value":"da2-first"');
+    expect(html).not.toContain('https://');
+    Object.keys(explorerAssets).forEach((asset) => {
+      expect(html).toContain(`/graphql/explorer/${asset}`);
+    });
+  });
+});
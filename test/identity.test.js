@@ -0,0 +1,103 @@
+const { authenticateRequest, getAuthConfig } = require('../lib/auth');
+const { getIdentity, getSourceIp } = require('../lib/identity');
+const { generateTestJWT } = require('../lib/testJWT');
+
+describe('identity', () => {
+  const request = { headers: {}, ip: '::ffff:10.0.0.1' };
+  const identity = (config, headers) =>
+    getIdentity({
+      ...authenticateRequest(headers, getAuthConfig(...config)),
+      request: { ...request, headers },
+    });
+
+  it('is null for API keys', () => {
+    expect(
+      identity([{ authenticationType: 'API_KEY' }], { 'x-api-key': 'key' }),
+    ).toBe(null);
+  });
+
+  it('holds the user pool claims and groups', () => {
+    const authorization = generateTestJWT({
+      sub: 'user-id',
+      'cognito:username': 'user',
+      'cognito:groups': ['admin'],
+    });
+    expect(
+      identity(
+        [
+          {
+            authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+            userPoolConfig: { defaultAction: 'DENY' },
+          },
+        ],
+        { authorization },
+      ),
+    ).toMatchObject({
+      sub: 'user-id',
+      username: 'user',
+      groups: ['admin'],
+      claims: { 'cognito:groups': ['admin'] },
+      sourceIp: ['10.0.0.1'],
+      defaultAuthStrategy: 'DENY',
+    });
+  });
+
+  it('only has the claims of OIDC tokens', () => {
+    const authorization = generateTestJWT({ sub: 'oidc-user' });
+    const oidc = identity([{ authenticationType: 'OPENID_CONNECT' }], {
+      authorization,
+    });
+    expect(Object.keys(oidc).sort()).toEqual(['claims', 'issuer', 'sub']);
+    expect(oidc.sub).toBe('oidc-user');
+  });
+
+  it('describes IAM callers', () => {
+    const authorization =
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20200101/us-east-1/appsync/aws4_request, SignedHeaders=host, Signature=abc';
+    const config = options => [{ authenticationType: 'AWS_IAM' }, options];
+
+    expect(identity(config(), { authorization })).toEqual({
+      accountId: '000000000000',
+      cognitoIdentityPoolId: null,
+      cognitoIdentityId: null,
+      sourceIp: ['10.0.0.1'],
+      username: 'AKIDEXAMPLE',
+      userArn: 'arn:aws:iam::000000000000:user/AKIDEXAMPLE',
+      cognitoIdentityAuthType: null,
+      cognitoIdentityAuthProvider: null,
+    });
+    expect(
+      identity(
+        config({
+          iamIdentity: {
+            accountId: '123456789012',
+            cognitoIdentityPoolId: 'us-east-1:pool',
+            cognitoIdentityAuthType: 'authenticated',
+          },
+        }),
+        { authorization },
+      ),
+    ).toMatchObject({
+      accountId: '123456789012',
+      cognitoIdentityPoolId: 'us-east-1:pool',
+      cognitoIdentityAuthType: 'authenticated',
+      userArn: 'arn:aws:iam::123456789012:user/AKIDEXAMPLE',
+    });
+  });
+
+  it('carries the resolverContext of Lambda authorizers', () => {
+    expect(
+      getIdentity({ authType: 'AWS_LAMBDA', resolverContext: { a: 'b' } }),
+    ).toEqual({ resolverContext: { a: 'b' } });
+  });
+
+  it('reads the source ip from x-forwarded-for', () => {
+    expect(
+      getSourceIp({
+        headers: { 'x-forwarded-for': '1.2.3.4, 10.0.0.2' },
+        ip: '10.0.0.3',
+      }),
+    ).toEqual(['1.2.3.4', '10.0.0.2']);
+    expect(getSourceIp({ headers: {} })).toEqual(['0.0.0.0']);
+  });
+});
@@ -0,0 +1,158 @@
+const { graphql } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+const { compile, CodeError } = require('../lib/jsRuntime');
+const { collectErrors } = require('../lib/errors');
+
+describe('jsRuntime', () => {
+  describe('compile', () => {
+    it('turns imports and exports into a script', () => {
+      expect(
+        compile(
+          [
+            "import { util, runtime as rt } from '@aws-appsync/utils'",
+            'export function request (ctx) { return {} }',
+            'const response = ctx => ctx.result',
+            'export { response }',
+          ].join('\n'),
+          'code.js',
+        ),
+      ).toBe(
+        [
+          "const { util: util, runtime: rt } = __modules['@aws-appsync/utils'];",
+          'function request (ctx) { return {} }',
+          'const response = ctx => ctx.result',
+          '',
+          '__exports.request = request;',
+          '__exports.response = response;',
+        ].join('\n'),
+      );
+    });
+
+    it.each([
+      ['try { a() } catch (e) {}', '1:1 try statements'],
+      ['throw new Error()', '1:1 throw statements'],
+      ['for (let i = 0; i < 2; i++) {}', '1:1 for loops'],
+      ['while (a) {}', '1:1 while loops'],
+      ['do {} while (a)', '1:1 do-while loops'],
+      ['class A {}', '1:1 classes'],
+      ['async function a () {}', '1:1 async functions'],
+      ['function * a () {}', '1:1 async functions and generators'],
+      ['const a = n => {\n  return a(n)\n}', '2:10 recursive calls'],
+      ["import axios from 'axios'", '1:1 only @aws-appsync/utils'],
+      ['export default {}', '1:1 only named exports'],
+    ])('rejects %s', (code, message) => {
+      expect(() => compile(code, 'code.js')).toThrow(CodeError);
+      expect(() => compile(code, 'code.js')).toThrow(`code.js:${message}`);
+    });
+
+    it('accepts for-of and for-in loops', () => {
+      expect(() =>
+        compile('for (const a of []) {}\nfor (const b in {}) {}', 'code.js'),
+      ).not.toThrow();
+    });
+  });
+
+  describe('resolvers', () => {
+    let schema;
+
+    beforeAll(async () => {
+      ({ schema } = await createSchema({
+        dynamodb: {},
+        dynamodbTables: {},
+        graphqlSchema: wrapSchema(`
+          type Item { id: ID, name: String }
+          type Query {
+            item(id: ID, name: String): Item
+            pipeline(id: ID, name: String): Item
+          }
+        `),
+        serverlessDirectory: `${__dirname}/example`,
+        serverlessConfig: {
+          custom: {
+            appSync: {
+              mappingTemplates: [
+                {
+                  dataSource: 'Passthrough',
+                  type: 'Query',
+                  field: 'item',
+                  code: 'js-resolver.js',
+                  runtime: { name: 'APPSYNC_JS', runtimeVersion: '1.0.0' },
+                },
+                {
+                  type: 'Query',
+                  field: 'pipeline',
+                  kind: 'PIPELINE',
+                  code: 'js-pipeline.js',
+                  functions: ['jsFunction', 'vtlFunction'],
+                },
+              ],
+              functionConfigurations: [
+                {
+                  dataSource: 'Passthrough',
+                  name: 'jsFunction',
+                  code: 'js-function.js',
+                },
+                {
+                  dataSource: 'Passthrough',
+                  name: 'vtlFunction',
+                  request: 'stash-function-request.vtl',
+                  response: 'result-response.txt',
+                },
+              ],
+              dataSources: [{ type: 'NONE', name: 'Passthrough' }],
+            },
+          },
+        },
+        pubsub: new PubSub(),
+      }));
+    });
+
+    const query = async (source) => {
+      const contextValue = { jwt: {} };
+      const { data } = await graphql({ schema, contextValue, source });
+      return { data, errors: collectErrors(contextValue) };
+    };
+
+    it('runs unit resolvers', async () => {
+      expect(await query('{ item(id: "1", name: "foo") { id name } }')).toEqual(
+        { data: { item: { id: '1', name: 'FOO' } }, errors: [] },
+      );
+    });
+
+    it('fails fields with util.error', async () => {
+      const { data, errors } = await query(
+        '{ item(id: "1", name: "fail") { id } }',
+      );
+
+      expect(data).toEqual({ item: null });
+      expect(errors).toEqual([
+        expect.objectContaining({
+          path: ['item'],
+          errorType: 'Failure',
+          errorInfo: { id: '1' },
+          message: 'Failed',
+        }),
+      ]);
+    });
+
+    it('runs pipelines sharing the stash with VTL functions', async () => {
+      expect(
+        await query('{ pipeline(id: "1", name: "foo") { id name } }'),
+      ).toEqual({
+        data: { pipeline: { id: '1', name: 'js,vtl' } },
+        errors: [],
+      });
+    });
+
+    it('returns early', async () => {
+      expect(
+        await query('{ pipeline(id: "1", name: "early") { id name } }'),
+      ).toEqual({
+        data: { pipeline: { id: '1', name: 'returned early' } },
+        errors: [],
+      });
+    });
+  });
+});
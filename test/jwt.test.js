@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadJWTKeys, verifyJWT } = require('../lib/jwt');
+const {
+  authenticateRequest,
+  getAuthConfig,
+  UnauthorizedError,
+} = require('../lib/auth');
+const { generateTestJWT, generateSignedTestJWT } = require('../lib/testJWT');
+
+describe('jwt', () => {
+  const userPool = {
+    authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+    userPoolConfig: {
+      userPoolId: 'us-east-1_27WcML9k8',
+      appIdClientRegex: 'local-client',
+    },
+  };
+  const oidc = {
+    authenticationType: 'OPENID_CONNECT',
+    openIdConnectConfig: {
+      issuer: 'https://auth.example.com/',
+      clientId: 'local-client',
+    },
+  };
+  const local = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const keyFile = (name, content) => {
+    const file = path.join(os.tmpdir(), `${name}-${process.pid}.pem`);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+  const publicKeyFile = keyFile('public', local.publicKey);
+  const privateKeyFile = keyFile('private', local.privateKey);
+  const keys = loadJWTKeys({ publicKey: publicKeyFile });
+  const sign = (claims = {}, signingKey = local) =>
+    generateSignedTestJWT({ aud: 'local-client', ...claims }, signingKey);
+
+  afterAll(() => {
+    fs.unlinkSync(publicKeyFile);
+    fs.unlinkSync(privateKeyFile);
+  });
+  const now = Math.floor(Date.now() / 1000);
+
+  it('verifies tokens signed with the configured key', () => {
+    expect(verifyJWT(sign({ sub: 'user' }), userPool, keys)).toMatchObject({
+      sub: 'user',
+      token_use: 'id',
+    });
+  });
+
+  it.each([
+    ['unsigned tokens', generateTestJWT({ aud: 'local-client' })],
+    ['expired tokens', sign({ exp: now - 60 })],
+    ['tokens issued in the future', sign({ iat: now + 60 })],
+    [
+      'tokens of other user pools',
+      sign({
+        iss: 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_other',
+      }),
+    ],
+    ['tokens of other clients', sign({ aud: 'other-client' })],
+    ['unknown token uses', sign({ token_use: 'refresh' })],
+  ])('rejects %s', (name, token) => {
+    expect(() => verifyJWT(token, userPool, keys)).toThrow();
+  });
+
+  it('checks the client_id of access tokens', () => {
+    const access = claims =>
+      sign({ token_use: 'access', aud: undefined, ...claims });
+    expect(() =>
+      verifyJWT(access({ client_id: 'local-client' }), userPool, keys),
+    ).not.toThrow();
+    expect(() =>
+      verifyJWT(access({ client_id: 'other-client' }), userPool, keys),
+    ).toThrow();
+  });
+
+  it('checks the issuer and client id of OIDC tokens', () => {
+    const iss = 'https://auth.example.com';
+    expect(() => verifyJWT(sign({ iss }), oidc, keys)).not.toThrow();
+    expect(() =>
+      verifyJWT(sign({ iss: 'https://other.example.com' }), oidc, keys),
+    ).toThrow();
+    expect(() =>
+      verifyJWT(sign({ iss, aud: 'other-client' }), oidc, keys),
+    ).toThrow();
+  });
+
+  it('requires keys to verify tokens with', () => {
+    expect(() => loadJWTKeys({ verify: true })).toThrow(
+      'jwt.verify requires the jwks, publicKey or privateKey to verify tokens with',
+    );
+  });
+
+  it('verifies tokens with the public key of a private key', () => {
+    const privateKeys = loadJWTKeys({ privateKey: privateKeyFile });
+    expect(privateKeys).toEqual({
+      publicKeys: [{ kid: null, pem: local.publicKey }],
+    });
+    expect(verifyJWT(sign({ sub: 'user' }), userPool, privateKeys)).toMatchObject({
+      sub: 'user',
+    });
+  });
+
+  it('loads keys from a JWKS file', () => {
+    const { publicKey } = local;
+    const jwks = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+    fs.writeFileSync(
+      jwks,
+      JSON.stringify({
+        keys: [
+          {
+            ...crypto.createPublicKey(publicKey).export({ format: 'jwk' }),
+            kid: 'jwks-key',
+            alg: 'RS256',
+            use: 'sig',
+          },
+        ],
+      }),
+    );
+
+    try {
+      const jwksKeys = loadJWTKeys({ jwks });
+      expect(() =>
+        verifyJWT(
+          sign({}, { ...local, kid: 'jwks-key' }),
+          userPool,
+          jwksKeys,
+        ),
+      ).not.toThrow();
+      expect(() =>
+        verifyJWT(
+          sign({}, { ...local, kid: 'other-key' }),
+          userPool,
+          jwksKeys,
+        ),
+      ).toThrow('No key found for kid other-key');
+    } finally {
+      fs.unlinkSync(jwks);
+    }
+  });
+
+  it('builds the PEM of JWKS keys from their modulus and exponent', () => {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 1024,
+      publicExponent: 3,
+    });
+    const jwks = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+    fs.writeFileSync(
+      jwks,
+      JSON.stringify({
+        keys: [
+          { ...publicKey.export({ format: 'jwk' }), kid: 'rsa-key' },
+          {
+            kty: 'EC',
+            crv: 'P-256',
+            x: 'f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU',
+            y: 'x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0',
+            kid: 'ec-key',
+          },
+        ],
+      }),
+    );
+
+    try {
+      expect(loadJWTKeys({ jwks }).publicKeys).toEqual([
+        { kid: 'rsa-key', pem: publicKey.export({ type: 'spki', format: 'pem' }) },
+      ]);
+    } finally {
+      fs.unlinkSync(jwks);
+    }
+  });
+
+  describe('strict mode', () => {
+    const config = getAuthConfig(
+      {
+        authenticationType: 'AMAZON_COGNITO_USER_POOLS',
+        userPoolConfig: { userPoolId: 'us-east-1_27WcML9k8' },
+      },
+      { jwtKeys: keys },
+    );
+    const authenticate = authorization => () =>
+      authenticateRequest({ authorization }, config);
+
+    it('accepts valid tokens', () => {
+      expect(authenticate(sign({ sub: 'user' }))()).toMatchObject({
+        authType: 'AMAZON_COGNITO_USER_POOLS',
+        jwt: { sub: 'user' },
+      });
+    });
+
+    it('rejects invalid tokens like AppSync', () => {
+      expect(authenticate(sign({ exp: now - 60 }))).toThrow(
+        new UnauthorizedError('Token has expired.'),
+      );
+      expect(authenticate(generateTestJWT())).toThrow(
+        new UnauthorizedError('Valid authorization header not provided.'),
+      );
+    });
+  });
+});
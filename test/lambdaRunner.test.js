@@ -3,6 +3,30 @@ const { fork } = require('child_process');
 const e2p = require('event-to-promise');
 
 const Runner = path.join(__dirname, '../lib/lambdaRunner');
+const PythonRunner = path.join(__dirname, '../lib/lambdaRunnerPython');
+const RubyRunner = path.join(__dirname, '../lib/lambdaRunnerRuby');
+const exampleRoot = path.join(__dirname, 'example');
+const exampleHandler = path.join(exampleRoot, 'handler');
+const nestedHandler = path.join(exampleRoot, 'functions/nested/handler');
+
+const runBootstrap = (
+  runner,
+  { module = exampleHandler, handlerMethod, runtime, payload = {} },
+) => {
+  const child = fork(runner, [], {
+    stdio: [0, 1, 2, 'ipc'],
+  });
+
+  child.send({
+    module,
+    taskRoot: exampleRoot,
+    handlerMethod,
+    runtime,
+    payload,
+  });
+
+  return e2p(child, 'message');
+};
 
 const run = ({ handlerMethod, payload = {} }) => {
   const child = fork(Runner, [], {
@@ -77,4 +101,76 @@ describe('lambdaRunner', () => {
       expect(response.output).toBe(true);
     });
   });
+
+  describe('python', () => {
+    it('returns output', async () => {
+      const response = await runBootstrap(PythonRunner, {
+        handlerMethod: 'composedJSON',
+        runtime: 'python3.8',
+      });
+
+      expect(response.type).toBe('success');
+      expect(response.output).toEqual({ a: 1, b: 2, c: 3 });
+    });
+
+    it('throws an error', async () => {
+      const response = await runBootstrap(PythonRunner, {
+        handlerMethod: 'error',
+        runtime: 'python3.8',
+      });
+
+      expect(response.type).toBe('error');
+      expect(response.error).toHaveProperty('errorType', 'Exception');
+    });
+
+    it('imports handlers and their packages from the task root', async () => {
+      const response = await runBootstrap(PythonRunner, {
+        module: nestedHandler,
+        handlerMethod: 'nestedGreeting',
+        runtime: 'python3.8',
+        payload: { name: 'python' },
+      });
+
+      expect(response).toEqual({
+        type: 'success',
+        output: { greeting: 'Hello python', cwd: exampleRoot },
+      });
+    });
+  });
+
+  describe('ruby', () => {
+    it('returns output', async () => {
+      const response = await runBootstrap(RubyRunner, {
+        handlerMethod: 'ruby_composed_json',
+        runtime: 'ruby2.7',
+      });
+
+      expect(response.type).toBe('success');
+      expect(response.output).toEqual({ a: 1, b: 2, c: 3 });
+    });
+
+    it('throws an error', async () => {
+      const response = await runBootstrap(RubyRunner, {
+        handlerMethod: 'ruby_error',
+        runtime: 'ruby2.7',
+      });
+
+      expect(response.type).toBe('error');
+      expect(response.error).toHaveProperty('errorType', 'StandardError');
+    });
+
+    it('requires files from the task root', async () => {
+      const response = await runBootstrap(RubyRunner, {
+        module: nestedHandler,
+        handlerMethod: 'ruby_nested_greeting',
+        runtime: 'ruby2.7',
+        payload: { name: 'ruby' },
+      });
+
+      expect(response).toEqual({
+        type: 'success',
+        output: { greeting: 'Hello ruby', cwd: exampleRoot },
+      });
+    });
+  });
 });
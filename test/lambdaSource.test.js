@@ -98,4 +98,87 @@ describe('lambdaSource', () => {
       }),
     );
   });
+
+  describe('runtime', () => {
+    const config = {
+      dynamodbEndpoint: 'localhost',
+      dynamodbTables: {},
+      serverlessDirectory: 'foo/bar',
+      serverlessConfig: {
+        provider: { runtime: 'python3.8' },
+        functions: {
+          python: { handler: 'src/handler.main' },
+          node: { handler: 'src/handler.main', runtime: 'nodejs12.x' },
+          ruby: { handler: 'handler.Module::Klass.process', runtime: 'ruby2.7' },
+          go: { handler: 'bin/main', runtime: 'go1.x' },
+          custom: { handler: 'function.handler', runtime: 'provided.al2' },
+          java: { handler: 'com.example.Handler', runtime: 'java11' },
+        },
+      },
+    };
+    let send;
+    let spy;
+
+    beforeEach(() => {
+      send = jest.fn();
+      spy = jest
+        .spyOn(childProcess, 'fork')
+        .mockImplementation(() => ({ send }));
+      spy.mockClear();
+      e2p.mockImplementation(async () => ({ type: 'success', output: {} }));
+    });
+
+    afterEach(() => spy.mockReset());
+
+    it('falls back to the provider runtime', async () => {
+      await lambdaSource(config, 'python', {});
+      expect(spy.mock.calls[0][0]).toMatch(/lambdaRunnerPython$/);
+      expect(send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          module: 'foo/bar/src/handler',
+          handlerMethod: 'main',
+          runtime: 'python3.8',
+        }),
+      );
+    });
+
+    it('prefers the function runtime', async () => {
+      await lambdaSource(config, 'node', {});
+      expect(spy.mock.calls[0][0]).toMatch(/lambdaRunner$/);
+    });
+
+    it('keeps ruby class handlers intact', async () => {
+      await lambdaSource(config, 'ruby', {});
+      expect(spy.mock.calls[0][0]).toMatch(/lambdaRunnerRuby$/);
+      expect(send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          module: 'foo/bar/handler',
+          handlerMethod: 'Module::Klass.process',
+        }),
+      );
+    });
+
+    it('runs go and custom runtimes through the runtime api', async () => {
+      await lambdaSource(config, 'go', {});
+      expect(spy.mock.calls[0][0]).toMatch(/lambdaRunnerGo$/);
+      expect(send).toHaveBeenCalledWith(
+        expect.objectContaining({ module: 'foo/bar/bin/main' }),
+      );
+
+      await lambdaSource(config, 'custom', {});
+      expect(spy.mock.calls[1][0]).toMatch(/lambdaRunnerCustom$/);
+      expect(send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          taskRoot: 'foo/bar',
+          handler: 'function.handler',
+        }),
+      );
+    });
+
+    it('rejects unsupported runtimes', async () => {
+      await expect(lambdaSource(config, 'java', {})).rejects.toThrow(
+        'Unsupported lambda runtime: java11',
+      );
+    });
+  });
 });
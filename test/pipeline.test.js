@@ -0,0 +1,132 @@
+const { graphql } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+const { collectErrors } = require('../lib/errors');
+
+describe('pipeline resolvers', () => {
+  let schema;
+
+  beforeAll(async () => {
+    ({ schema } = await createSchema({
+      dynamodb: {},
+      dynamodbTables: {},
+      graphqlSchema: wrapSchema(`
+        type Messages {
+          beforeTemplateMessage: String
+          firstFunctionMessage: String
+          secondFunctionMessage: String
+          afterTemplateMessage: String
+        }
+        type Prev { value: Int, flag: Boolean }
+        type Query {
+          messages: Messages
+          zero: Prev
+          flag: Prev
+        }
+      `),
+      serverlessDirectory: `${__dirname}/example`,
+      serverlessConfig: {
+        custom: {
+          appSync: {
+            mappingTemplates: [
+              {
+                type: 'Query',
+                field: 'messages',
+                kind: 'PIPELINE',
+                request: 'before.txt',
+                response: 'after.txt',
+                functions: ['firstFunction', 'secondFunction'],
+              },
+              {
+                type: 'Query',
+                field: 'zero',
+                kind: 'PIPELINE',
+                request: 'zero-request.vtl',
+                response: 'result-response.txt',
+                functions: ['prevFunction'],
+              },
+              {
+                type: 'Query',
+                field: 'flag',
+                kind: 'PIPELINE',
+                code: 'js-prev-pipeline.js',
+                functions: ['jsPrevFunction'],
+              },
+            ],
+            functionConfigurations: [
+              {
+                dataSource: 'Passthrough',
+                name: 'firstFunction',
+                request: 'first-function-request.txt',
+                response: 'first-function-response.txt',
+              },
+              {
+                dataSource: 'Passthrough',
+                name: 'secondFunction',
+                request: 'second-function-request.txt',
+                response: 'second-function-response.txt',
+              },
+              {
+                dataSource: 'Passthrough',
+                name: 'prevFunction',
+                request: 'prev-result-request.vtl',
+                response: 'result-response.txt',
+              },
+              {
+                dataSource: 'Passthrough',
+                name: 'jsPrevFunction',
+                code: 'js-prev-function.js',
+              },
+            ],
+            dataSources: [{ type: 'NONE', name: 'Passthrough' }],
+          },
+        },
+      },
+      pubsub: new PubSub(),
+    }));
+  });
+
+  const query = async (source) => {
+    const contextValue = { jwt: {} };
+    const { data } = await graphql({ schema, contextValue, source });
+    return { data, errors: collectErrors(contextValue) };
+  };
+
+  it('chains the before template, the functions and the after template', async () => {
+    expect(
+      await query(`{
+        messages {
+          beforeTemplateMessage
+          firstFunctionMessage
+          secondFunctionMessage
+          afterTemplateMessage
+        }
+      }`),
+    ).toEqual({
+      data: {
+        messages: {
+          beforeTemplateMessage: 'this message come from before template',
+          firstFunctionMessage: 'this message come from first function',
+          secondFunctionMessage: 'this message come from second function',
+          afterTemplateMessage: 'After template message',
+        },
+      },
+      errors: [],
+    });
+  });
+
+  it('hands falsy results to the next step as $ctx.prev.result', async () => {
+    expect(await query('{ zero { value } }')).toEqual({
+      data: { zero: { value: 0 } },
+      errors: [],
+    });
+  });
+
+  it('hands falsy results to the next step as ctx.prev.result', async () => {
+    expect(await query('{ flag { flag } }')).toEqual({
+      data: { flag: { flag: false } },
+      errors: [],
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { graphql } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const ServerlessAppSyncPlugin = require('../index');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+
+jest.mock('../lib/server', () => jest.fn());
+jest.mock('../lib/httpSource', () =>
+  jest.fn().mockResolvedValue({ statusCode: 200, body: '{"hits":{"hits":[]}}' }),
+);
+const httpSource = require('../lib/httpSource');
+
+describe('plugin', () => {
+  const createPlugin = (options, appSyncOffline = {}) =>
+    new ServerlessAppSyncPlugin(
+      {
+        config: { servicePath: '/service' },
+        service: { custom: { appSyncOffline } },
+        cli: { log: () => {} },
+      },
+      options,
+    );
+
+  it('declares --watch for appsync-offline and offline start', () => {
+    const { commands } = createPlugin({});
+    expect(commands['appsync-offline'].commands.start.options.watch).toMatchObject({
+      type: 'boolean',
+    });
+    expect(commands.offline.commands.start.options.watch).toMatchObject({
+      type: 'boolean',
+    });
+  });
+
+  it('watches with --watch or the watch setting', () => {
+    const watchOf = (options, appSyncOffline) => {
+      const plugin = createPlugin(options, appSyncOffline);
+      plugin._setOptions();
+      return Boolean(plugin.options.watch);
+    };
+
+    expect(watchOf({})).toBe(false);
+    expect(watchOf({ watch: true })).toBe(true);
+    expect(watchOf({}, { watch: true })).toBe(true);
+  });
+
+  it('sends search requests to the endpoint of their data source', async () => {
+    const plugin = createPlugin({});
+    plugin._setOptions();
+    const searchSource = (name, endpoint) => ({
+      type: 'AMAZON_OPENSEARCH_SERVICE',
+      name,
+      config: { endpoint },
+    });
+    const searchTemplate = (field, dataSource) => ({
+      dataSource,
+      type: 'Query',
+      field,
+      request: 'es-request.txt',
+      response: 'es-response.txt',
+    });
+    const { schema } = await createSchema({
+      dynamodb: {},
+      dynamodbTables: {},
+      elastic: plugin.options.elastic || {},
+      graphqlSchema: wrapSchema(`
+        type Post { id: ID }
+        type Query { posts(text: String): [Post], comments(text: String): [Post] }
+      `),
+      serverlessDirectory: `${__dirname}/example`,
+      serverlessConfig: {
+        custom: {
+          appSync: {
+            mappingTemplates: [
+              searchTemplate('posts', 'Posts'),
+              searchTemplate('comments', 'Comments'),
+            ],
+            dataSources: [
+              searchSource('Posts', 'http://posts:9200'),
+              searchSource('Comments', 'http://comments:9200'),
+            ],
+          },
+        },
+      },
+      pubsub: new PubSub(),
+    });
+
+    await graphql({
+      schema,
+      contextValue: { jwt: {} },
+      source: '{ posts(text: "a") { id } comments(text: "b") { id } }',
+    });
+    expect(httpSource.mock.calls.map(([endpoint]) => endpoint)).toEqual([
+      'http://posts:9200',
+      'http://comments:9200',
+    ]);
+  });
+});
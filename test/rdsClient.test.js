@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { graphql } = require('graphql');
+const { PubSub } = require('graphql-subscriptions');
+const { getClient, getConnectionString, closeClients } = require('../lib/rdsClient');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+const { collectErrors } = require('../lib/errors');
+
+describe('rdsClient', () => {
+  it('defaults to an in-memory SQLite database', () => {
+    expect(getConnectionString(undefined, 'Pets')).toBe('sqlite::memory:');
+    expect(
+      getConnectionString(
+        {
+          connectionString: 'sqlite:./pets.sqlite',
+          dataSources: { Other: 'postgres://localhost/other' },
+        },
+        'Pets',
+      ),
+    ).toBe('sqlite:./pets.sqlite');
+  });
+
+  it('rejects unsupported connection strings', () => {
+    expect(() => getClient('oracle://localhost/pets')).toThrow(
+      'Unsupported RDS connection string: oracle://localhost/pets',
+    );
+  });
+
+  describe('with SQLite', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appsync-rds-'));
+    });
+
+    afterAll(async () => {
+      await closeClients();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('runs statements with positional values', async () => {
+      const client = getClient(`sqlite:${path.join(dir, 'pets.sqlite')}`);
+      expect(client.placeholder(1)).toBe('?');
+
+      expect(
+        await client.query(
+          'CREATE TABLE Pets (id INTEGER PRIMARY KEY, name TEXT, vaccinated BOOLEAN)',
+          [],
+        ),
+      ).toEqual({ columns: [], rows: [], changes: 0 });
+      expect(
+        await client.query('INSERT INTO Pets (name, vaccinated) VALUES (?, ?), (?, ?)', [
+          'Rex',
+          true,
+          'Tom',
+          false,
+        ]),
+      ).toEqual({ columns: [], rows: [], changes: 2 });
+      expect(
+        await client.query('SELECT id, name FROM Pets WHERE vaccinated = ?', [true]),
+      ).toEqual({
+        columns: [
+          { name: 'id', typeName: 'INTEGER', tableName: 'Pets' },
+          { name: 'name', typeName: 'TEXT', tableName: 'Pets' },
+        ],
+        rows: [[1, 'Rex']],
+        changes: 0,
+      });
+    });
+
+    it('shares the database of a connection string', async () => {
+      const connectionString = `sqlite:${path.join(dir, 'pets.sqlite')}`;
+      expect(getClient(connectionString)).toBe(getClient(connectionString));
+      expect(fs.existsSync(path.join(dir, 'pets.sqlite'))).toBe(true);
+    });
+
+    it('closes the clients', async () => {
+      const connectionString = `sqlite:${path.join(dir, 'closed.sqlite')}`;
+      const client = getClient(connectionString);
+      await closeClients();
+
+      expect(() => client.query('SELECT 1', [])).toThrow(
+        'The database connection is not open',
+      );
+      expect(getClient(connectionString)).not.toBe(client);
+    });
+
+    it('backs RELATIONAL_DATABASE data sources', async () => {
+      const rds = { connectionString: 'sqlite::memory:' };
+      await getClient(rds.connectionString).query(
+        'CREATE TABLE Pets (id INTEGER PRIMARY KEY, name TEXT, vaccinated BOOLEAN)',
+        [],
+      );
+      const { schema } = await createSchema({
+        dynamodb: {},
+        dynamodbTables: {},
+        rds,
+        graphqlSchema: wrapSchema(`
+          type Pet { id: Int, name: String, vaccinated: Boolean }
+          type Query { pet: Pet }
+          type Mutation { addPet(name: String, vaccinated: Boolean): Pet }
+        `),
+        serverlessDirectory: `${__dirname}/example`,
+        serverlessConfig: {
+          custom: {
+            appSync: {
+              mappingTemplates: [
+                {
+                  dataSource: 'Pets',
+                  type: 'Mutation',
+                  field: 'addPet',
+                  request: 'rds-pets-request.vtl',
+                  response: 'rds-pets-response.vtl',
+                },
+              ],
+              dataSources: [{ type: 'RELATIONAL_DATABASE', name: 'Pets' }],
+            },
+          },
+        },
+        pubsub: new PubSub(),
+      });
+
+      const contextValue = { jwt: {} };
+      const { data } = await graphql({
+        schema,
+        contextValue,
+        source: 'mutation { addPet(name: "Rex", vaccinated: true) { id name vaccinated } }',
+      });
+      expect(collectErrors(contextValue)).toEqual([]);
+      expect(data).toEqual({
+        addPet: { id: 1, name: 'Rex', vaccinated: true },
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/* global BigInt */
+const rdsSource = require('../lib/rdsSource');
+
+describe('rdsSource', () => {
+  // a client of the rdsClient interface recording what it runs.
+  const createClient = (results) => {
+    const calls = [];
+    return {
+      calls,
+      placeholder: (index) => `$${index}`,
+      query: async (sql, values) => {
+        calls.push([sql, values]);
+        return results.shift();
+      },
+    };
+  };
+
+  it('runs statements with the variables of the request', async () => {
+    const client = createClient([
+      { columns: [], rows: [], changes: 1 },
+      {
+        columns: [
+          { name: 'id', typeName: 'INTEGER', tableName: 'Pets' },
+          { name: 'name', typeName: 'TEXT', tableName: 'Pets' },
+          { name: 'born', typeName: 'DATETIME', tableName: 'Pets' },
+        ],
+        rows: [[1, 'Rex', new Date(Date.UTC(2020, 0, 2, 3, 4, 5))]],
+        changes: 0,
+      },
+    ]);
+
+    const result = await rdsSource(client, {
+      version: '2018-05-29',
+      statements: [
+        "INSERT INTO Pets (name, tags, note) VALUES (:NAME, :TAGS, ':NAME')",
+        'SELECT id, name, born::text FROM Pets WHERE name = :NAME AND id > :MISSING',
+      ],
+      variableMap: { ':NAME': 'Rex', ':TAGS': ['dog'] },
+    });
+
+    expect(client.calls).toEqual([
+      [
+        "INSERT INTO Pets (name, tags, note) VALUES ($1, $2, ':NAME')",
+        ['Rex', '["dog"]'],
+      ],
+      [
+        'SELECT id, name, born::text FROM Pets WHERE name = $1 AND id > :MISSING',
+        ['Rex'],
+      ],
+    ]);
+    expect(JSON.parse(result)).toEqual({
+      sqlStatementResults: [
+        { numberOfRecordsUpdated: 1, records: [], columnMetadata: [] },
+        {
+          numberOfRecordsUpdated: 0,
+          records: [
+            [
+              { longValue: 1 },
+              { stringValue: 'Rex' },
+              { stringValue: '2020-01-02 03:04:05' },
+            ],
+          ],
+          columnMetadata: [
+            { name: 'id', label: 'id', typeName: 'INTEGER', tableName: 'Pets' },
+            { name: 'name', label: 'name', typeName: 'TEXT', tableName: 'Pets' },
+            {
+              name: 'born',
+              label: 'born',
+              typeName: 'DATETIME',
+              tableName: 'Pets',
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('converts column values to Data API fields', async () => {
+    const client = createClient([
+      {
+        columns: ['a', 'b', 'c', 'd', 'e', 'f'].map((name) => ({ name })),
+        rows: [[null, true, 1.5, BigInt(2), Buffer.from('hi'), { a: 1 }]],
+        changes: 0,
+      },
+    ]);
+
+    const result = await rdsSource(client, { statements: ['SELECT 1'] });
+
+    expect(JSON.parse(result).sqlStatementResults[0].records).toEqual([
+      [
+        { isNull: true },
+        { booleanValue: true },
+        { doubleValue: 1.5 },
+        { longValue: 2 },
+        { blobValue: 'aGk=' },
+        { stringValue: '{"a":1}' },
+      ],
+    ]);
+  });
+
+  it('runs one or two statements', async () => {
+    await expect(rdsSource(createClient([]), { statements: [] })).rejects.toThrow(
+      'statements must be a list of 1 to 2 SQL statements',
+    );
+    await expect(
+      rdsSource(createClient([]), { statements: ['a', 'b', 'c'] }),
+    ).rejects.toThrow('statements must be a list of 1 to 2 SQL statements');
+  });
+});
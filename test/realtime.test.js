@@ -0,0 +1,183 @@
+const fetch = require('node-fetch');
+const e2p = require('event-to-promise');
+const WebSocket = require('ws');
+const { PubSub } = require('graphql-subscriptions');
+const { createSchema } = require('../lib/schema');
+const { wrapSchema } = require('../lib/schemaWrapper');
+const { getAuthConfig } = require('../lib/auth');
+const createServerCore = require('../lib/serverCore');
+
+describe('realtime subscriptions', () => {
+  const headers = { 'x-api-key': 'test-key' };
+  let server;
+  let sockets;
+
+  beforeEach(async () => {
+    const pubsub = new PubSub();
+    const { schema, subscriptions } = await createSchema({
+      dynamodb: {},
+      dynamodbTables: {},
+      graphqlSchema: wrapSchema(`
+        type Quote { commodity: String, amount: Int }
+        type Query { quote: Quote }
+        type Mutation { putQuote(commodity: String, amount: Int): Quote }
+        type Subscription {
+          onPutQuote(commodity: String): Quote
+            @aws_subscribe(mutations: ["putQuote"])
+          onLargeQuote: Quote @aws_subscribe(mutations: ["putQuote"])
+        }
+      `),
+      serverlessDirectory: `${__dirname}/example`,
+      serverlessConfig: {
+        custom: {
+          appSync: {
+            authenticationType: 'API_KEY',
+            mappingTemplates: [
+              {
+                dataSource: 'Passthrough',
+                type: 'Mutation',
+                field: 'putQuote',
+                request: 'subscribePassthrough-request.txt',
+                response: 'result-response.txt',
+              },
+              {
+                dataSource: 'Passthrough',
+                type: 'Subscription',
+                field: 'onPutQuote',
+                request: 'subscribePassthrough-request.txt',
+                response: 'result-response.txt',
+              },
+              {
+                dataSource: 'Passthrough',
+                type: 'Subscription',
+                field: 'onLargeQuote',
+                request: 'subscription-filter-request.vtl',
+                response: 'result-response.txt',
+              },
+            ],
+            dataSources: [{ type: 'NONE', name: 'Passthrough' }],
+          },
+        },
+      },
+      pubsub,
+    });
+    sockets = [];
+    server = await createServerCore({
+      pubsub,
+      schema,
+      subscriptions,
+      authConfig: getAuthConfig({ authenticationType: 'API_KEY' }),
+    });
+  });
+
+  afterEach((done) => {
+    sockets.forEach((socket) => socket.terminate());
+    server.server.close(() => done());
+  });
+
+  // the messages received on a socket, in order.
+  const connect = (header) => {
+    const socket = new WebSocket(
+      `${server.realtimeURL}?header=${Buffer.from(
+        JSON.stringify(header),
+      ).toString('base64')}&payload=e30=`,
+      'graphql-ws',
+    );
+    sockets.push(socket);
+    const received = [];
+    const waiting = [];
+    socket.on('message', (data) => {
+      received.push(JSON.parse(data));
+      while (waiting.length && received.length) waiting.shift()(received.shift());
+    });
+    const next = () =>
+      new Promise((resolve) => {
+        if (received.length) resolve(received.shift());
+        else waiting.push(resolve);
+      });
+    const send = (message) => socket.send(JSON.stringify(message));
+    return { socket, next, send };
+  };
+
+  const start = (id, query, variables = {}) => ({
+    id,
+    type: 'start',
+    payload: {
+      data: JSON.stringify({ query, variables }),
+      extensions: { authorization: headers },
+    },
+  });
+
+  const putQuote = (commodity, amount) =>
+    fetch(server.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({
+        query: `mutation {
+          putQuote(commodity: "${commodity}", amount: ${amount}) { commodity amount }
+        }`,
+      }),
+    }).then((res) => res.json());
+
+  it('runs the protocol and filters what each subscription receives', async () => {
+    const { socket, next, send } = connect(headers);
+    await e2p(socket, 'open');
+
+    send({ type: 'connection_init' });
+    expect(await next()).toEqual({
+      type: 'connection_ack',
+      payload: { connectionTimeoutMs: 300000 },
+    });
+    expect(await next()).toEqual({ type: 'ka' });
+
+    const onPutQuote = `subscription ($commodity: String) {
+      onPutQuote(commodity: $commodity) { commodity amount }
+    }`;
+    send(start('corn', onPutQuote, { commodity: 'corn' }));
+    expect(await next()).toEqual({ type: 'start_ack', id: 'corn' });
+    send(start('wheat', onPutQuote, { commodity: 'wheat' }));
+    expect(await next()).toEqual({ type: 'start_ack', id: 'wheat' });
+    send(start('large', 'subscription { onLargeQuote { commodity amount } }'));
+    expect(await next()).toEqual({ type: 'start_ack', id: 'large' });
+
+    expect(await putQuote('wheat', 10)).toEqual({
+      data: { putQuote: { commodity: 'wheat', amount: 10 } },
+    });
+    expect(await next()).toEqual({
+      type: 'data',
+      id: 'wheat',
+      payload: { data: { onPutQuote: { commodity: 'wheat', amount: 10 } } },
+    });
+
+    await putQuote('corn', 100);
+    expect([await next(), await next()].sort((a, b) => a.id.localeCompare(b.id))).toEqual([
+      {
+        type: 'data',
+        id: 'corn',
+        payload: { data: { onPutQuote: { commodity: 'corn', amount: 100 } } },
+      },
+      {
+        type: 'data',
+        id: 'large',
+        payload: { data: { onLargeQuote: { commodity: 'corn', amount: 100 } } },
+      },
+    ]);
+
+    send({ id: 'corn', type: 'stop' });
+    expect(await next()).toEqual({ type: 'complete', id: 'corn' });
+    await putQuote('corn', 5);
+    await putQuote('wheat', 60);
+    expect([await next(), await next()].map(({ id }) => id).sort()).toEqual([
+      'large',
+      'wheat',
+    ]);
+  });
+
+  it('rejects connections without credentials', async () => {
+    const { next } = connect({});
+    expect(await next()).toMatchObject({
+      type: 'connection_error',
+      payload: { errors: [{ errorType: 'UnauthorizedException' }] },
+    });
+  });
+});
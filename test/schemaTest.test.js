@@ -389,13 +389,14 @@ describe('creates executable schema', () => {
         }
       `,
     });
-    // we can assert the same thing as we always use the same user.
     expect(output).toMatchObject({
       data: {
-        beforeTemplateMessage: 'this message come from before template',
-        firstFunctionMessage: 'this message come from first function',
-        secondFunctionMessage: 'this message come from second function',
-        afterTemplateMessage: 'After template message',
+        getPipelinePlayground: {
+          beforeTemplateMessage: 'this message come from before template',
+          firstFunctionMessage: 'this message come from first function',
+          secondFunctionMessage: 'this message come from second function',
+          afterTemplateMessage: 'After template message',
+        },
       },
     });
   });
@@ -0,0 +1,174 @@
+const { createSearchEngine } = require('../lib/searchEngine');
+const { createSearchStream } = require('../lib/searchStream');
+const elasticsearchSource = require('../lib/elasticsearchSource');
+
+describe('searchEngine', () => {
+  const posts = [
+    { id: '1', title: 'Hello World', author: { name: 'ann' }, votes: 5, tags: ['news'] },
+    { id: '2', title: 'Hello again', author: { name: 'bob' }, votes: 2, tags: ['news', 'tech'] },
+    { id: '3', title: 'Goodbye World', author: { name: 'ann' }, votes: 9, tags: ['tech'] },
+  ];
+  let searchEngine;
+  const send = (operation, path, body) =>
+    elasticsearchSource(
+      'http://localhost:9200',
+      { operation, path, params: { body } },
+      { searchEngine },
+    );
+  const search = async (body) =>
+    (await send('GET', '/post/_search', body)).hits.hits.map(({ _id }) => _id);
+
+  beforeEach(() => {
+    searchEngine = createSearchEngine();
+    posts.forEach((post) => searchEngine.index('post', post.id, post));
+  });
+
+  it('indexes, gets and deletes documents', async () => {
+    expect(await send('PUT', '/post/_doc/4', { title: 'New' })).toMatchObject({
+      _id: '4',
+      _version: 1,
+      result: 'created',
+    });
+    expect(await send('PUT', '/post/_doc/4', { title: 'Newer' })).toMatchObject({
+      _version: 2,
+      result: 'updated',
+    });
+    expect(await send('GET', '/post/_doc/4')).toEqual({
+      _index: 'post',
+      _type: '_doc',
+      _id: '4',
+      _version: 2,
+      found: true,
+      _source: { title: 'Newer' },
+    });
+    expect(await send('DELETE', '/post/_doc/4')).toMatchObject({ result: 'deleted' });
+    await expect(send('GET', '/post/_doc/4')).rejects.toMatchObject({
+      errorType: 'Elasticsearch:HTTP404',
+      result: { found: false },
+    });
+    const { _id: id } = await send('POST', '/post/_doc', { title: 'Auto' });
+    expect((await send('GET', `/post/_doc/${id}`))._source).toEqual({ title: 'Auto' });
+  });
+
+  it.each([
+    ['PUT', { title: 'Auto' }],
+    ['GET', undefined],
+    ['DELETE', undefined],
+  ])('only generates ids on POST, not %s', async (method, body) => {
+    await expect(send(method, '/post/_doc', body)).rejects.toMatchObject({
+      errorType: 'Elasticsearch:method_not_allowed',
+      message: `Incorrect HTTP method for uri [/post/_doc] and method [${method}], allowed: [POST]`,
+    });
+    expect(await search({ sort: ['id'] })).toEqual(['1', '2', '3']);
+  });
+
+  it.each([
+    [{ match_all: {} }, ['1', '2', '3']],
+    [{ match: { title: 'world hello' } }, ['1', '2', '3']],
+    [{ match: { title: { query: 'world hello', operator: 'and' } } }, ['1']],
+    [{ match_phrase: { title: 'hello world' } }, ['1']],
+    [{ term: { 'author.name.keyword': 'ann' } }, ['1', '3']],
+    [{ terms: { tags: ['tech'] } }, ['2', '3']],
+    [{ range: { votes: { gt: 2, lte: 9 } } }, ['1', '3']],
+    [{ prefix: { title: 'Good' } }, ['3']],
+    [
+      {
+        bool: {
+          must: [{ match: { title: 'hello' } }],
+          filter: { term: { tags: 'news' } },
+          must_not: [{ term: { 'author.name': 'bob' } }],
+        },
+      },
+      ['1'],
+    ],
+    [
+      {
+        bool: {
+          should: [{ term: { tags: 'tech' } }, { range: { votes: { gte: 5 } } }],
+          minimum_should_match: 2,
+        },
+      },
+      ['3'],
+    ],
+  ])('searches %j', async (query, ids) => {
+    expect((await search({ query, sort: ['id'] }))).toEqual(ids);
+  });
+
+  it('sorts by score and pages results', async () => {
+    expect(await search({ query: { match: { title: 'hello world' } } })).toEqual(['1', '2', '3']);
+    expect(await search({ sort: [{ votes: { order: 'desc' } }], from: 1, size: 1 })).toEqual(['1']);
+    expect(await send('POST', '/post/_search', { sort: [{ votes: 'asc' }], size: 1 })).toMatchObject({
+      hits: {
+        total: { value: 3, relation: 'eq' },
+        hits: [{ _id: '2', _source: posts[1], sort: [2] }],
+      },
+    });
+  });
+
+  it('aggregates matching documents', async () => {
+    const { aggregations } = await send('GET', '/post/_search', {
+      size: 0,
+      query: { range: { votes: { gte: 5 } } },
+      aggs: {
+        authors: {
+          terms: { field: 'author.name.keyword' },
+          aggs: { votes: { sum: { field: 'votes' } } },
+        },
+        average: { avg: { field: 'votes' } },
+        tags: { cardinality: { field: 'tags' } },
+      },
+    });
+    expect(aggregations).toEqual({
+      authors: {
+        doc_count_error_upper_bound: 0,
+        sum_other_doc_count: 0,
+        buckets: [{ key: 'ann', doc_count: 2, votes: { value: 14 } }],
+      },
+      average: { value: 7 },
+      tags: { value: 2 },
+    });
+  });
+
+  it('fails like a domain', async () => {
+    await expect(send('GET', '/missing/_search', { query: { match_all: {} } })).rejects.toMatchObject({
+      message: 'no such index [missing]',
+      errorType: 'Elasticsearch:index_not_found_exception',
+    });
+    await expect(search({ query: { fuzzy: { title: 'helo' } } })).rejects.toMatchObject({
+      errorType: 'Elasticsearch:parsing_exception',
+    });
+  });
+
+  it('indexes the items written to streamed tables', async () => {
+    const items = { '1': { id: { S: '1' }, title: { S: 'Hi' }, tags: { SS: ['a'] } } };
+    const dynamodb = {
+      describeTable: () => ({
+        promise: async () => ({ Table: { KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }] } }),
+      }),
+      getItem: ({ Key }) => ({ promise: async () => ({ Item: items[Key.id.S] }) }),
+    };
+    const searchStream = createSearchStream({
+      dynamodb,
+      dynamodbTables: { PostTable: 'post-table', Other: 'other-table' },
+      searchEngine,
+      streams: [{ table: 'PostTable', index: 'post' }],
+    });
+
+    await searchStream('PostTable', { operation: 'PutItem', key: { id: { S: '1' } } });
+    expect((await send('GET', '/post/_doc/1'))._source).toEqual({ id: '1', title: 'Hi', tags: ['a'] });
+
+    await searchStream('Other', {
+      operation: 'TransactWriteItems',
+      transactItems: [
+        { table: 'PostTable', operation: 'DeleteItem', key: { id: { S: '2' } } },
+        { table: 'Other', operation: 'DeleteItem', key: { id: { S: '1' } } },
+      ],
+    });
+    expect(await search({ sort: ['id'] })).toEqual(['1', '3']);
+
+    // versioned data sources flag deleted items instead.
+    items['1'] = { ...items['1'], _deleted: { BOOL: true } };
+    await searchStream('PostTable', { operation: 'DeleteItem', key: { id: { S: '1' } } });
+    expect(await search({ sort: ['id'] })).toEqual(['3']);
+  });
+});
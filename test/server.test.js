@@ -1,7 +1,8 @@
 const fetch = require('node-fetch');
 const e2p = require('event-to-promise');
 const gql = require('graphql-tag');
-const createMQTTClient = require('./lib/mqttClient');
+const WebSocket = require('ws');
+const createMQTTClient = require('./mqttClient');
 const createServer = require('../lib/server');
 const { default: ApolloClient } = require('apollo-boost');
 const dynamodbEmulator = require('@conduitvc/dynamodb-emulator/client');
@@ -103,13 +104,19 @@ describe('subscriptionServer', () => {
 
   let server;
   let url;
+  let realtimeURL;
   beforeEach(async () => {
-    const { url: _url, server: _server } = await createServer({
+    const {
+      url: _url,
+      realtimeURL: _realtimeURL,
+      server: _server,
+    } = await createServer({
       serverless,
       dynamodb,
     });
     server = _server;
     url = _url;
+    realtimeURL = _realtimeURL;
   });
 
   afterEach(done => {
@@ -229,6 +236,97 @@ describe('subscriptionServer', () => {
     });
   });
 
+  it('realtime subscriptions', async () => {
+    const authorization = { Authorization: require('../lib/testJWT').string };
+    const header = Buffer.from(JSON.stringify(authorization)).toString(
+      'base64',
+    );
+    const socket = new WebSocket(
+      `${realtimeURL}?header=${header}&payload=e30=`,
+      'graphql-ws',
+    );
+    const nextMessage = type =>
+      new Promise(resolve => {
+        const onMessage = data => {
+          const message = JSON.parse(data);
+          if (message.type === type) {
+            socket.off('message', onMessage);
+            resolve(message);
+          }
+        };
+        socket.on('message', onMessage);
+      });
+
+    await e2p(socket, 'open');
+    socket.send(JSON.stringify({ type: 'connection_init' }));
+    expect(await nextMessage('connection_ack')).toMatchObject({
+      payload: { connectionTimeoutMs: 300000 },
+    });
+
+    socket.send(
+      JSON.stringify({
+        id: 'sub-1',
+        type: 'start',
+        payload: {
+          data: JSON.stringify({
+            query: `
+            subscription quoteRequest {
+              subscribeToPutQuoteRequest {
+                id
+                commodity
+                amount
+              }
+            }
+            `,
+            variables: {},
+          }),
+          extensions: { authorization },
+        },
+      }),
+    );
+    expect(await nextMessage('start_ack')).toEqual({
+      type: 'start_ack',
+      id: 'sub-1',
+    });
+
+    const dataPromise = nextMessage('data');
+    await mutate(createClient(url));
+    expect(await dataPromise).toMatchObject({
+      id: 'sub-1',
+      payload: {
+        data: {
+          subscribeToPutQuoteRequest: {
+            commodity: 'foo',
+            amount: 100.5,
+          },
+        },
+      },
+    });
+
+    socket.send(JSON.stringify({ id: 'sub-1', type: 'stop' }));
+    expect(await nextMessage('complete')).toEqual({
+      type: 'complete',
+      id: 'sub-1',
+    });
+    socket.close();
+  });
+
+  it('rejects unauthenticated realtime connections', async () => {
+    const header = Buffer.from('{}').toString('base64');
+    const socket = new WebSocket(
+      `${realtimeURL}?header=${header}&payload=e30=`,
+      'graphql-ws',
+    );
+    const [data] = await e2p(socket, 'message', { array: true });
+
+    expect(JSON.parse(data)).toMatchObject({
+      type: 'connection_error',
+      payload: {
+        errors: [{ errorType: 'UnauthorizedException' }],
+      },
+    });
+  });
+
   it('query user details', async () => {
     const client = createClient(url);
     const output = await client.query({
@@ -274,4 +372,42 @@ describe('subscriptionServer', () => {
       },
     });
   });
+
+  it('validates queries', async () => {
+    const output = await request(url, { query: '{ cognitoInfo { nope } }' });
+
+    expect(output).toEqual({
+      data: null,
+      errors: [
+        {
+          path: null,
+          locations: [{ line: 1, column: 17, sourceName: null }],
+          message:
+            'Validation error of type FieldUndefined: Cannot query field "nope" on type "CognitoInfo".',
+          errorType: 'ValidationError',
+        },
+      ],
+    });
+  });
+
+  it('rejects api keys on fields without @aws_api_key', async () => {
+    const output = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': '1234567890',
+      },
+      body: JSON.stringify({ query: '{ cognitoInfo { sub } }' }),
+    }).then(res => res.json());
+
+    expect(output).toMatchObject({
+      errors: [
+        {
+          errorType: 'Unauthorized',
+          message: 'Not Authorized to access cognitoInfo on type Query',
+          path: ['cognitoInfo'],
+        },
+      ],
+    });
+  });
 });
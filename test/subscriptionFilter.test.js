@@ -0,0 +1,148 @@
+const {
+  toSubscriptionFilter,
+  parseSubscriptionFilter,
+  matchesSubscriptionFilter,
+} = require('../lib/subscriptionFilter');
+const { vtl } = require('../lib/vtl');
+const { create: createUtil } = require('../lib/util');
+
+describe('subscriptionFilter', () => {
+  const filter = (fieldName, operator, value) =>
+    parseSubscriptionFilter({
+      filterGroup: [{ filters: [{ fieldName, operator, value }] }],
+    });
+
+  const matches = (fieldName, operator, value, payload) =>
+    matchesSubscriptionFilter(filter(fieldName, operator, value), payload);
+
+  describe('operators', () => {
+    const payload = {
+      name: 'wheat',
+      amount: 100,
+      tags: ['grain', 'bulk'],
+      owner: { tenant: 'acme' },
+    };
+
+    it.each([
+      ['name', 'eq', 'wheat', true],
+      ['name', 'ne', 'wheat', false],
+      ['amount', 'le', 100, true],
+      ['amount', 'lt', 100, false],
+      ['amount', 'ge', 101, false],
+      ['amount', 'gt', 99, true],
+      ['name', 'contains', 'hea', true],
+      ['tags', 'contains', 'bulk', true],
+      ['tags', 'notContains', 'bulk', false],
+      ['name', 'beginsWith', 'wh', true],
+      ['name', 'in', ['corn', 'wheat'], true],
+      ['name', 'notIn', ['corn', 'wheat'], false],
+      ['amount', 'between', [50, 100], true],
+      ['amount', 'between', [101, 200], false],
+      ['owner.tenant', 'eq', 'acme', true],
+      ['owner.missing.value', 'eq', 'acme', false],
+    ])('%s %s %j is %s', (fieldName, operator, value, expected) => {
+      expect(matches(fieldName, operator, value, payload)).toBe(expected);
+    });
+  });
+
+  it('requires all filters of any filter group to match', () => {
+    const groups = parseSubscriptionFilter({
+      filterGroup: [
+        {
+          filters: [
+            { fieldName: 'name', operator: 'eq', value: 'wheat' },
+            { fieldName: 'amount', operator: 'gt', value: 10 },
+          ],
+        },
+        { filters: [{ fieldName: 'urgent', operator: 'eq', value: true }] },
+      ],
+    });
+
+    expect(
+      matchesSubscriptionFilter(groups, { name: 'wheat', amount: 20 }),
+    ).toBe(true);
+    expect(matchesSubscriptionFilter(groups, { name: 'wheat', amount: 5 })).toBe(
+      false,
+    );
+    expect(matchesSubscriptionFilter(groups, { urgent: true })).toBe(true);
+  });
+
+  it('rejects unknown operators', () => {
+    expect(() => filter('name', 'like', 'x')).toThrow(
+      'Unsupported subscription filter operator: like',
+    );
+    expect(() => filter('name', 'in', 'x')).toThrow(
+      'Subscription filter operator in requires a list',
+    );
+  });
+
+  describe('toSubscriptionFilter', () => {
+    it('expands nested fields and or groups', () => {
+      expect(
+        toSubscriptionFilter({
+          owner: { tenant: { eq: 'acme' } },
+          or: [{ amount: { gt: 100 } }, { urgent: { eq: true } }],
+        }),
+      ).toEqual({
+        filterGroup: [
+          {
+            filters: [
+              { fieldName: 'owner.tenant', operator: 'eq', value: 'acme' },
+              { fieldName: 'amount', operator: 'gt', value: 100 },
+            ],
+          },
+          {
+            filters: [
+              { fieldName: 'owner.tenant', operator: 'eq', value: 'acme' },
+              { fieldName: 'urgent', operator: 'eq', value: true },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('supports ignored fields and rules', () => {
+      expect(
+        toSubscriptionFilter(
+          { name: { eq: 'wheat' }, id: { eq: '1' } },
+          ['id'],
+          { amount: { gt: 100 }, urgent: { eq: true } },
+        ),
+      ).toEqual({
+        filterGroup: [
+          {
+            filters: [
+              { fieldName: 'name', operator: 'eq', value: 'wheat' },
+              { fieldName: 'amount', operator: 'gt', value: 100 },
+            ],
+          },
+          {
+            filters: [
+              { fieldName: 'name', operator: 'eq', value: 'wheat' },
+              { fieldName: 'urgent', operator: 'eq', value: true },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('is available as $util.transform.toSubscriptionFilter', () => {
+      const util = createUtil();
+      const output = vtl(
+        `
+        #set($filter = { "tenant": { "eq": $ctx.args.tenant } })
+        $util.toJson($util.transform.toSubscriptionFilter($filter))
+      `,
+        { util, ctx: { args: { tenant: 'acme' } } },
+      );
+
+      expect(JSON.parse(output)).toEqual({
+        filterGroup: [
+          {
+            filters: [{ fieldName: 'tenant', operator: 'eq', value: 'acme' }],
+          },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const {
+  toDynamoDBExpression,
+  toElasticsearchQueryDSL,
+} = require('../lib/transform');
+const { create: createUtil } = require('../lib/util');
+const { vtl } = require('../lib/vtl');
+
+describe('transform', () => {
+  const dynamodb = filter => JSON.parse(toDynamoDBExpression(filter));
+  const elasticsearch = filter => JSON.parse(toElasticsearchQueryDSL(filter));
+
+  describe('toDynamoDBExpression', () => {
+    it('converts a single condition', () => {
+      expect(dynamodb({ title: { contains: 'Hello World' } })).toEqual({
+        expression: 'contains(#title, :title_contains)',
+        expressionNames: { '#title': 'title' },
+        expressionValues: { ':title_contains': { S: 'Hello World' } },
+      });
+    });
+
+    it.each([
+      [{ age: { eq: 1 } }, '#age = :age_eq'],
+      [{ age: { ne: 1 } }, '#age <> :age_ne'],
+      [{ age: { lt: 1 } }, '#age < :age_lt'],
+      [{ age: { le: 1 } }, '#age <= :age_le'],
+      [{ age: { gt: 1 } }, '#age > :age_gt'],
+      [{ age: { ge: 1 } }, '#age >= :age_ge'],
+      [
+        { age: { between: [1, 2] } },
+        '#age BETWEEN :age_between_0 AND :age_between_1',
+      ],
+      [{ age: { notContains: 1 } }, 'NOT contains(#age, :age_notContains)'],
+      [{ age: { beginsWith: 1 } }, 'begins_with(#age, :age_beginsWith)'],
+      [{ age: { attributeExists: true } }, 'attribute_exists(#age)'],
+      [{ age: { attributeExists: false } }, 'attribute_not_exists(#age)'],
+      [
+        { age: { attributeType: 'N' } },
+        'attribute_type(#age, :age_attributeType)',
+      ],
+      [{ age: { size: { gt: 1 } } }, 'size(#age) > :age_size_gt'],
+    ])('converts %j', (filter, expression) => {
+      expect(dynamodb(filter).expression).toBe(expression);
+    });
+
+    it('combines and, or and not', () => {
+      expect(
+        dynamodb({
+          title: { beginsWith: 'Hello', ne: 'Hello World' },
+          or: [{ upvotes: { gt: 10 } }, { not: { downvotes: { ge: 5 } } }],
+        }),
+      ).toEqual({
+        expression:
+          '(begins_with(#title, :title_beginsWith) AND #title <> :title_ne) AND (#upvotes > :or_0_upvotes_gt OR NOT #downvotes >= :or_1_not_downvotes_ge)',
+        expressionNames: {
+          '#title': 'title',
+          '#upvotes': 'upvotes',
+          '#downvotes': 'downvotes',
+        },
+        expressionValues: {
+          ':title_beginsWith': { S: 'Hello' },
+          ':title_ne': { S: 'Hello World' },
+          ':or_0_upvotes_gt': { N: '10' },
+          ':or_1_not_downvotes_ge': { N: '5' },
+        },
+      });
+    });
+
+    it('joins a map of conditions with its operator', () => {
+      expect(
+        dynamodb({
+          or: { upvotes: { gt: 10 }, downvotes: { lt: 5 } },
+        }),
+      ).toEqual({
+        expression: '(#upvotes > :or_upvotes_gt OR #downvotes < :or_downvotes_lt)',
+        expressionNames: { '#upvotes': 'upvotes', '#downvotes': 'downvotes' },
+        expressionValues: {
+          ':or_upvotes_gt': { N: '10' },
+          ':or_downvotes_lt': { N: '5' },
+        },
+      });
+    });
+
+    it('rejects unknown operators', () => {
+      expect(() => dynamodb({ title: { like: 'a' } })).toThrow(
+        'Unsupported filter operator like on title',
+      );
+    });
+  });
+
+  describe('toElasticsearchQueryDSL', () => {
+    it('converts filters like AppSync', () => {
+      expect(
+        elasticsearch({
+          upvotes: { ne: 15, range: [10, 20] },
+          title: { eq: 'hihihi', wildcard: 'h*i' },
+        }),
+      ).toEqual({
+        bool: {
+          must: [
+            {
+              bool: {
+                must: [
+                  { bool: { must_not: { term: { upvotes: 15 } } } },
+                  { range: { upvotes: { gte: 10, lte: 20 } } },
+                ],
+              },
+            },
+            {
+              bool: {
+                must: [
+                  { term: { title: 'hihihi' } },
+                  { wildcard: { title: 'h*i' } },
+                ],
+              },
+            },
+          ],
+        },
+      });
+    });
+
+    it('combines and, or and not', () => {
+      expect(
+        elasticsearch({
+          or: [
+            { title: { matchPhrase: 'hello' } },
+            { not: { author: { exists: true } } },
+          ],
+        }),
+      ).toEqual({
+        bool: {
+          should: [
+            { match_phrase: { title: 'hello' } },
+            { bool: { must_not: { exists: { field: 'author' } } } },
+          ],
+        },
+      });
+    });
+  });
+
+  it('is available as $util.transform', () => {
+    const util = createUtil();
+    const output = vtl(
+      `
+      #set($filter = { "title": { "eq": $ctx.args.title } })
+      {
+        "filter": $util.transform.toDynamoDBFilterExpression($filter),
+        "condition": $util.transform.toDynamoDBConditionExpression({ "id": { "attributeExists": false } }),
+        "query": $util.transform.toElasticsearchQueryDSL($filter)
+      }
+    `,
+      { util, ctx: { args: { title: 'hello' } } },
+    );
+
+    expect(JSON.parse(output)).toEqual({
+      filter: {
+        expression: '#title = :title_eq',
+        expressionNames: { '#title': 'title' },
+        expressionValues: { ':title_eq': { S: 'hello' } },
+      },
+      condition: {
+        expression: 'attribute_not_exists(#id)',
+        expressionNames: { '#id': 'id' },
+        expressionValues: {},
+      },
+      query: { term: { title: 'hello' } },
+    });
+  });
+});
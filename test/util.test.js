@@ -5,10 +5,10 @@ const {
   CustomTemplateException,
   getAppSyncConfig,
 } = require('../lib/util');
-const { javaify } = require('../lib/vtl');
+const { javaify, vtl } = require('../lib/vtl');
 
 describe('util', () => {
-  const now = new Date(2010, 1, 1);
+  const now = new Date(Date.UTC(2010, 1, 1));
   let util;
   beforeEach(() => (util = create([], now)));
 
@@ -94,8 +94,219 @@ describe('util', () => {
 
     it('nowFormatted', () => {
       expect(util.time.nowFormatted('yyyy-MM-dd HH:mm:ss')).toBe(
-        '2010-00-01 00:02:00',
+        '2010-02-01 00:00:00',
       );
+      expect(
+        util.time.nowFormatted('yyyy-MM-dd HH:mm:ssZ', 'Australia/Perth'),
+      ).toBe('2010-02-01 08:00:00+0800');
+    });
+
+    describe('like the AppSync examples', () => {
+      const stamp = 1517943695758;
+
+      it('parseFormattedToEpochMilliSeconds', () => {
+        expect(
+          util.time.parseFormattedToEpochMilliSeconds(
+            '2018-02-01 17:21:05.180+0800',
+            'yyyy-MM-dd HH:mm:ss.SSSZ',
+          ),
+        ).toBe(1517476865180);
+        expect(
+          util.time.parseFormattedToEpochMilliSeconds(
+            '2018-02-01 17:21:05',
+            'yyyy-MM-dd HH:mm:ss',
+            '+08:00',
+          ),
+        ).toBe(1517476865000);
+      });
+
+      it('parseISO8601ToEpochMilliSeconds', () => {
+        expect(
+          util.time.parseISO8601ToEpochMilliSeconds(
+            '2018-02-01T17:21:05.180+08:00',
+          ),
+        ).toBe(1517476865180);
+        expect(
+          util.time.parseISO8601ToEpochMilliSeconds('2018-02-01T09:21:05.180'),
+        ).toBe(1517476865180);
+      });
+
+      it('epochMilliSecondsToSeconds / epochMilliSecondsToISO8601', () => {
+        expect(util.time.epochMilliSecondsToSeconds(stamp)).toBe(1517943695);
+        expect(util.time.epochMilliSecondsToISO8601(stamp)).toBe(
+          '2018-02-06T19:01:35.758Z',
+        );
+      });
+
+      it('epochMilliSecondsToFormatted', () => {
+        expect(
+          util.time.epochMilliSecondsToFormatted(stamp, 'yyyy-MM-dd HH:mm:ssZ'),
+        ).toBe('2018-02-06 19:01:35+0000');
+        expect(
+          util.time.epochMilliSecondsToFormatted(
+            stamp,
+            'yyyy-MM-dd HH:mm:ssZ',
+            'Australia/Perth',
+          ),
+        ).toBe('2018-02-07 03:01:35+0800');
+      });
+    });
+
+    it('converts Java date patterns', () => {
+      expect(
+        util.time.epochMilliSecondsToFormatted(
+          1517943695758,
+          "EEE, d MMM yy h:mm:ss.SSS a '(week''s) 'XXX VV",
+          'America/New_York',
+        ),
+      ).toBe("Tue, 6 Feb 18 2:01:35.758 PM (week's) -05:00 America/New_York");
+      expect(
+        util.time.parseFormattedToEpochMilliSeconds(
+          '06/Feb/2018:02:01:35 PM',
+          'dd/MMM/yyyy:hh:mm:ss a',
+          'America/New_York',
+        ),
+      ).toBe(1517943695000);
+    });
+
+    it('handles daylight saving time', () => {
+      const summer = Date.UTC(2021, 6, 1, 12);
+      expect(
+        util.time.epochMilliSecondsToFormatted(
+          summer,
+          'HH:mm z',
+          'America/New_York',
+        ),
+      ).toBe('08:00 EDT');
+      expect(
+        util.time.parseFormattedToEpochMilliSeconds(
+          '2021-07-01 08:00',
+          'yyyy-MM-dd HH:mm',
+          'America/New_York',
+        ),
+      ).toBe(summer);
+    });
+
+    it('rejects unknown timezones and unparsable times', () => {
+      expect(() => util.time.nowFormatted('yyyy', 'Mars/Olympus')).toThrow(
+        'Invalid timezone: Mars/Olympus',
+      );
+      expect(() =>
+        util.time.parseFormattedToEpochMilliSeconds('2018', 'yyyy-MM-dd'),
+      ).toThrow("Text '2018' could not be parsed");
+    });
+  });
+
+  describe('.str', () => {
+    it('toUpper / toLower', () => {
+      expect(util.str.toUpper('hello World')).toBe('HELLO WORLD');
+      expect(util.str.toLower('hello World')).toBe('hello world');
+    });
+    it('toReplace', () => {
+      expect(util.str.toReplace('hello world hello', 'hello', 'mellow')).toBe(
+        'mellow world mellow',
+      );
+    });
+    it('normalize', () => {
+      expect(util.str.normalize('a\u0303', 'nfc')).toBe('\u00e3');
+      expect(util.str.normalize('\u00e3', 'NFD')).toBe('a\u0303');
+    });
+  });
+
+  describe('.math', () => {
+    it('roundNum / minVal / maxVal', () => {
+      expect(util.math.roundNum(10.2)).toBe(10);
+      expect(util.math.roundNum(10.5)).toBe(11);
+      expect(util.math.minVal(10.2, 11.5)).toBe(10.2);
+      expect(util.math.maxVal(10.2, 11.5)).toBe(11.5);
+    });
+    it('randomDouble / randomWithinRange', () => {
+      const double = util.math.randomDouble();
+      expect(double).toBeGreaterThanOrEqual(0);
+      expect(double).toBeLessThan(1);
+      const values = new Set(
+        Array.from({ length: 100 }, () => util.math.randomWithinRange(1, 3)),
+      );
+      expect(Array.from(values).sort()).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('.xml', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <posts>
+        <post>
+          <id>1</id>
+          <title>Getting started with GraphQL</title>
+        </post>
+        <post>
+          <id>2</id>
+          <title lang="en">Getting started with AppSync</title>
+        </post>
+      </posts>`;
+
+    it('toMap', () => {
+      expect(util.xml.toMap(xml)).toEqual({
+        posts: {
+          post: [
+            { id: 1, title: 'Getting started with GraphQL' },
+            {
+              id: 2,
+              title: { lang: 'en', content: 'Getting started with AppSync' },
+            },
+          ],
+        },
+      });
+    });
+    it('toJsonString', () => {
+      expect(
+        JSON.parse(util.xml.toJsonString('<post><id>1</id></post>')),
+      ).toEqual({ post: { id: 1 } });
+      expect(util.xml.toJsonString('<a>b</a>', true)).toBe('{\n  "a": "b"\n}');
+    });
+    it('rejects invalid XML', () => {
+      expect(() => util.xml.toMap('<a><b></a>')).toThrow('Unable to parse XML');
+    });
+  });
+
+  describe('.rds', () => {
+    const result = JSON.stringify({
+      sqlStatementResults: [
+        {
+          numberOfRecordsUpdated: 0,
+          records: [
+            [{ longValue: 1 }, { stringValue: 'Rex' }, { isNull: true }],
+            [{ longValue: 2 }, { stringValue: 'Tom' }, { booleanValue: true }],
+          ],
+          columnMetadata: [
+            { name: 'id', label: 'id' },
+            { name: 'name', label: 'name' },
+            { name: 'adopted', label: 'adopted' },
+          ],
+        },
+        { numberOfRecordsUpdated: 1, records: [], columnMetadata: [] },
+      ],
+    });
+
+    it('toJsonObject', () => {
+      expect(util.rds.toJsonObject(result)).toEqual([
+        [
+          { id: 1, name: 'Rex', adopted: null },
+          { id: 2, name: 'Tom', adopted: true },
+        ],
+        [],
+      ]);
+    });
+    it('toJsonString', () => {
+      expect(JSON.parse(util.rds.toJsonString(result))).toEqual(
+        util.rds.toJsonObject(result),
+      );
+    });
+    it('reads $ctx.result in templates', () => {
+      const output = vtl(
+        '$util.toJson($util.rds.toJsonObject($ctx.result)[0][1])',
+        { util, ctx: { result: javaify(result) } },
+      );
+      expect(JSON.parse(output)).toEqual({ id: 2, name: 'Tom', adopted: true });
     });
   });
 
@@ -221,6 +432,52 @@ describe('util', () => {
         },
       });
     });
+    describe('S3 objects', () => {
+      it('.toS3Object', () => {
+        expect(util.dynamodb.toS3Object('foo', 'bar', 'baz')).toEqual({
+          S: '{"s3":{"key":"foo","bucket":"bar","region":"baz"}}',
+        });
+        expect(
+          JSON.parse(util.dynamodb.toS3ObjectJson('foo', 'bar', 'baz', 'qux')),
+        ).toEqual({
+          S: '{"s3":{"key":"foo","bucket":"bar","region":"baz","version":"qux"}}',
+        });
+      });
+
+      it.each([
+        ['unversioned', ['foo', 'bar', 'baz'], {}],
+        ['versioned', ['foo', 'bar', 'baz', 'qux'], { version: 'qux' }],
+      ])('round-trips %s objects', (name, args, extra) => {
+        const { S } = util.dynamodb.toS3Object(...args);
+        const expected = { key: 'foo', bucket: 'bar', region: 'baz', ...extra };
+        expect(util.dynamodb.fromS3ObjectJson(S)).toEqual(expected);
+        expect(
+          util.dynamodb.fromS3ObjectJson(util.dynamodb.toS3ObjectJson(...args)),
+        ).toEqual(expected);
+      });
+
+      it('round-trips in templates', () => {
+        const output = vtl(
+          `
+          #set($file = $util.dynamodb.toS3Object($ctx.args.key, "bucket", "us-east-1", $ctx.args.version))
+          $util.toJson($util.dynamodb.fromS3ObjectJson($file.S))
+        `,
+          { util, ctx: { args: { key: 'public/a.png', version: '3' } } },
+        );
+        expect(JSON.parse(output)).toEqual({
+          key: 'public/a.png',
+          bucket: 'bucket',
+          region: 'us-east-1',
+          version: '3',
+        });
+      });
+
+      it('rejects other values', () => {
+        expect(() => util.dynamodb.fromS3ObjectJson('{"key":"foo"}')).toThrow(
+          'Not an S3 object',
+        );
+      });
+    });
   });
 
   describe('getAppSyncConfig', () => {
@@ -0,0 +1,95 @@
+const { makeExecutableSchema } = require('graphql-tools');
+const { parseAndValidate } = require('../lib/validation');
+const { scalars, wrapSchema } = require('../lib/schemaWrapper');
+
+describe('validation', () => {
+  const schema = makeExecutableSchema({
+    typeDefs: wrapSchema(`
+      type Item {
+        id: ID!
+        createdAt: AWSTimestamp
+        ip: AWSIPAddress
+      }
+
+      type Query {
+        item(id: ID!): Item
+        items(since: AWSDateTime, ip: AWSIPAddress, at: AWSTimestamp): [Item]
+      }
+    `),
+    resolvers: scalars,
+  });
+
+  const messages = query =>
+    parseAndValidate(schema, query).errors.map(({ message }) => message);
+
+  it('accepts valid documents', () => {
+    const { documentAST, errors } = parseAndValidate(
+      schema,
+      '{ item(id: "1") { id createdAt ip } }',
+    );
+    expect(documentAST).toHaveProperty('kind', 'Document');
+    expect(errors).toEqual([]);
+  });
+
+  it('formats errors like AppSync', () => {
+    expect(parseAndValidate(schema, '{ item(id: "1") { nope } }')).toEqual({
+      documentAST: expect.anything(),
+      errors: [
+        {
+          path: null,
+          locations: [{ line: 1, column: 19, sourceName: null }],
+          message:
+            'Validation error of type FieldUndefined: Cannot query field "nope" on type "Item".',
+          errorType: 'ValidationError',
+        },
+      ],
+    });
+  });
+
+  it('reports syntax errors', () => {
+    expect(parseAndValidate(schema, '{ item(id: "1") {')).toMatchObject({
+      errors: [
+        {
+          message: expect.stringMatching(/^Validation error of type InvalidSyntax:/),
+          errorType: 'ValidationError',
+        },
+      ],
+    });
+  });
+
+  it.each([
+    ['{ item(id: "1") }', 'SubSelectionRequired'],
+    ['{ item(id: "1") { id { x } } }', 'SubSelectionNotAllowed'],
+    ['{ item { id } }', 'MissingFieldArgument'],
+    ['{ item(id: "1", foo: 1) { id } }', 'UnknownArgument'],
+    ['query ($x: ID) { items { id } }', 'UnusedVariable'],
+    ['{ items { id @foo } }', 'UnknownDirective'],
+    ['{ items(ip: "300.0.0.1") { id } }', 'WrongType'],
+    ['{ items(at: "yesterday") { id } }', 'WrongType'],
+    ['{ items(since: "never") { id } }', 'WrongType'],
+  ])('%s fails with %s', (query, type) => {
+    expect(messages(query)).toEqual([
+      expect.stringContaining(`Validation error of type ${type}:`),
+    ]);
+  });
+
+  it('attributes the errors of a document to their rules', () => {
+    expect(messages('query ($x: ID) { item { nope } }')).toEqual([
+      expect.stringContaining('Validation error of type FieldUndefined:'),
+      expect.stringContaining('Validation error of type MissingFieldArgument:'),
+      expect.stringContaining('Validation error of type UnusedVariable:'),
+    ]);
+  });
+
+  it('accepts AWS scalar literals', () => {
+    expect(
+      messages(`{
+        items(
+          since: "2020-01-01T00:00:00.000Z"
+          ip: "2001:db8::/32"
+          at: 1577836800
+        ) { id }
+      }`),
+    ).toEqual([]);
+  });
+});
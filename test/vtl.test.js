@@ -78,6 +78,22 @@ describe('vtl', () => {
     });
   });
 
+  describe('set', () => {
+    it('should write nested map keys', () => {
+      const out = vtl(
+        `
+        #set($ctx.result.added = 'value')
+        $util.toJson($ctx.result)
+        `,
+        javaify({
+          ctx: { result: { pk: 'pk-123' } },
+          util: { toJson: value => JSON.stringify(value) },
+        }),
+      ).trim();
+      expect(out).toBe('{"pk":"pk-123","added":"value"}');
+    });
+  });
+
   describe('string', () => {
     it('should have a replaceAll method', () => {
       const out = vtl(
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const consola = require('../lib/log');
+const createServer = require('../lib/server');
+const { loadServerlessConfig } = require('../lib/loadServerlessConfig');
+
+jest.mock('../lib/loadServerlessConfig', () => ({
+  loadServerlessConfig: jest.fn(),
+}));
+
+describe('watch', () => {
+  jest.setTimeout(15000);
+  let dir;
+  let server;
+
+  const write = (file, content) =>
+    fs.writeFileSync(path.join(dir, file), content);
+
+  const serviceConfig = () => ({
+    service: 'watched',
+    provider: { name: 'aws', region: 'us-east-1' },
+    custom: {
+      appSync: {
+        authenticationType: 'API_KEY',
+        schema: path.join(dir, 'schema.graphql'),
+        mappingTemplates: [
+          {
+            dataSource: 'Passthrough',
+            type: 'Query',
+            field: 'item',
+            request: 'item-request.vtl',
+            response: 'result-response.vtl',
+          },
+        ],
+        dataSources: [{ type: 'NONE', name: 'Passthrough' }],
+      },
+    },
+    resources: { Resources: {} },
+  });
+
+  const query = (source) =>
+    fetch(server.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-api-key': 'key' },
+      body: JSON.stringify({ query: source }),
+    }).then((res) => res.json());
+
+  // retries `check` until it passes, the reload happening in the background.
+  const eventually = async (check, timeout = 10000) => {
+    const started = Date.now();
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        return await check();
+      } catch (err) {
+        if (Date.now() - started > timeout) throw err;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    }
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appsync-watch-'));
+    fs.mkdirSync(path.join(dir, 'mapping-templates'));
+    write('schema.graphql', 'type Item { name: String }\ntype Query { item: Item }\n');
+    write('mapping-templates/item-request.vtl', '{ "payload": { "name": "first" } }');
+    write('mapping-templates/result-response.vtl', '$util.toJson($ctx.result)');
+    loadServerlessConfig.mockImplementation(async () => ({
+      config: serviceConfig(),
+      directory: dir,
+    }));
+
+    server = await createServer({
+      serverless: {
+        service: serviceConfig(),
+        config: { servicePath: dir },
+        processedInput: { options: { stage: 'prod' } },
+      },
+      dynamodb: {},
+      elastic: {},
+      watch: true,
+    });
+  });
+
+  afterEach((done) => {
+    server.server.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('uses changed mapping templates on the next request', async () => {
+    expect(await query('{ item { name } }')).toEqual({
+      data: { item: { name: 'first' } },
+    });
+
+    write('mapping-templates/item-request.vtl', '{ "payload": { "name": "second" } }');
+    await eventually(async () =>
+      expect(await query('{ item { name } }')).toEqual({
+        data: { item: { name: 'second' } },
+      }),
+    );
+  });
+
+  it('reloads the schema with the options of the plugin', async () => {
+    write('schema.graphql', 'type Item { name: String }\ntype Query { item: Item, other: Item }\n');
+    await eventually(async () =>
+      expect(await query('{ other { name } }')).toEqual({
+        data: { other: null },
+      }),
+    );
+    expect(loadServerlessConfig).toHaveBeenCalledWith(dir, {
+      cache: false,
+      options: { stage: 'prod' },
+    });
+  });
+
+  it('keeps the previous schema when a reload fails', async () => {
+    const error = jest.spyOn(consola, 'error');
+    write('schema.graphql', 'type Query {');
+    await eventually(() =>
+      expect(error).toHaveBeenCalledWith(
+        'Failed to reload schema, keeping the previous one\n',
+        expect.anything(),
+      ),
+    );
+    error.mockRestore();
+
+    expect(await query('{ item { name } }')).toEqual({
+      data: { item: { name: 'first' } },
+    });
+  });
+});